@@ -14,5 +14,14 @@ module.exports = {
         'no-plusplus': 0,
         'no-use-before-define': 0,
         'object-curly-newline': 0
-    }
+    },
+    overrides: [
+        {
+            // The tests run with the node built-in test runner
+            files: ['test/**/*.js'],
+            rules: {
+                'import/no-unresolved': [2, { ignore: ['^node:'] }]
+            }
+        }
+    ]
 };
\ No newline at end of file
@@ -1,20 +1,37 @@
 #!/usr/bin/env node
 
 const commander = require('commander');
+const npa = require('npm-package-arg');
 const shell = require('shelljs');
 const dayjs = require('dayjs');
 dayjs.extend(require('dayjs/plugin/duration'));
 const { rimraf } = require('rimraf');
-const Gauge = require('gauge');
-const { dirname, join } = require('path');
-const { create, extract } = require('tar');
-const { execSync } = require('child_process');
-const { green, red, yellow } = require('chalk');
-const { existsSync, readFileSync, lstatSync, mkdirSync, readdirSync } = require('fs');
-const { resolvedPackages } = require('./lib/cache');
-const { resolveDependencies, downloadPackages } = require('./lib/fetch-packages');
-const { publishFolder, publishTarball } = require('./lib/npm-publish');
-const { getNpmTopPackages } = require('./lib/npm-top');
+const { basename, dirname, join, resolve } = require('path');
+const { green, red, gray, yellow } = require('chalk');
+const { tmpdir } = require('os');
+const { existsSync, writeFileSync, lstatSync, mkdirSync, mkdtempSync, readdirSync } = require('fs');
+const { cache, publishedBundles, mirrorHistory } = require('./lib/cache');
+const { createPackager, specsToManifest } = require('./lib/packager');
+const { getCacheFolder } = require('./lib/fetch-packages');
+const { EXIT_CODES, Reporter, getStatus } = require('./lib/reporter');
+const { toTreeJson, formatTreeText, createPackageLock } = require('./lib/dependency-tree');
+const { readProjects } = require('./lib/workspaces');
+const { readMirrorConfig, getMirrorVersions, resolveMirrorPackages } = require('./lib/mirror');
+const { readNpmrc, getRegistryOptions } = require('./lib/npmrc');
+const { createBundleManifest, writeBundleManifest, readBundleManifest, baselineFromManifest, baselineFromRegistry, resolveBaselineKeys } = require('./lib/bundle-manifest');
+const { verifyBundle } = require('./lib/npm-publish');
+const { ARCHIVE_EXTENSIONS, isBundleArchive, removeArchiveExtension, createArchive, extractArchive } = require('./lib/bundle-archive');
+const { createBundleVolumes, isBundleVolume, findBundleVolumes, extractBundleVolumes } = require('./lib/bundle-volumes');
+const { FetchJournal, JOURNAL_FILE_NAME } = require('./lib/fetch-journal');
+const { PUBLISH_REPORT_FORMATS, getPublishStatePath, writePublishReport } = require('./lib/publish-state');
+const { SBOM_FILE_NAMES, writeSbom } = require('./lib/sbom');
+const { POLICY_MODES, AUDIT_REPORT_FILE_NAME, AUDIT_TEXT_FILE_NAME, readPolicy, readAdvisories, auditPackages, formatAuditReport, writeAuditReport, isRejected } = require('./lib/policy');
+const { searchPackages, getNpmTopPackages, getScopePackages, rankByDownloads, parseSearchWeights } = require('./lib/npm-top');
+const { writePackageList, readPackageList } = require('./lib/package-list');
+const { BundleRegistry } = require('./lib/bundle-registry');
+const { EXPORT_FORMATS, exportStaticRegistry, exportNpmCache } = require('./lib/bundle-export');
+const { parsePlatforms } = require('./lib/platform');
+const { EXTRAS_FOLDER_NAME, EXTRAS_FILE_NAME, readExtrasConfig, fetchExtras, publishExtras } = require('./lib/extras');
 const currPackageJson = require('./package');
 
 /**
@@ -31,79 +48,178 @@ commander
     .command('fetch [packages...]')
     .description('Fetch packages tarball from npm registry')
     .alias('f')
-    .option('-p, --package-json <packageJson>', 'The path to package.json file')
-    .option('--top <top>', 'Fetch top packages from npm registry api. <max: 5250>', parseInt)
+    .option('-p, --package-json <packageJson>', 'The path to package.json file, project folder or glob, repeatable (workspaces are merged)', collectOption)
+    .option('-l, --lockfile <lockfile>', 'The path to package-lock.json, npm-shrinkwrap.json or yarn.lock file (exact versions, no resolution)')
+    .option('--top <top>', 'Fetch top packages from the registry search ranked by --weights, or the max count of --search, --scope and --top-from', parseInt)
+    .option('--search <query>', 'Fetch the packages that match the registry search query, e.g. "react router" (max 250 packages unless --top)')
+    .option('--keywords <keywords>', 'Filter the search by keywords, comma separated')
+    .option('--author <author>', 'Filter the search by author')
+    .option('--scope <scope>', 'Fetch every package of the scope (e.g. @types), or filter the search by scope')
+    .option('--weights <weights>', 'The search ranking weights, e.g. popularity=1,quality=0.5,maintenance=0 (default: 1 each)')
+    .option('--top-from <file>', 'Rank the packages by local downloads count dump (json or text of name and count) and fetch the --top of them')
+    .option('--export-list <file>', 'Write the selected packages to list file (text, or json by extension) for review instead of fetching them')
+    .option('--list <file>', 'Fetch the packages of list file (a package spec in every line, # comments), e.g. written by --export-list')
     .option('-d, --dest <dest>', 'Packages destination folder')
     .option('--no-tar', 'Whether to create tar file from all packages')
     .option('--no-cache', 'Whether to save download packages in cache')
     .option('--dev', 'Whether to resolved dev dependencies')
     .option('--peer', 'Whether to resolved peer dependencies')
     .option('--optional', 'Whether to resolved optional dependencies')
-    .option('-r, --registry <registry>', 'The registry url', 'https://registry.npmjs.org/')
+    .option('--platform <platforms>', 'Resolve the optional dependencies that the target platforms need, e.g. linux-x64-glibc,win32-x64 (os, cpu and libc fields)')
+    .option('--since <manifest>', 'Fetch only packages that not in previous bundle (npo-manifest.json, bundle folder or tar file)')
+    .option('--against-registry <registry>', 'Fetch only packages that not in the target registry (registry url or packages list file)')
+    .option('--node-version <nodeVersion>', 'The target node version to prefer versions by engines field (default: current node version)')
+    .option('-r, --registry <registry>', 'The registry url (default: registry from .npmrc or https://registry.npmjs.org/), scoped packages use the .npmrc @scope:registry')
+    .option('--concurrency <concurrency>', 'How many registry requests to run concurrently', parseInt, 10)
+    .option('--retries <retries>', 'How many times to retry failed registry request (with exponential backoff)', parseInt, 3)
+    .option('--policy <policy>', 'Audit the resolved packages against policy file before fetching (json or yaml)')
+    .option('--advisories <advisories>', 'The advisories database file (npm bulk advisory format), overrides the policy database')
+    .option('--policy-mode <policyMode>', 'What to do with packages that violate the policy: fail, exclude or warn (default: policy mode)')
+    .option('--sbom <format>', 'Write SBOM into the bundle: cyclonedx or spdx')
+    .option('--extras', 'Fetch the prebuilt binaries and install scripts downloads of the packages (node-pre-gyp, prebuild-install, electron, etc.)')
+    .option('--extras-config <extrasConfig>', 'Extras rules file (json or yaml) that added to the built-in rules, implies --extras')
+    .option('--split-size <splitSize>', 'Split the bundle into numbered volumes of max size in MB (e.g. for removable media)', parseFloat)
+    .option('--compress <compress>', 'The bundle archive compression: gzip, zstd or none', 'none')
+    .option('--resume <dest>', 'Resume interrupted fetch from its destination folder (fetch only the packages that not fetched yet)')
+    .option('--re-resolve', 'With --resume, resolve the dependencies tree again instead of using the resolved packages from the journal')
+    .option('--dry-run', 'Resolve the packages and report their sizes without downloading')
+    .option('--json', 'Print NDJSON events (one JSON object per line) and final summary instead of text')
+    .option('-q, --quiet', 'Print only errors')
+    .option('--verbose', 'Print the progress messages as lines instead of progress bar')
     .action(async (packages, command) => {
+        const reporter = new Reporter(command);
         try {
             const startTime = dayjs();
-            const destFolder = command.dest ? command.dest : `packages_${startTime.format('MMDDYYYY.HHmmss')}`;
-            let currStage = 1;
-            const stages = command.top && !command.packageJson && !packages.length ? 3 : 2;
-            let packagesObj;
+            let journal;
+            let destFolder;
+            let fetchOptions;
+            let input;
 
-            // Logger function for progress bar
-            const gauge = new Gauge();
-            const logger = (message, percent = 0) => {
-                gauge.show(`[${currStage}/${stages}] ${message}`, percent);
-            };
+            // The registries, credentials, proxy and ssl settings from the project and user .npmrc
+            const npmrc = readNpmrc();
 
-            if (command.packageJson) {
-                let packageJsonPath = command.packageJson;
-                if (lstatSync(packageJsonPath).isDirectory()) {
-                    packageJsonPath = join(command.packageJson, 'package.json');
+            if (command.resume) {
+                journal = await FetchJournal.read(command.resume);
+                if (!journal) {
+                    throw new Error(`The folder "${command.resume}" has no ${JOURNAL_FILE_NAME} file to resume`);
+                }
+
+                if (command.dryRun) {
+                    throw new Error('--dry-run can\'t be used with --resume');
                 }
 
-                if (!existsSync(packageJsonPath)) {
-                    throw new Error(`The path "${packageJsonPath}" not existed`);
+                destFolder = command.resume.replace(/[\\/]+$/, '');
+                ({ options: fetchOptions, input } = journal.data);
+            } else {
+                destFolder = command.dest ? command.dest : `packages_${startTime.format('MMDDYYYY.HHmmss')}`;
+                if (!ARCHIVE_EXTENSIONS[command.compress]) {
+                    throw new Error(`Unknown compression "${command.compress}" (expected gzip, zstd or none)`);
                 }
 
-                // Read and parse package.json file
-                const file = readFileSync(packageJsonPath, 'utf-8');
-                packagesObj = JSON.parse(file);
+                if (command.sbom && !SBOM_FILE_NAMES[command.sbom]) {
+                    throw new Error(`Unknown SBOM format "${command.sbom}" (expected cyclonedx or spdx)`);
+                }
 
-                if (!packagesObj || !packagesObj.dependencies) {
-                    throw new Error('The package.json not contains dependencies list');
+                if (command.policyMode && !POLICY_MODES.includes(command.policyMode)) {
+                    throw new Error(`Unknown policy mode "${command.policyMode}" (expected ${POLICY_MODES.join(', ')})`);
                 }
-            } else if (packages.length) {
-                packagesObj = {
-                    dependencies: packages.reduce((dependencies, currPackage) => {
-                        let name;
-                        let version;
-                        if (currPackage.startsWith('@')) {
-                            [name, version] = currPackage.split('@').slice(1);
-                            name = `@${name}`;
-                        } else {
-                            [name, version] = currPackage.split('@');
-                        }
-                        dependencies[name] = version || 'latest';
-                        return dependencies;
-                    }, {}),
-                };
-            } else if (command.top) {
-                logger(`Fetch top ${command.top} npm packages...`);
-                const topPackages = await getNpmTopPackages(command.top, { logger });
-                packagesObj = {
-                    dependencies: topPackages.reduce((dependencies, currPackage) => {
-                        dependencies[currPackage.name] = currPackage.version;
-                        return dependencies;
-                    }, {}),
-                };
 
-                gauge.hide();
-                shell.echo(green(`[${currStage}/${stages}] Fetch top ${topPackages.length} npm packages completed`));
+                if (command.platform) {
+                    parsePlatforms(command.platform);
+                }
+
+                if (command.splitSize !== undefined && (!command.tar || !(command.splitSize > 0))) {
+                    throw new Error(command.tar ? '--split-size must be a positive number of MB' : '--split-size can\'t be used with --no-tar');
+                }
 
-                currStage++;
+                fetchOptions = {
+                    registry: getRegistryOptions(npmrc, command.registry).registry,
+                    tar: command.tar,
+                    compress: command.compress,
+                    splitSize: command.splitSize,
+                    keepFolder: Boolean(command.dest),
+                    useCache: command.cache,
+                    dev: command.dev,
+                    peer: command.peer,
+                    optional: command.optional,
+                    platforms: command.platform,
+                    nodeVersion: command.nodeVersion,
+                    policy: command.policy ? resolve(command.policy) : undefined,
+                    advisories: command.advisories ? resolve(command.advisories) : undefined,
+                    policyMode: command.policyMode,
+                    sbom: command.sbom,
+                    extras: Boolean(command.extras || command.extrasConfig),
+                    extrasConfig: command.extrasConfig ? resolve(command.extrasConfig) : undefined,
+                };
             }
 
-            if (!packagesObj || !packagesObj.dependencies) {
-                return shell.echo(yellow(`Required arguments is missing.
+            let currStage = 1;
+            const isSelection = Boolean(command.top || command.search || command.keywords || command.author || command.scope || command.topFrom);
+            const stages = isSelection && !command.resume && !command.lockfile && !command.packageJson && !command.list && !packages.length ? 3 : 2;
+
+            // Logger function for progress bar
+            const logger = (message, percent = 0) => {
+                reporter.progress(`[${currStage}/${stages}] ${message}`, percent);
+            };
+            const context = { reporter, logger, stages, destFolder, dryRun: command.dryRun, getStage: () => currStage };
+
+            // The .npmrc is read again on resume, the credentials are never saved in the journal
+            context.packager = createPackager({
+                npmrc,
+                registryOptions: getRegistryOptions(npmrc, fetchOptions.registry),
+                concurrency: command.concurrency,
+                retries: command.retries,
+                logger,
+            });
+            context.registryOptions = context.packager.registryOptions;
+            context.packager.on('package', p => reporter.event('package', p));
+            context.packager.on('failure', failure => reporter.event('failure', failure));
+            context.packager.on('skipped', dependency => reporter.event('skipped', dependency));
+
+            // Shared work queue for all the registry requests
+            context.queue = context.packager.queue;
+            context.failures = [];
+
+            if (command.resume) {
+                if (command.reResolve) {
+                    const { dependencies, baseline, audit } = await resolveFetchInput(input, fetchOptions, context, journal.data.baseline);
+                    journal.replacePackages(dependencies, baseline);
+                    journal.data.audit = audit;
+                    await journal.save();
+                } else {
+                    reporter.stage('resume', `[${currStage}/${stages}] Resuming fetch with ${journal.data.packages.length} resolved packages from ${join(destFolder, JOURNAL_FILE_NAME)}`, {
+                        packages: journal.data.packages.length,
+                    });
+                }
+            } else {
+                if (command.lockfile) {
+                    input = { lockfile: resolve(command.lockfile) };
+                } else if (command.packageJson) {
+                    input = readProjects(command.packageJson);
+                } else if (packages.length) {
+                    input = { manifest: specsToManifest(packages) };
+                } else if (command.list) {
+                    input = { manifest: specsToManifest(await readPackageList(command.list)) };
+                } else if (isSelection) {
+                    const { source, packages: selected } = await selectPackages(command, context);
+                    if (!selected.length) {
+                        throw new Error(`No packages selected by ${source}`);
+                    }
+
+                    reporter.stage('select', `[${currStage}/${stages}] Selected ${selected.length} packages by ${source}`, { packages: selected.length, source });
+                    if (command.exportList) {
+                        await writePackageList(command.exportList, selected, { source });
+                        reporter.success(`The packages list written to ${command.exportList}, review it and fetch it with: npo fetch --list ${command.exportList}`);
+                        return reporter.summary('success', { packages: selected.length, list: command.exportList });
+                    }
+
+                    input = { manifest: specsToManifest(selected.map(p => (p.version ? `${p.name}@${p.version}` : p.name))) };
+                    currStage++;
+                }
+
+                if (!input) {
+                    process.exitCode = EXIT_CODES.failure;
+                    return shell.echo(yellow(`Required arguments is missing.
     Please run:
         ${green('// For packages list')}
         npo fetch package1 package2
@@ -111,62 +227,140 @@ commander
         ${green('// For package.json file')}
         npm fetch -p ./package.json
 
+        ${green('// For lockfile (package-lock.json, npm-shrinkwrap.json, yarn.lock)')}
+        npm fetch -l ./package-lock.json
+
         ${green('// To fetch top npm packages')}
-        npm fetch --top 1000`));
-            }
+        npm fetch --top 1000
 
-            // Create destination folder
-            if (!existsSync(destFolder)) {
-                mkdirSync(destFolder);
-            }
+        ${green('// To fetch search results, scope packages or top of downloads dump')}
+        npm fetch --search "react router" --top 100
+        npm fetch --scope @types
+        npm fetch --top-from ./downloads.json --top 500
 
-            // Clean packages in memory cache
-            resolvedPackages.clean();
+        ${green('// For packages list file')}
+        npm fetch --list ./packages.txt
 
-            // Resolve dependencies tree
-            logger('Resolving dependencies...');
-            const dependencies = await resolveDependencies(packagesObj, {
-                dev: command.dev,
-                peer: command.peer,
-                optional: command.optional,
-                registry: command.registry,
-                logger,
-            });
+        ${green('// To resume interrupted fetch')}
+        npm fetch --resume ./packages_10012019.101010`));
+                }
+
+                // Create destination folder
+                if (!existsSync(destFolder) && !command.dryRun) {
+                    mkdirSync(destFolder);
+                }
 
-            gauge.hide();
-            shell.echo(green(`[${currStage}/${stages}] Resolving dependencies completed with ${dependencies.length} packages`));
+                // Delta bundle: remove the packages that the offline registry already has
+                let baseline;
+                if (command.since || command.againstRegistry) {
+                    const source = command.since || command.againstRegistry;
+                    baseline = names => (command.since
+                        ? baselineFromManifest(source, { names, logger: message => reporter.warn(message), registryOptions: context.registryOptions, queue: context.queue })
+                        : baselineFromRegistry(source, names, { registryOptions: context.registryOptions, queue: context.queue }));
+                }
+
+                const { dependencies, baseline: currBaseline, audit } = await resolveFetchInput(input, fetchOptions, context, baseline);
+                if (command.dryRun) {
+                    currStage++;
+                    return await estimateFetch(dependencies, fetchOptions, context);
+                }
+
+                // The journal records the resolved packages and the status of every package to resume interrupted fetch
+                journal = await FetchJournal.create(destFolder, {
+                    options: fetchOptions,
+                    input,
+                    baseline: currBaseline,
+                    packages: dependencies,
+                });
+                journal.data.audit = audit;
+            }
             currStage++;
 
-            logger('Fetching packages...');
-            const result = await downloadPackages(dependencies, {
-                useCache: command.cache,
-                logger,
-                destFolder,
-                registry: command.registry,
-            });
+            await fetchJournalPackages(journal, fetchOptions, context);
 
-            const completedPackages = result.filter(Boolean);
-            const inCachePackages = dependencies.length - result.length;
-            const displayAmount = completedPackages.length === result.length ? result.length : `${completedPackages.length}/${result.length}`;
+            const completedPackages = journal.filter('done');
+            const failedPackages = journal.filter('failed');
+            if (!completedPackages.length) {
+                await journal.flush();
 
-            gauge.disable();
-            shell.echo(green(`[${currStage}/${stages}] Fetching packages completed with ${displayAmount} packages ${inCachePackages ? `(${inCachePackages} packages already in cache)` : ''}`));
+                if (failedPackages.length) {
+                    printFailures(context.failures, reporter);
+                    reporter.warn(`      ${failedPackages.length} packages failed, run "npo fetch --resume ${destFolder}" to retry them`);
+                    return reporter.summary('failure', { packages: 0, failed: failedPackages.length, destination: destFolder, failures: context.failures });
+                }
 
-            if (!result.length) {
-                // Remove dest folder if is empty
-                const files = readdirSync(destFolder);
-                if (!files.length) {
+                // Nothing to resume, remove the journal and the dest folder if it is empty (the resolve failures, e.g. registry auth errors, are still reported)
+                await rimraf(join(destFolder, JOURNAL_FILE_NAME));
+                if (!readdirSync(destFolder).length) {
                     await rimraf(destFolder);
                 }
+                printFailures(context.failures, reporter);
+                reporter.warn('No packages found to fetch. Add --no-cache flag to disable cache');
+                return reporter.summary(getStatus(journal.filter('cached').length, context.failures.length), { packages: 0, failed: 0, failures: context.failures });
+            }
 
-                return shell.echo(yellow('No packages found to fetch. Add --no-cache flag to disable cache'));
+            let extras = null;
+            if (fetchOptions.extras) {
+                extras = await fetchBundleExtras(completedPackages, fetchOptions, context);
             }
 
-            if (command.tar) {
-                // Create new tarball
-                create({ file: `${destFolder}.tar`, sync: true }, [destFolder]);
+            // Write the bundle manifest (used by publish and as baseline for the next delta bundle)
+            const bundleManifest = createBundleManifest(completedPackages, {
+                name: basename(destFolder),
+                registry: fetchOptions.registry,
+                baseline: journal.data.baseline,
+                audit: journal.data.audit,
+                extras,
+            });
+            await writeBundleManifest(destFolder, bundleManifest);
+
+            if (fetchOptions.sbom) {
+                // The dependency relationships from the resolved tree (lockfile packages are matched from the tarballs)
+                const requires = completedPackages.some(p => p.requires)
+                    ? new Map(completedPackages.map(p => [`${p.name}@${p.version}`, p.requires || []]))
+                    : undefined;
+                const sbomFile = await writeSbom(destFolder, bundleManifest, { format: fetchOptions.sbom, requires });
+                reporter.success(`      SBOM: ${sbomFile}`);
+            }
+
+            if (!failedPackages.length) {
+                await journal.complete();
+            }
+            await journal.flush();
 
-                if (!command.dest) {
+            let destination = destFolder;
+            if (fetchOptions.tar) {
+                const compress = fetchOptions.compress || 'none';
+
+                if (fetchOptions.splitSize) {
+                    // Create numbered volumes, every volume with its sub-manifest and checksum file
+                    const volumes = await createBundleVolumes(destFolder, bundleManifest, {
+                        splitSize: Math.floor(fetchOptions.splitSize * 1024 * 1024),
+                        compress,
+                        exclude: [JOURNAL_FILE_NAME],
+                        files: [
+                            ...(journal.data.audit ? [AUDIT_REPORT_FILE_NAME, AUDIT_TEXT_FILE_NAME] : []),
+                            ...(fetchOptions.sbom ? [SBOM_FILE_NAMES[fetchOptions.sbom]] : []),
+                            ...(extras ? [EXTRAS_FILE_NAME, EXTRAS_FOLDER_NAME] : []),
+                        ],
+                    });
+
+                    volumes.filter(volume => volume.oversized).forEach(volume => {
+                        reporter.warn(`      The volume ${basename(volume.file)} is bigger than ${fetchOptions.splitSize}MB (contains package bigger than the split size)`);
+                    });
+                    destination = `${volumes[0].file} (${volumes.length} volumes)`;
+                } else {
+                    // Create new archive (without the journal)
+                    destination = `${destFolder}${ARCHIVE_EXTENSIONS[compress]}`;
+                    await createArchive(destination, {
+                        cwd: dirname(resolve(destFolder)),
+                        files: [basename(resolve(destFolder))],
+                        compress,
+                        filter: path => basename(path) !== JOURNAL_FILE_NAME,
+                    });
+                }
+
+                if (!fetchOptions.keepFolder && !failedPackages.length) {
                     await rimraf(destFolder);
                 }
             }
@@ -174,10 +368,195 @@ commander
             const endTime = dayjs();
             const duration = dayjs.duration(endTime.diff(startTime));
 
-            shell.echo(green(`      Duration: ${duration.format('HH:mm:ss:SSS')}`));
-            shell.echo(green(`      Destination folder: ${command.tar ? `${destFolder}.tar` : destFolder} `));
+            reporter.success(`      Duration: ${duration.format('HH:mm:ss:SSS')}`);
+            reporter.success(`      Destination folder: ${destination} `);
+
+            printFailures(context.failures, reporter);
+            if (failedPackages.length) {
+                reporter.warn(`      ${failedPackages.length} packages failed, run "npo fetch --resume ${destFolder}" to retry them`);
+            }
+
+            reporter.summary(getStatus(completedPackages.length, context.failures.length), {
+                packages: completedPackages.length,
+                failed: failedPackages.length,
+                size: completedPackages.reduce((total, p) => total + (p.size || 0), 0),
+                destination,
+                duration: duration.asMilliseconds(),
+                failures: context.failures,
+            });
         } catch (error) {
-            console.error(error && error.message ? red(error.message) : error);
+            reporter.stop();
+            reporter.error(error && error.message ? error.message : String(error));
+            reporter.summary('failure', { error: error && error.message ? error.message : String(error) });
+        }
+    });
+
+/**
+ * Mirror command
+ */
+commander
+    .command('mirror <config>')
+    .description('Fetch the new versions of the mirror config packages (and their new dependencies) into dated delta bundle')
+    .option('--history', 'Print the sync history of the mirror instead of syncing')
+    .option('--no-tar', 'Whether to create tar file from the bundle')
+    .option('--compress <compress>', 'The bundle archive compression: gzip, zstd or none', 'none')
+    .option('--concurrency <concurrency>', 'How many registry requests to run concurrently', parseInt, 10)
+    .option('--retries <retries>', 'How many times to retry failed registry request (with exponential backoff)', parseInt, 3)
+    .option('--json', 'Print NDJSON events (one JSON object per line) and final summary instead of text')
+    .option('-q, --quiet', 'Print only errors')
+    .option('--verbose', 'Print the progress messages as lines instead of progress bar')
+    .action(async (configPath, command) => {
+        const reporter = new Reporter(command);
+        try {
+            const startTime = dayjs();
+            const config = await readMirrorConfig(configPath);
+
+            if (command.history) {
+                const runs = await mirrorHistory.find(config.name);
+                if (!runs.length) {
+                    return shell.echo(yellow(`The mirror ${config.name} has no sync history`));
+                }
+
+                runs.forEach(run => {
+                    shell.echo(green(`${dayjs(run.startedAt).format('YYYY-MM-DD HH:mm')}  ${run.bundle}  ${run.versions.length} new versions, ${run.packages.length} packages${run.failed.length ? `, ${run.failed.length} failed` : ''}`));
+                    shell.echo(`      ${run.versions.join(', ')}`);
+                });
+                return shell.echo(green(`${runs.length} syncs of ${config.name}`));
+            }
+
+            if (!ARCHIVE_EXTENSIONS[command.compress]) {
+                throw new Error(`Unknown compression "${command.compress}" (expected gzip, zstd or none)`);
+            }
+
+            const platforms = config.platform ? parsePlatforms(config.platform) : undefined;
+            const { synced, lastSync, last } = await mirrorHistory.state(config.name);
+
+            let currStage = 1;
+            const stages = 3;
+            const logger = (message, percent = 0) => {
+                reporter.progress(`[${currStage}/${stages}] ${message}`, percent);
+            };
+            const packager = createPackager({ registry: config.registry, concurrency: command.concurrency, retries: command.retries, logger });
+            const { registryOptions, queue } = packager;
+            packager.on('package', p => reporter.event('package', p));
+            packager.on('failure', failure => reporter.event('failure', failure));
+            const failures = [];
+
+            // Diff the packages policies against the sync state
+            logger('Checking packages versions...');
+            const versions = await getMirrorVersions(config, { synced, lastSync, registryOptions, queue, failures, logger });
+            reporter.stage('versions', `[${currStage}/${stages}] Checking packages versions completed with ${versions.length} new versions ${lastSync ? `since ${dayjs(lastSync).format('YYYY-MM-DD HH:mm')}` : '(first sync)'}`, {
+                versions: versions.map(({ name, version }) => `${name}@${version}`),
+                lastSync,
+            });
+            if (!versions.length) {
+                reporter.stop();
+                printFailures(failures, reporter);
+                reporter.warn(`No new versions to mirror for ${config.name}`);
+                return reporter.summary(failures.length ? 'failure' : 'success', { versions: 0, packages: 0, failures });
+            }
+            currStage++;
+
+            logger('Resolving dependencies...');
+            const resolved = await resolveMirrorPackages(versions, {
+                peer: config.peer,
+                optional: config.optional,
+                platforms,
+                registry: registryOptions.registry,
+                registryOptions,
+                nodeVersion: config.nodeVersion,
+                failures,
+                queue,
+                logger,
+            });
+            const packages = resolved.filter(p => !synced.has(`${p.name}@${p.version}`));
+            reporter.stage('resolve', `[${currStage}/${stages}] Resolving dependencies completed with ${packages.length} packages (${resolved.length - packages.length} already synced)`, {
+                packages: packages.length,
+                synced: resolved.length - packages.length,
+            });
+            currStage++;
+
+            // Every sync delta goes into dated bundle in the mirror output folder
+            const destFolder = join(config.output, `${config.name}_${startTime.format('YYYYMMDD.HHmmss')}`);
+            const result = await packager.download(packages, {
+                destFolder,
+                bundle: command.tar ? `${basename(destFolder)}.tar` : basename(destFolder),
+            });
+            const completedPackages = result.packages;
+            failures.push(...result.failures);
+            reporter.stop();
+            reporter.stage('download', `[${currStage}/${stages}] Fetching packages completed with ${completedPackages.length}/${packages.length} packages`, {
+                packages: completedPackages.length,
+                failed: packages.length - completedPackages.length,
+            });
+
+            if (!completedPackages.length) {
+                await rimraf(destFolder);
+                printFailures(failures, reporter);
+                reporter.warn('No packages fetched, the sync is not recorded');
+                return reporter.summary('failure', { versions: versions.length, packages: 0, failed: packages.length, failures });
+            }
+
+            // The previous sync bundle is the baseline, publish warns if this bundle is published before it
+            const bundleManifest = createBundleManifest(completedPackages, {
+                name: basename(destFolder),
+                registry: registryOptions.registry,
+                baseline: last ? {
+                    type: 'bundle',
+                    id: last.id,
+                    name: last.name,
+                    createdAt: last.startedAt,
+                    path: last.bundle,
+                } : null,
+            });
+            await writeBundleManifest(destFolder, bundleManifest);
+
+            let destination = destFolder;
+            if (command.tar) {
+                destination = `${destFolder}${ARCHIVE_EXTENSIONS[command.compress]}`;
+                await createArchive(destination, {
+                    cwd: dirname(resolve(destFolder)),
+                    files: [basename(resolve(destFolder))],
+                    compress: command.compress,
+                });
+                await rimraf(destFolder);
+            }
+
+            // The failed packages are not recorded as synced, the next sync fetches them again
+            const completedKeys = new Set(completedPackages.map(p => `${p.name}@${p.version}`));
+            await mirrorHistory.add({
+                mirror: config.name,
+                id: bundleManifest.id,
+                name: bundleManifest.name,
+                bundle: resolve(destination),
+                startedAt: startTime.toISOString(),
+                registry: registryOptions.registry,
+                versions: versions.map(({ name, version }) => `${name}@${version}`).filter(key => completedKeys.has(key)),
+                packages: [...completedKeys],
+                failed: packages.map(p => `${p.name}@${p.version}`).filter(key => !completedKeys.has(key)),
+            });
+
+            const duration = dayjs.duration(dayjs().diff(startTime));
+            reporter.success(`      Duration: ${duration.format('HH:mm:ss:SSS')}`);
+            reporter.success(`      Destination: ${destination}`);
+
+            printFailures(failures, reporter);
+            if (completedPackages.length < packages.length) {
+                reporter.warn(`      ${packages.length - completedPackages.length} packages failed, the next sync fetches them again`);
+            }
+
+            reporter.summary(getStatus(completedPackages.length, failures.length), {
+                versions: versions.length,
+                packages: completedPackages.length,
+                failed: packages.length - completedPackages.length,
+                destination,
+                duration: duration.asMilliseconds(),
+                failures,
+            });
+        } catch (error) {
+            reporter.stop();
+            reporter.error(error && error.message ? error.message : String(error));
+            reporter.summary('failure', { error: error && error.message ? error.message : String(error) });
         }
     });
 
@@ -187,53 +566,895 @@ commander
 commander
     .command('publish <path>')
     .alias('p')
-    .option('-r, --registry <registry>', 'The private registry url')
-    .option('-s, --skip-login', 'Whether to skip npm login command', false)
-    .option('-f, --force', 'Whether to publish with --force flag', false)
+    .option('-r, --registry <registry>', 'The private registry url (default: registry from .npmrc)')
+    .option('-t, --token <token>', 'The registry auth token (default: auth from .npmrc)')
+    .option('-s, --skip-login', 'Deprecated, npm login is no longer used', false)
+    .option('-f, --force', 'Whether to publish without checking if the version already exists', false)
     .option('-c, --concurrent <concurrent>', 'How many packages to publish concurrently', parseInt, 20)
     .option('--del-package', 'After successful publication package deleting the package file (.tgz)', false)
+    .option('--extras-dest <extrasDest>', 'Copy the bundle extras (prebuilt binaries) into this folder of the local file host')
+    .option('--extras-url <extrasUrl>', 'The url that the extras folder is served from, used in the install env file (default: file url of the folder)')
+    .option('--dry-run', 'Check the packages against the registry and show what would be published or skipped, without publishing')
+    .option('--retry-failed', 'Publish only the packages that failed, skipped or not published by the previous publish (from the publish state file next to the bundle)')
+    .option('--report <format>', 'Write publish report of all the bundle packages next to the bundle: html or json')
+    .option('--json', 'Print NDJSON events (one JSON object per line) and final summary instead of text')
+    .option('-q, --quiet', 'Print only errors')
+    .option('--verbose', 'Print the progress messages')
     .description('Publish packages tarball to private npm registry')
     .action(async (path, command) => {
+        const reporter = new Reporter(command);
+        let tempFolder;
         try {
             if (!existsSync(path)) {
                 throw new Error(`The path "${path}" not existed`);
             }
 
-            if (!command.skipLogin) {
-                shell.echo('npm login');
-                execSync('npm login', { stdio: 'inherit' });
+            if (command.report && !PUBLISH_REPORT_FORMATS.includes(command.report)) {
+                throw new Error(`Unknown report format "${command.report}" (expected ${PUBLISH_REPORT_FORMATS.join(' or ')})`);
             }
 
-            if (command.registry) {
-                shell.exec(`npm set registry ${command.registry}`);
+            if (command.report && command.dryRun) {
+                throw new Error('The --report option can\'t be used with --dry-run (the report is of the published packages)');
             }
 
+            const publishOptions = {
+                registry: command.registry,
+                token: command.token,
+                force: command.force,
+                concurrent: command.concurrent,
+                delPackage: command.delPackage && !command.dryRun,
+                dryRun: command.dryRun,
+                retryFailed: command.retryFailed,
+            };
+            const packager = createPackager({ logger: (message, percent) => reporter.progress(message, percent) });
+            packager.on('publish', result => {
+                reporter.event('publish', result);
+                printPublishResult(result, publishOptions, reporter);
+            });
+
             // Chack if path is a file or folder
-            if (lstatSync(path).isFile()) {
-                // In case of tar file extract the packages
-                if (path.endsWith('.tar')) {
-                    const folderPath = path.replace('.tar', '');
-                    extract({ file: path, cwd: dirname(path), sync: true });
-                    shell.cd(folderPath);
-                    await publishFolder('.', { force: command.force, concurrent: command.concurrent, delPackage: command.delPackage });
-
-                    if (command.delPackage) {
-                        const files = readdirSync(folderPath);
-                        if (!files.length) {
-                            shell.cd(`${folderPath}\\..`);
-                            await rimraf(folderPath);
-                        }
-                    }
+            const isFile = lstatSync(path).isFile();
+            if (isFile && !isBundleArchive(path)) {
+                const result = await packager.publish(path, { ...publishOptions, stateFile: getPublishStatePath(path) });
+                const report = await printPublishState(result.state, command, reporter);
+                return reporter.summary(getStatus(result.published + result.exists, result.failed + result.skipped), {
+                    dryRun: command.dryRun, published: result.published, exists: result.exists, failed: result.failed, skipped: result.skipped, report,
+                });
+            }
+
+            // In case of bundle volumes (first volume or folder of volumes) verify all the volumes and extract the packages
+            // (dry run extracts archives and volumes into temp folder)
+            let folderPath = resolve(path);
+            const isVolumesFolder = !isFile && !readdirSync(path).some(fileName => fileName.endsWith('.tgz')) && (await findBundleVolumes(path)).length > 0;
+            if (command.dryRun) {
+                ({ folderPath, tempFolder } = await openBundle(path, 'npo-publish-'));
+            } else if (isBundleVolume(path) || isVolumesFolder) {
+                folderPath = await extractBundleVolumes(resolve(path));
+                reporter.success(`All the bundle volumes are present and intact, extracted to ${folderPath}`);
+            } else if (isFile) {
+                // In case of bundle archive extract the packages
+                folderPath = resolve(removeArchiveExtension(path));
+                await extractArchive(path, dirname(resolve(path)));
+            }
+
+            // Flag delta bundle that published before its baseline bundle
+            const manifest = await readBundleManifest(folderPath);
+            if (manifest && manifest.baseline && manifest.baseline.type === 'bundle' && !await publishedBundles.has(manifest.baseline.id)) {
+                reporter.warn(`Warning: the bundle "${manifest.name}" contains only the packages that not in bundle "${manifest.baseline.name}" (${manifest.baseline.createdAt}), which was not published yet. Publish the bundles in order to avoid missing packages`);
+            }
+
+            // The publish state is next to the published path (the bundle folder, archive or volumes)
+            const stateFile = getPublishStatePath(path, manifest ? manifest.name : undefined);
+            const { published, exists, failed, skipped, state } = await packager.publish(folderPath, { ...publishOptions, manifest, stateFile });
+            reporter.stop();
+            if (command.dryRun) {
+                reporter.success(`Dry run: ${published} would be published, ${exists} already exist, ${failed} would fail, ${skipped} skipped`);
+                return reporter.summary(getStatus(published + exists, failed + skipped), { dryRun: true, published, exists, failed, skipped });
+            }
+            reporter.success(`Publish completed: ${published} published, ${exists} already exist, ${failed} failed, ${skipped} skipped`);
+            const report = await printPublishState(state, command, reporter);
+
+            if (manifest) {
+                await publishedBundles.add(manifest);
+            }
+
+            if (manifest && manifest.extras) {
+                if (command.extrasDest) {
+                    const extras = await publishExtras(folderPath, { dest: resolve(command.extrasDest), url: command.extrasUrl });
+                    reporter.success(`Copied ${extras.assets} extras to ${command.extrasDest}, set the install env from ${extras.envFile}:`);
+                    reporter.info(extras.env);
                 } else {
-                    await publishTarball(path, { force: command.force, delPackage: command.delPackage });
+                    reporter.warn(`The bundle contains ${manifest.extras.assets} extras (prebuilt binaries), add --extras-dest to copy them to the local file host`);
+                }
+            }
+
+            if (folderPath !== resolve(path) && command.delPackage) {
+                const files = readdirSync(folderPath).filter(fileName => fileName.endsWith('.tgz'));
+                if (!files.length) {
+                    await rimraf(folderPath);
                 }
+            }
+
+            reporter.summary(getStatus(published + exists, failed + skipped), {
+                published, exists, failed, skipped, bundle: manifest ? manifest.name : undefined, state: stateFile, report,
+            });
+        } catch (error) {
+            reporter.stop();
+            reporter.error(error && error.message ? error.message : String(error));
+            reporter.summary('failure', { error: error && error.message ? error.message : String(error) });
+        } finally {
+            if (tempFolder) {
+                await rimraf(tempFolder);
+            }
+        }
+    });
+
+/**
+ * Verify command
+ */
+commander
+    .command('verify <bundle>')
+    .description('Verify that the registry serves the bundle packages: versions, dist-tags and integrity (bundle folder, archive or volumes)')
+    .option('-r, --registry <registry>', 'The registry url to verify (default: registry from .npmrc)')
+    .option('-t, --token <token>', 'The registry auth token (default: auth from .npmrc)')
+    .option('--no-tarballs', 'Compare only the packuments, without downloading the tarballs')
+    .option('-o, --output <output>', 'Write the diff (missing, mismatched and extra versions) to json file')
+    .option('--json', 'Print NDJSON events (one JSON object per line) and final summary instead of text')
+    .option('-q, --quiet', 'Print only errors')
+    .option('--verbose', 'Print the progress messages')
+    .action(async (path, command) => {
+        const reporter = new Reporter(command);
+        let tempFolder;
+        try {
+            if (!existsSync(path)) {
+                throw new Error(`The path "${path}" not existed`);
+            }
+
+            let folderPath;
+            ({ folderPath, tempFolder } = await openBundle(path, 'npo-verify-'));
+
+            const packager = createPackager({ logger: (message, percent) => reporter.progress(message, percent) });
+            packager.on('verify', result => reporter.event('verify', result));
+
+            const diff = await packager.verify(folderPath, { registry: command.registry, token: command.token, tarballs: command.tarballs });
+            reporter.stop();
+            diff.extra.forEach(p => reporter.event('extra', p));
+
+            printVerifyDiff(diff, reporter);
+            if (command.output) {
+                writeFileSync(command.output, JSON.stringify(diff, null, 2), { encoding: 'utf-8' });
+                reporter.success(`The diff written to ${command.output}`);
+            }
+
+            const { registry, packages, verified, missing, mismatched, extra } = diff;
+            reporter.summary(getStatus(verified, missing.length + new Set(mismatched.map(p => `${p.name}@${p.version}`)).size), {
+                registry, packages, verified, missing: missing.length, mismatched: mismatched.length, extra: extra.length,
+            });
+        } catch (error) {
+            reporter.stop();
+            reporter.error(error && error.message ? error.message : String(error));
+            reporter.summary('failure', { error: error && error.message ? error.message : String(error) });
+        } finally {
+            if (tempFolder) {
+                await rimraf(tempFolder);
+            }
+        }
+    });
+
+/**
+ * SBOM command
+ */
+commander
+    .command('sbom <bundle>')
+    .description('Generate SBOM (CycloneDX or SPDX) from existing bundle tarballs (bundle folder, archive or volumes)')
+    .option('--format <format>', 'The SBOM format: cyclonedx or spdx', 'cyclonedx')
+    .option('-o, --output <output>', 'The SBOM file path (default: in the bundle folder or next to the bundle archive)')
+    .action(async (path, command) => {
+        let tempFolder;
+        try {
+            if (!existsSync(path)) {
+                throw new Error(`The path "${path}" not existed`);
+            }
+
+            if (!SBOM_FILE_NAMES[command.format]) {
+                throw new Error(`Unknown SBOM format "${command.format}" (expected cyclonedx or spdx)`);
+            }
+
+            const isDirectory = lstatSync(path).isDirectory();
+            let folderPath;
+            ({ folderPath, tempFolder } = await openBundle(path, 'npo-sbom-'));
+
+            const manifest = await readBundleManifest(folderPath);
+            if (!manifest) {
+                throw new Error(`The bundle "${path}" has no npo-manifest.json file`);
+            }
+
+            const output = command.output
+                || (tempFolder ? join(isDirectory ? path : dirname(path), `${manifest.name}.${SBOM_FILE_NAMES[command.format]}`) : undefined);
+            const sbomFile = await writeSbom(folderPath, manifest, { format: command.format, output });
+
+            shell.echo(green(`SBOM of ${manifest.packages.length} packages written to ${sbomFile}`));
+        } catch (error) {
+            console.error(error && error.message ? red(error.message) : error);
+            process.exitCode = EXIT_CODES.failure;
+        } finally {
+            if (tempFolder) {
+                await rimraf(tempFolder);
+            }
+        }
+    });
+
+/**
+ * Serve command
+ */
+commander
+    .command('serve <bundle>')
+    .description('Serve bundle as read-only npm registry (bundle folder, archive or volumes)')
+    .option('--port <port>', 'The registry port', Number, 4873)
+    .option('--host <host>', 'The registry host', '127.0.0.1')
+    .option('-q, --quiet', 'Whether to not log the requests')
+    .action(async (path, command) => {
+        let tempFolder;
+        try {
+            if (!existsSync(path)) {
+                throw new Error(`The path "${path}" not existed`);
+            }
+
+            let folderPath;
+            ({ folderPath, tempFolder } = await openBundle(path, 'npo-serve-'));
+
+            const registry = await BundleRegistry.load(folderPath, {
+                logger: command.quiet ? undefined : message => shell.echo(`${dayjs().format('HH:mm:ss')} ${message}`),
+            });
+            const url = await registry.listen(command.port, command.host);
+
+            shell.echo(green(`Serving ${registry.tarballs.size} packages of ${registry.packages.size} names from ${path} at ${url}`));
+            shell.echo(green(`  npm install --registry ${url} <package>`));
+            shell.echo(green('Press Ctrl+C to stop'));
+
+            // Remove the extracted bundle when stopped
+            const stop = async () => {
+                await registry.close();
+                if (tempFolder) {
+                    await rimraf(tempFolder);
+                }
+                process.exit(0);
+            };
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+        } catch (error) {
+            console.error(error && error.message ? red(error.message) : error);
+            process.exitCode = EXIT_CODES.failure;
+            if (tempFolder) {
+                await rimraf(tempFolder);
+            }
+        }
+    });
+
+/**
+ * Export command
+ */
+commander
+    .command('export <bundle> <output>')
+    .description('Export bundle as static registry folder for file servers, or as npm cache folder for npm install --offline')
+    .option('--format <format>', 'The export format: static-registry or npm-cache', 'static-registry')
+    .option('--base-url <baseUrl>', 'static-registry: the url that the output folder is served from (the tarballs urls)')
+    .option('-r, --registry <registry>', 'npm-cache: the registry url that npm is configured with', 'https://registry.npmjs.org/')
+    .action(async (path, output, command) => {
+        let tempFolder;
+        try {
+            if (!existsSync(path)) {
+                throw new Error(`The path "${path}" not existed`);
+            }
+
+            if (!EXPORT_FORMATS.includes(command.format)) {
+                throw new Error(`Unknown format "${command.format}" (expected ${EXPORT_FORMATS.join(' or ')})`);
+            }
+
+            if (command.format === 'static-registry' && !command.baseUrl) {
+                throw new Error('--base-url is required for static-registry, e.g. --base-url http://fileserver/npm/');
+            }
+
+            let folderPath;
+            ({ folderPath, tempFolder } = await openBundle(path, 'npo-export-'));
+            const registry = await BundleRegistry.load(folderPath);
+
+            mkdirSync(output, { recursive: true });
+            if (command.format === 'static-registry') {
+                const result = await exportStaticRegistry(registry, output, { baseUrl: command.baseUrl });
+                shell.echo(green(`Exported ${result.tarballs} packages (${result.packages} packuments) to ${output}`));
+                shell.echo(green(`  npm install --registry ${command.baseUrl.replace(/\/?$/, '/')} <package>`));
             } else {
-                shell.cd(path);
-                await publishFolder('.', { force: command.force, concurrent: command.concurrent, delPackage: command.delPackage });
+                const result = await exportNpmCache(registry, output, { registry: command.registry });
+                shell.echo(green(`Exported ${result.tarballs} packages (${result.packages} packuments) to npm cache ${output}`));
+                shell.echo(green(`  npm install --offline --cache ${resolve(output)} --registry ${command.registry} <package>`));
+            }
+        } catch (error) {
+            console.error(error && error.message ? red(error.message) : error);
+            process.exitCode = EXIT_CODES.failure;
+        } finally {
+            if (tempFolder) {
+                await rimraf(tempFolder);
+            }
+        }
+    });
+
+/**
+ * Cache command
+ */
+commander
+    .command('cache <action> [args...]')
+    .description('Manage the local packages cache (ls, rm, clean, verify, export <file>, import <file>)')
+    .option('-r, --registry <registry>', 'Filter packages by registry url')
+    .action(async (action, args, command) => {
+        try {
+            // Packages filters from "name" or "name@version" args
+            const filters = ['ls', 'rm'].includes(action) ? args.map(arg => {
+                const { name, type, fetchSpec } = npa(arg);
+                return { name, version: type === 'version' ? fetchSpec : undefined, registry: command.registry };
+            }) : [];
+
+            switch (action) {
+            case 'ls': {
+                const packages = filters.length
+                    ? [].concat(...await Promise.all(filters.map(filter => cache.find(filter))))
+                    : await cache.find({ registry: command.registry });
+
+                packages.forEach(p => shell.echo(`${green(`${p.name}@${p.version}`)}  ${p.registry}  ${p.size ? `${(p.size / 1024).toFixed(1)}KB` : '-'}  ${p.fetchedAt || '-'}  ${p.bundle || '-'}`));
+                shell.echo(`${packages.length} packages in cache`);
+                break;
+            }
+            case 'rm': {
+                if (!filters.length) {
+                    throw new Error('Packages to remove are missing, e.g. npo cache rm express@4.17.1');
+                }
+
+                const removed = await Promise.all(filters.map(filter => cache.remove(filter)));
+                shell.echo(green(`${removed.reduce((sum, count) => sum + count, 0)} packages removed from cache`));
+                break;
+            }
+            case 'clean': {
+                const removed = await cache.clean();
+                shell.echo(green(`${removed} packages removed from cache`));
+                break;
+            }
+            case 'verify': {
+                const cacheFolder = getCacheFolder();
+                const { total, valid, removed, corrupt, missing } = await cache.verify({ cacheFolder });
+                removed.forEach(p => shell.echo(yellow(`Removed ${p.reason ? 'corrupt tarball' : 'invalid entry'}: ${p.name || p.packageName}@${p.version || p.versions}${p.reason ? ` (${p.reason})` : ''}`)));
+                shell.echo(green(`Cache verified: ${valid}/${total} valid packages, ${corrupt.length} corrupt tarballs removed, ${missing.length} tarballs not in ${cacheFolder}`));
+                break;
+            }
+            case 'export': {
+                if (!args[0]) {
+                    throw new Error('Export file path is missing, e.g. npo cache export ./cache.json');
+                }
+
+                const count = await cache.export(args[0]);
+                shell.echo(green(`${count} packages exported to ${args[0]}`));
+                break;
+            }
+            case 'import': {
+                if (!args[0] || !existsSync(args[0])) {
+                    throw new Error(`The path "${args[0]}" not existed`);
+                }
+
+                const count = await cache.import(args[0]);
+                shell.echo(green(`${count} packages imported from ${args[0]}`));
+                break;
+            }
+            default:
+                throw new Error(`Unknown cache action "${action}" (expected ls, rm, clean, verify, export or import)`);
+            }
+        } catch (error) {
+            console.error(error && error.message ? red(error.message) : error);
+            process.exitCode = EXIT_CODES.failure;
+        }
+    });
+
+/**
+ * Resolve command
+ */
+commander
+    .command('resolve [packages...]')
+    .description('Resolve the dependencies tree without downloading (json, npm ls text tree or package-lock.json)')
+    .option('-p, --package-json <packageJson>', 'The path to package.json file, project folder or glob, repeatable (workspaces are merged)', collectOption)
+    .option('--dev', 'Whether to resolved dev dependencies')
+    .option('--peer', 'Whether to resolved peer dependencies')
+    .option('--optional', 'Whether to resolved optional dependencies')
+    .option('--platform <platforms>', 'Resolve the optional dependencies that the target platforms need, e.g. linux-x64-glibc,win32-x64 (os, cpu and libc fields)')
+    .option('--node-version <nodeVersion>', 'The target node version to prefer versions by engines field (default: current node version)')
+    .option('-r, --registry <registry>', 'The registry url (default: registry from .npmrc or https://registry.npmjs.org/), scoped packages use the .npmrc @scope:registry')
+    .option('--concurrency <concurrency>', 'How many registry requests to run concurrently', parseInt, 10)
+    .option('--retries <retries>', 'How many times to retry failed registry request (with exponential backoff)', parseInt, 3)
+    .option('--format <format>', 'The output format: text, json or lockfile', 'text')
+    .option('-o, --output <output>', 'Write the output to file instead of stdout')
+    .option('-q, --quiet', 'Print only errors (and the output)')
+    .option('--verbose', 'Print the progress messages as lines instead of progress bar')
+    .action(async (packages, command) => {
+        const reporter = new Reporter(command);
+        try {
+            if (!['text', 'json', 'lockfile'].includes(command.format)) {
+                throw new Error(`Unknown format "${command.format}" (expected text, json or lockfile)`);
+            }
+
+            let input;
+            if (command.packageJson) {
+                input = readProjects(command.packageJson);
+            } else if (packages.length) {
+                input = packages;
+            } else {
+                throw new Error('Packages list or package.json is missing, e.g. npo resolve express or npo resolve -p ./package.json');
+            }
+
+            const platforms = command.platform ? parsePlatforms(command.platform) : undefined;
+
+            const packager = createPackager({
+                registry: command.registry,
+                concurrency: command.concurrency,
+                retries: command.retries,
+                logger: (message, percent) => reporter.progress(message, percent),
+            });
+            const { tree, packages: resolvedPackages, failures, platformPackages } = await packager.resolve(input, {
+                dev: command.dev,
+                peer: command.peer,
+                optional: command.optional,
+                platforms,
+                nodeVersion: command.nodeVersion,
+            });
+            reporter.stop();
+
+            let output;
+            if (command.format === 'json') {
+                output = JSON.stringify(toTreeJson(tree), null, 2);
+            } else if (command.format === 'lockfile') {
+                output = JSON.stringify(createPackageLock(tree), null, 2);
+            } else {
+                output = formatTreeText(tree);
+            }
+
+            if (command.output) {
+                writeFileSync(command.output, `${output}\n`);
+                reporter.success(`Dependencies tree written to ${command.output} (${resolvedPackages.length} packages)`);
+            } else {
+                console.log(output);
+            }
+
+            // The output may be piped, print the summary to stderr
+            if (platforms && !command.quiet) {
+                printPlatformPackages(platformPackages, platforms, message => console.error(message));
             }
+            printFailures(failures, reporter);
+            process.exitCode = EXIT_CODES[getStatus(resolvedPackages.length, failures.length)];
         } catch (error) {
-            console.log(error && error.message ? red(error.message) : error);
+            console.error(error && error.message ? red(error.message) : error);
+            process.exitCode = EXIT_CODES.failure;
         }
     });
 
 commander.parse(process.argv);
+
+/**
+ * Select packages by the fetch selection options: --top-from (downloads dump), --search with filters, --scope or --top
+ *
+ * @param {any} command The fetch command options
+ * @param {{ logger: Function, queue: WorkQueue, registryOptions: any }} context The fetch context
+ *
+ * @returns {Promise<{ source: string, packages: { name: string, version?: string, score?: any, downloads?: number }[] }>} The selection description and the selected packages
+ */
+async function selectPackages(command, context) {
+    const options = {
+        logger: context.logger,
+        queue: context.queue,
+        registry: context.registryOptions.registry,
+        registryOptions: context.registryOptions,
+        weights: command.weights ? parseSearchWeights(command.weights) : undefined,
+    };
+
+    if (command.topFrom) {
+        return {
+            source: `${command.top ? `top ${command.top} of ` : ''}downloads dump ${command.topFrom}`,
+            packages: await rankByDownloads(command.topFrom, { limit: command.top }),
+        };
+    }
+
+    if (command.search || command.keywords || command.author) {
+        const filters = [
+            command.keywords ? `keywords ${command.keywords}` : undefined,
+            command.scope ? `scope ${command.scope}` : undefined,
+            command.author ? `author ${command.author}` : undefined,
+        ].filter(Boolean);
+
+        return {
+            source: `search${command.search ? ` "${command.search}"` : ''}${filters.length ? ` (${filters.join(', ')})` : ''}`,
+            packages: await searchPackages({
+                ...options,
+                text: command.search,
+                keywords: command.keywords ? command.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : undefined,
+                scope: command.scope,
+                author: command.author,
+                limit: command.top || 250,
+            }),
+        };
+    }
+
+    if (command.scope) {
+        return { source: `scope ${command.scope}`, packages: await getScopePackages(command.scope, { ...options, limit: command.top }) };
+    }
+
+    return { source: `top ${command.top} packages`, packages: await getNpmTopPackages(command.top, options) };
+}
+
+/**
+ * Resolve the fetch input (package.json dependencies or lockfile) to packages list,
+ * remove the packages that already in the delta bundle baseline and audit the packages against the policy
+ *
+ * @param {{ manifest?: any, lockfile?: string }} input The fetch input
+ * @param {any} fetchOptions The fetch options
+ * @param {any} context The command context (progress bar, work queue and failures)
+ * @param {any} baseline The baseline, or function that creates the baseline and its packages keys for the packages names
+ *
+ * @returns {Promise<{ dependencies: any[], baseline: any, audit: any }>} The packages to fetch, the baseline and the audit summary
+ */
+async function resolveFetchInput(input, fetchOptions, context, baseline) {
+    const { reporter, logger, stages } = context;
+    const platforms = fetchOptions.platforms ? parsePlatforms(fetchOptions.platforms) : undefined;
+
+    // Lockfile versions are already resolved, the package.json dependencies tree is resolved from the registry
+    const { packages, skipped, failures, platformPackages } = await context.packager.resolve(input, {
+        dev: fetchOptions.dev,
+        peer: fetchOptions.peer,
+        optional: fetchOptions.optional,
+        platforms,
+        nodeVersion: fetchOptions.nodeVersion,
+    });
+    let dependencies = packages;
+    context.failures.push(...failures);
+
+    if (input.lockfile) {
+        reporter.stage('resolve', `[${context.getStage()}/${stages}] Reading lockfile completed with ${dependencies.length} packages`, { packages: dependencies.length });
+    } else {
+        reporter.stage('resolve', `[${context.getStage()}/${stages}] Resolving dependencies completed with ${dependencies.length} packages`, { packages: dependencies.length });
+        if (input.workspaces && input.workspaces.length) {
+            reporter.success(`      Merged the dependencies of ${input.workspaces.length} workspaces (the workspaces are not fetched)`);
+        }
+
+        if (skipped.length) {
+            reporter.info(`      Skipped ${skipped.length} non-registry dependencies:`, yellow);
+            skipped.forEach(({ name, spec, type, parent }) => reporter.info(`        ${name}@${spec} (${type})${parent ? ` required by ${parent}` : ''}`, yellow));
+        }
+    }
+
+    if (platforms) {
+        printPlatformPackages(platformPackages, platforms, message => reporter.info(message));
+    }
+    dependencies.forEach(p => reporter.debug(`      ${p.name}@${p.version}`));
+
+    let currBaseline = null;
+    if (baseline) {
+        const names = dependencies.map(({ name }) => name);
+        const result = typeof baseline === 'function'
+            ? await baseline(names)
+            : { baseline, keys: await resolveBaselineKeys(baseline, { names, logger: message => reporter.warn(message), registryOptions: context.registryOptions, queue: context.queue }) };
+        currBaseline = result.baseline;
+        const { keys } = result;
+        const deltaDependencies = dependencies.filter(({ name, version }) => !keys.has(`${name}@${version}`));
+        reporter.success(`      ${dependencies.length - deltaDependencies.length} packages already in baseline ${currBaseline.source || currBaseline.name}`);
+
+        dependencies = deltaDependencies;
+    }
+
+    if (!fetchOptions.policy) {
+        return { dependencies, baseline: currBaseline, audit: null };
+    }
+
+    // Audit the packages before fetching, the report is saved in the bundle folder (not in dry run)
+    const policy = await readPolicy(fetchOptions.policy);
+    policy.mode = fetchOptions.policyMode || policy.mode;
+
+    logger('Auditing packages...');
+    const report = await auditPackages(dependencies, policy, {
+        registry: fetchOptions.registry,
+        registryOptions: context.registryOptions,
+        advisories: fetchOptions.advisories ? await readAdvisories(fetchOptions.advisories) : undefined,
+        queue: context.queue,
+        logger,
+    });
+    if (!context.dryRun) {
+        await writeAuditReport(context.destFolder, report);
+    }
+
+    const { summary } = report;
+    reporter.event('audit', { summary });
+    reporter.info(
+        `      Audit: ${summary.passed}/${summary.packages} packages passed the policy${summary.warnings ? `, ${summary.warnings} with warnings` : ''}${context.dryRun ? '' : ` (report: ${join(context.destFolder, AUDIT_TEXT_FILE_NAME)})`}`,
+        summary.errors ? red : green,
+    );
+    if (report.packages.length) {
+        const lines = formatAuditReport(report).split('\n').slice(2);
+        reporter.info(lines.map(line => (line ? `      ${line}` : '')).join('\n'));
+    }
+
+    if (summary.errors && policy.mode === 'fail') {
+        throw new Error(`Policy check failed: ${summary.errors} packages violate the policy, nothing was fetched`);
+    }
+
+    if (summary.errors && policy.mode === 'exclude') {
+        const rejected = isRejected(report);
+        dependencies = dependencies.filter(p => !rejected(p));
+        reporter.warn(`      Excluded ${summary.errors} packages that violate the policy`);
+    }
+
+    const audit = { createdAt: report.createdAt, mode: policy.mode, summary };
+    return { dependencies, baseline: currBaseline, audit };
+}
+
+/**
+ * Fetch the journal packages that not fetched yet (pending and failed packages, and fetched packages that their tarball is invalid)
+ *
+ * @param {FetchJournal} journal The fetch journal
+ * @param {any} fetchOptions The fetch options
+ * @param {any} context The command context (progress bar, work queue and failures)
+ */
+async function fetchJournalPackages(journal, fetchOptions, context) {
+    const { reporter, stages } = context;
+    const destFolder = journal.folderPath;
+
+    // Verify the tarballs that already fetched (the fetch may be interrupted while writing the file)
+    const done = journal.filter('done');
+    if (done.length) {
+        const { invalid } = await verifyBundle(destFolder, { packages: done });
+        invalid.forEach(({ entry }) => journal.update(entry.name, entry.version, 'pending'));
+        reporter.success(`      ${done.length - invalid.length} packages already fetched${invalid.length ? `, ${invalid.length} invalid tarballs fetched again` : ''}`);
+    }
+
+    const packagesToFetch = journal.filter('pending', 'failed', 'cached');
+
+    const { packages: completedPackages, failures, cached } = await context.packager.download(packagesToFetch, {
+        useCache: fetchOptions.useCache,
+        destFolder,
+        bundle: fetchOptions.tar ? `${basename(destFolder)}.tar` : basename(destFolder),
+        journal,
+    });
+    context.failures.push(...failures);
+
+    const downloaded = packagesToFetch.length - cached;
+    const displayAmount = completedPackages.length === downloaded ? downloaded : `${completedPackages.length}/${downloaded}`;
+
+    reporter.stop();
+    reporter.stage('download', `[${context.getStage()}/${stages}] Fetching packages completed with ${displayAmount} packages ${cached ? `(${cached} packages already in cache)` : ''}`, {
+        packages: completedPackages.length,
+        failed: downloaded - completedPackages.length,
+        cached,
+    });
+}
+
+/**
+ * Report the packages that the fetch would download (dry run): the tarballs sizes and the packages in cache
+ *
+ * @param {any[]} packages The resolved packages
+ * @param {any} fetchOptions The fetch options
+ * @param {any} context The command context (progress bar, work queue and failures)
+ */
+async function estimateFetch(packages, fetchOptions, context) {
+    const { reporter, stages } = context;
+    const estimate = await context.packager.estimate(packages, { useCache: fetchOptions.useCache });
+
+    reporter.stop();
+    estimate.packages.forEach(p => {
+        reporter.event('package', { ...p, dryRun: true });
+        reporter.debug(`      ${p.name}@${p.version}  ${p.cached ? 'in cache' : formatSize(p.size)}`);
+    });
+
+    const toFetch = estimate.packages.length - estimate.cached;
+    reporter.stage('estimate', `[${context.getStage()}/${stages}] Dry run: ${toFetch} packages to fetch (${formatSize(estimate.size)}${estimate.unknown ? `, ${estimate.unknown} packages with unknown size` : ''})${estimate.cached ? `, ${estimate.cached} packages already in cache` : ''}`, {
+        packages: toFetch,
+        size: estimate.size,
+        cached: estimate.cached,
+        unknown: estimate.unknown,
+    });
+
+    printFailures(context.failures, reporter);
+    reporter.summary(getStatus(packages.length, context.failures.length), {
+        dryRun: true,
+        packages: toFetch,
+        size: estimate.size,
+        cached: estimate.cached,
+        failures: context.failures,
+    });
+}
+
+/**
+ * Fetch the extra assets of the fetched packages (prebuilt binaries) into the bundle folder
+ *
+ * @param {any[]} packages The fetched packages
+ * @param {any} fetchOptions The fetch options
+ * @param {any} context The command context (progress bar, work queue and failures)
+ *
+ * @returns {Promise<{ assets: number, missing: number, size: number }>} The extras summary
+ */
+async function fetchBundleExtras(packages, fetchOptions, context) {
+    const { reporter, logger } = context;
+
+    logger('Fetching extras...');
+    const extras = await fetchExtras(context.destFolder, packages, {
+        rules: fetchOptions.extrasConfig ? await readExtrasConfig(fetchOptions.extrasConfig) : undefined,
+        targets: fetchOptions.platforms ? parsePlatforms(fetchOptions.platforms) : undefined,
+        nodeVersion: fetchOptions.nodeVersion,
+        queue: context.queue,
+        failures: context.failures,
+        logger,
+    });
+
+    const size = extras.assets.reduce((total, asset) => total + asset.size, 0);
+    reporter.event('extras', { assets: extras.assets.length, missing: extras.missing.length, size });
+    reporter.success(`      Extras: ${extras.assets.length} assets (${(size / 1024 / 1024).toFixed(1)}MB) for ${extras.targets.join(', ')}`);
+    extras.missing.forEach(asset => reporter.info(`        ${asset.package}: no ${asset.rule} asset ${asset.url} (${asset.status})`, yellow));
+
+    return { assets: extras.assets.length, missing: extras.missing.length, size };
+}
+
+/**
+ * Print the packages that failed to resolve or download after all the retries (in json mode the failures are in the summary)
+ *
+ * @param {{ stage: string, name: string, spec: string, parent?: string, attempts: number, message: string }[]} failures The failures
+ * @param {Reporter} [reporter] The command reporter
+ */
+function printFailures(failures, reporter = new Reporter()) {
+    if (!failures.length || reporter.json) {
+        return;
+    }
+
+    reporter.write(`      Failed ${failures.length} packages:`, red, true);
+    failures.forEach(({ stage, name, spec, parent, attempts, message }) => {
+        reporter.write(`        [${stage}] ${name}@${spec}${parent ? ` required by ${parent}` : ''}: ${message} (${attempts} ${attempts > 1 ? 'attempts' : 'attempt'})`, red, true);
+    });
+}
+
+/**
+ * Format size in bytes for display
+ *
+ * @param {number} size The size in bytes
+ *
+ * @returns {string} The size in KB or MB
+ */
+function formatSize(size) {
+    if (size === null || size === undefined) {
+        return 'unknown size';
+    }
+
+    return size >= 1024 * 1024 ? `${(size / 1024 / 1024).toFixed(1)}MB` : `${(size / 1024).toFixed(1)}KB`;
+}
+
+/**
+ * Print the publish result of package (the failures are printed also in quiet mode)
+ *
+ * @param {{ name: string, version: string, fileName: string, status: string, httpStatus?: number, error?: string, dryRun?: boolean }} result The publish result
+ * @param {{ delPackage?: boolean }} options The publish options
+ * @param {Reporter} reporter The command reporter
+ */
+function printPublishResult(result, options, reporter) {
+    const packageFullName = result.name && result.version ? `${result.name}@${result.version}` : result.fileName;
+
+    if (result.status === 'published') {
+        if (result.dryRun) {
+            reporter.info(`${packageFullName} - would be published`, green);
+        } else {
+            reporter.info(options.delPackage ? `installed package:${green(packageFullName)}, deleted file:${gray(result.fileName)}` : green(packageFullName));
+        }
+    } else if (result.status === 'exists') {
+        reporter.info(`${packageFullName} - already exists`, yellow);
+    } else if (result.status === 'skipped' && !reporter.json) {
+        reporter.write(`${packageFullName} - skipped: ${result.error}`, red);
+    } else if (!reporter.json) {
+        reporter.write(`${packageFullName} - ${result.dryRun ? 'would fail' : 'failed'}${result.httpStatus ? ` (HTTP ${result.httpStatus})` : ''}: ${result.error}`, red);
+    }
+}
+
+/**
+ * Print the publish state of all the bundle packages and write the publish report
+ *
+ * @param {PublishState} state The publish state
+ * @param {{ dryRun?: boolean, report?: 'html' | 'json' }} options The publish command options
+ * @param {Reporter} reporter The command reporter
+ *
+ * @returns {Promise<string | undefined>} The report file path
+ */
+async function printPublishState(state, options, reporter) {
+    if (!state || options.dryRun) {
+        return undefined;
+    }
+
+    const counts = state.counts();
+    const remaining = counts.failed + counts.skipped + counts.pending;
+    reporter.info(`Publish state saved to ${state.filePath}: ${counts.published + counts.exists} of ${counts.packages} packages are in the registry${remaining ? `, ${remaining} left (use --retry-failed to publish them)` : ''}`, remaining ? yellow : green);
+
+    if (!options.report) {
+        return undefined;
+    }
+
+    const reportFile = await writePublishReport(state, options.report);
+    reporter.success(`Publish report written to ${reportFile}`);
+    return reportFile;
+}
+
+/**
+ * Print the registry diff against the bundle (the missing and mismatched versions are printed also in quiet mode)
+ *
+ * @param {{ registry: string, packages: number, verified: number, missing: any[], mismatched: any[], extra: any[] }} diff The verify result
+ * @param {Reporter} reporter The command reporter
+ */
+function printVerifyDiff(diff, reporter) {
+    if (reporter.json) {
+        return;
+    }
+
+    diff.missing.forEach(({ name, version, reason }) => reporter.write(`- missing     ${name}@${version} (${reason})`, red));
+    diff.mismatched.forEach(({ name, version, field, expected, actual }) => reporter.write(`~ mismatched  ${name}@${version} ${field}: expected ${expected}, registry ${actual}`, red));
+    diff.extra.forEach(({ name, version }) => reporter.info(`+ extra       ${name}@${version}`, gray));
+
+    const failed = diff.missing.length + diff.mismatched.length;
+    reporter.info(`Verified ${diff.verified} of ${diff.packages} packages against ${diff.registry}: ${diff.missing.length} missing, ${diff.mismatched.length} mismatches, ${diff.extra.length} extra versions in the registry`, failed ? yellow : green);
+}
+
+/**
+ * Print the platform specific packages that included or skipped by the target platforms
+ *
+ * @param {{ name: string, version: string, os?: string[], cpu?: string[], libc?: string[], targets: string[], included: boolean }[]} platformPackages The platform packages
+ * @param {{ name: string }[]} platforms The target platforms
+ * @param {(message: string) => void} print The print function
+ */
+function printPlatformPackages(platformPackages, platforms, print) {
+    const included = platformPackages.filter(p => p.included);
+    const skipped = platformPackages.filter(p => !p.included);
+    const describe = p => ['os', 'cpu', 'libc'].filter(field => p[field]).map(field => [].concat(p[field]).join('|')).join(' ');
+
+    print(green(`      Platforms ${platforms.map(({ name }) => name).join(', ')}: ${included.length} platform packages included, ${skipped.length} skipped`));
+    included.forEach(p => {
+        const targets = p.targets.length ? p.targets.join(', ') : 'no target platform, required dependency';
+        print((p.targets.length ? green : yellow)(`        + ${p.name}@${p.version} (${targets})`));
+    });
+    skipped.forEach(p => print(`        - ${p.name}@${p.version} (${describe(p)})`));
+}
+
+/**
+ * Open bundle folder, archive or volumes (archives and volumes are extracted to temp folder)
+ *
+ * @param {string} path The bundle folder, archive, first volume or folder of volumes
+ * @param {string} tempPrefix The temp folder prefix
+ *
+ * @returns {Promise<{ folderPath: string, tempFolder?: string }>} The bundle folder and the temp folder to remove when done
+ */
+async function openBundle(path, tempPrefix) {
+    const isDirectory = lstatSync(path).isDirectory();
+
+    const isVolumesFolder = isDirectory && !readdirSync(path).some(fileName => fileName.endsWith('.tgz')) && (await findBundleVolumes(path)).length > 0;
+    if (isBundleVolume(path) || isVolumesFolder) {
+        const tempFolder = mkdtempSync(join(tmpdir(), tempPrefix));
+        return { folderPath: await extractBundleVolumes(resolve(path), tempFolder), tempFolder };
+    }
+
+    if (!isDirectory && isBundleArchive(path)) {
+        const tempFolder = mkdtempSync(join(tmpdir(), tempPrefix));
+        await extractArchive(path, tempFolder);
+        return { folderPath: join(tempFolder, readdirSync(tempFolder)[0]), tempFolder };
+    }
+
+    if (!isDirectory) {
+        throw new Error(`The path "${path}" is not a bundle folder or archive`);
+    }
+
+    return { folderPath: resolve(path) };
+}
+
+/**
+ * Collect repeatable option values (e.g. -p a -p b)
+ *
+ * @param {string} value The option value
+ * @param {string[]} previous The previous values
+ *
+ * @returns {string[]} The values
+ */
+function collectOption(value, previous) {
+    return (previous || []).concat(value);
+}
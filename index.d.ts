@@ -0,0 +1,376 @@
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+export type ProgressStage = 'resolve' | 'estimate' | 'download' | 'archive' | 'publish' | 'verify';
+
+export interface Progress {
+    stage: ProgressStage | null;
+    message: string;
+    percent: number;
+}
+
+export interface RegistryOptions {
+    registry?: string;
+    'strict-ssl'?: boolean;
+    proxy?: string;
+    'https-proxy'?: string;
+    ca?: string | string[];
+    cert?: string;
+    key?: string;
+    [key: string]: any;
+}
+
+export interface PackagerOptions {
+    /** The registry url (default: registry from .npmrc or https://registry.npmjs.org/) */
+    registry?: string;
+    /** The registry requests options (default: the .npmrc registries, credentials, proxy and ssl settings) */
+    registryOptions?: RegistryOptions;
+    /** The npm config, false ignores the .npmrc files (default: the project and user .npmrc) */
+    npmrc?: { [key: string]: string } | false;
+    /** How many registry requests to run concurrently (default: 10) */
+    concurrency?: number;
+    /** How many times to retry failed registry request (default: 3) */
+    retries?: number;
+    /** Whether to skip the packages in the packages cache and add the downloaded packages to it */
+    useCache?: boolean;
+    /** The packages cache db file or DBCache instance (default: ~/.npm-offline-packager/db/packages-cache.db) */
+    cacheDb?: string | any;
+    /** The pacote cache folder (default: the CACHE_FOLDER environment variable or the npm cache _cacache folder) */
+    cacheFolder?: string;
+    /** The progress messages logger (nothing is printed without logger) */
+    logger?: (message: string, percent: number) => void;
+}
+
+export interface Manifest {
+    name?: string;
+    version?: string;
+    dependencies?: { [name: string]: string };
+    devDependencies?: { [name: string]: string };
+    peerDependencies?: { [name: string]: string };
+    optionalDependencies?: { [name: string]: string };
+    [key: string]: any;
+}
+
+export interface Workspace {
+    name: string;
+    version?: string;
+    location: string;
+    manifest: Manifest;
+}
+
+export type ResolveInput = string[]
+    | { manifest: Manifest; workspaces?: Workspace[] }
+    | { packageJson: string | string[] }
+    | { lockfile: string };
+
+export interface ResolveOptions {
+    dev?: boolean;
+    peer?: boolean;
+    optional?: boolean;
+    /** The target platforms, e.g. "linux-x64-glibc,win32-x64" */
+    platforms?: string | Platform[];
+    nodeVersion?: string;
+}
+
+export interface Platform {
+    name: string;
+    os: string;
+    cpu: string;
+    libc?: string;
+}
+
+export interface ResolvedPackage {
+    name: string;
+    version: string;
+    isLatest?: boolean;
+    distTags?: string[];
+    registry?: string;
+    resolved?: string;
+    integrity?: string;
+    requires?: string[];
+    optional?: boolean;
+}
+
+export interface TreeNode {
+    name: string;
+    version?: string;
+    requested?: string;
+    type?: 'prod' | 'dev' | 'peer' | 'optional' | 'workspace';
+    deduped?: boolean;
+    workspace?: boolean;
+    link?: boolean;
+    location?: string;
+    path: string[];
+    dependencies: TreeNode[];
+    [key: string]: any;
+}
+
+export interface Failure {
+    stage: string;
+    name: string;
+    spec: string;
+    parent?: string;
+    code?: string;
+    attempts: number;
+    message: string;
+}
+
+export interface SkippedDependency {
+    name: string;
+    spec: string;
+    type: string;
+    parent?: string;
+}
+
+export interface PlatformPackage {
+    name: string;
+    version: string;
+    os?: string[];
+    cpu?: string[];
+    libc?: string[];
+    targets: string[];
+    included: boolean;
+}
+
+export interface ResolveResult {
+    /** The dependencies tree (null for lockfile input) */
+    tree: TreeNode | null;
+    packages: ResolvedPackage[];
+    skipped: SkippedDependency[];
+    failures: Failure[];
+    platformPackages: PlatformPackage[];
+}
+
+export interface DownloadedPackage {
+    name: string;
+    version: string;
+    isLatest: boolean;
+    distTags: string[];
+    registry: string;
+    fileName: string;
+    integrity: string;
+    shasum: string;
+    size: number;
+}
+
+export interface DownloadOptions {
+    destFolder: string;
+    useCache?: boolean;
+    /** The bundle name that recorded in the packages cache (default: the destination folder name) */
+    bundle?: string;
+    /** FetchJournal to record the packages status */
+    journal?: any;
+}
+
+export interface DownloadResult {
+    packages: DownloadedPackage[];
+    failures: Failure[];
+    /** The count of the packages that skipped because they are in the packages cache */
+    cached: number;
+}
+
+export interface EstimatedPackage {
+    name: string;
+    version: string;
+    registry: string;
+    /** The tarball size in bytes (null for packages in cache or when the registry doesn't report it) */
+    size: number | null;
+    cached: boolean;
+}
+
+export interface EstimateResult {
+    packages: EstimatedPackage[];
+    /** The total size of the packages to download */
+    size: number;
+    /** The count of the packages in the packages cache */
+    cached: number;
+    /** The count of the packages with unknown size */
+    unknown: number;
+}
+
+export interface FetchOptions extends ResolveOptions {
+    destFolder: string;
+    /** Whether to create the bundle archive (the bundle folder is removed if the fetch created it) */
+    tar?: boolean;
+    compress?: 'gzip' | 'zstd' | 'none';
+    useCache?: boolean;
+}
+
+export interface FetchResult {
+    /** The bundle manifest (npo-manifest.json) */
+    manifest: any;
+    /** The bundle folder or archive path */
+    destination: string;
+    packages: DownloadedPackage[];
+    skipped: SkippedDependency[];
+    failures: Failure[];
+}
+
+export interface PublishOptions {
+    /** The registry url (default: registry from .npmrc) */
+    registry?: string;
+    /** The registry auth token (default: auth from .npmrc) */
+    token?: string;
+    /** Whether to publish without checking if the version already exists */
+    force?: boolean;
+    /** How many packages to publish concurrently (default: 20) */
+    concurrent?: number;
+    /** Whether to delete the published tarballs */
+    delPackage?: boolean;
+    /** The bundle manifest (default: npo-manifest.json of the folder) */
+    manifest?: any;
+    /** Whether to check the packages against the registry without publishing */
+    dryRun?: boolean;
+    /** The publish state file that records the status of every package (not changed by dry run) */
+    stateFile?: string;
+    /** Whether to publish only the packages that are not published or existed according to the state file */
+    retryFailed?: boolean;
+}
+
+export interface PublishPackageResult {
+    name?: string;
+    version?: string;
+    fileName: string;
+    status: 'published' | 'exists' | 'failed' | 'skipped';
+    distTags?: string[];
+    httpStatus?: number;
+    error?: string;
+    /** The status that the publish would have (dry run) */
+    dryRun?: boolean;
+}
+
+export interface PublishResult {
+    results: PublishPackageResult[];
+    published: number;
+    exists: number;
+    failed: number;
+    /** The count of the packages that skipped because their tarball is tampered, truncated or missing */
+    skipped: number;
+    /** The publish state (null without stateFile) */
+    state: PublishState | null;
+}
+
+export type PublishStatus = 'pending' | 'published' | 'exists' | 'failed' | 'skipped';
+
+export interface PublishStatePackage {
+    name?: string;
+    version?: string;
+    fileName: string;
+    status: PublishStatus;
+    attempts: number;
+    httpStatus?: number;
+    error?: string;
+    warnings?: string[];
+    updatedAt?: string;
+}
+
+export class PublishState {
+    static read(filePath: string): Promise<PublishState | null>;
+    static open(filePath: string, data: { bundle: string; registry: string; packages?: { name?: string; version?: string; fileName: string }[] }): Promise<PublishState>;
+
+    readonly filePath: string;
+    readonly data: { bundle: string; registry: string; createdAt: string; updatedAt: string | null; runs: any[]; packages: PublishStatePackage[] };
+
+    shouldRetry(fileName: string): boolean;
+    filter(...statuses: PublishStatus[]): PublishStatePackage[];
+    counts(): { packages: number } & { [status in PublishStatus]: number };
+}
+
+export interface VerifyOptions {
+    /** The registry url to verify (default: the packager registry) */
+    registry?: string;
+    /** The registry auth token (default: auth from .npmrc) */
+    token?: string;
+    /** Whether to download the served tarballs and check their integrity (default: true) */
+    tarballs?: boolean;
+}
+
+export interface VerifyMismatch {
+    /** The mismatched field: dist-tags.<tag>, integrity, shasum or tarball */
+    field: string;
+    expected: string;
+    actual: string | null;
+}
+
+export interface VerifyVersionResult {
+    name: string;
+    version: string;
+    status: 'verified' | 'missing' | 'mismatched';
+    reason?: string;
+    mismatches?: VerifyMismatch[];
+}
+
+export interface VerifyResult {
+    registry: string;
+    /** The count of the bundle versions */
+    packages: number;
+    verified: number;
+    missing: { name: string; version: string; reason: string }[];
+    mismatched: ({ name: string; version: string } & VerifyMismatch)[];
+    /** The registry versions of the bundle packages that not in the bundle */
+    extra: { name: string; version: string }[];
+}
+
+export type PackagerErrorCode = 'EINPUT' | 'ENOPACKAGES' | 'ENOTFOUND';
+
+export class PackagerError extends Error {
+    constructor(message: string, code: PackagerErrorCode, details?: any);
+    name: 'PackagerError';
+    code: PackagerErrorCode;
+    details?: any;
+}
+
+export class Packager extends EventEmitter {
+    constructor(options?: PackagerOptions);
+
+    readonly registry: string;
+    readonly registryOptions: RegistryOptions;
+    /** The work queue of the instance registry requests */
+    readonly queue: { push<T>(task: () => Promise<T>, label?: string): Promise<T> };
+
+    resolve(input: ResolveInput, options?: ResolveOptions): Promise<ResolveResult>;
+    estimate(packages: ResolvedPackage[], options?: { useCache?: boolean }): Promise<EstimateResult>;
+    download(packages: ResolvedPackage[], options: DownloadOptions): Promise<DownloadResult>;
+    fetch(input: ResolveInput, options: FetchOptions): Promise<FetchResult>;
+    publish(path: string, options?: PublishOptions): Promise<PublishResult>;
+    verify(folderPath: string, options?: VerifyOptions): Promise<VerifyResult>;
+
+    on(event: 'progress', listener: (progress: Progress) => void): this;
+    on(event: 'package', listener: (p: DownloadedPackage) => void): this;
+    on(event: 'failure', listener: (failure: Failure) => void): this;
+    on(event: 'skipped', listener: (dependency: SkippedDependency) => void): this;
+    on(event: 'publish', listener: (result: PublishPackageResult) => void): this;
+    on(event: 'verify', listener: (result: VerifyVersionResult) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export function createPackager(options?: PackagerOptions): Packager;
+
+export function resolveDependencies(manifest: Manifest, options?: any): Promise<ResolvedPackage[]>;
+export function resolveDependencyTree(manifest: Manifest, options?: any): Promise<TreeNode>;
+export function downloadPackages(packages: ResolvedPackage[], options?: any): Promise<(DownloadedPackage | null)[]>;
+export function toTreeJson(node: TreeNode): any;
+export function formatTreeText(tree: TreeNode): string;
+export function createPackageLock(tree: TreeNode): any;
+export function parseLockfile(path: string): Promise<ResolvedPackage[]>;
+export function readProjects(paths: string | string[]): { manifest: Manifest; workspaces: Workspace[] };
+export function readNpmrc(options?: { cwd?: string; userconfig?: string }): { [key: string]: string };
+export function getRegistryOptions(config: { [key: string]: string }, registry?: string): RegistryOptions;
+export function parsePlatforms(platforms: string | string[]): Platform[];
+export function publishFolder(folderPath: string, options?: PublishOptions & {
+    config?: any;
+    filter?: (entry: { fileName: string; [key: string]: any }) => boolean;
+    onResult?: (result: PublishPackageResult) => void;
+}): Promise<PublishPackageResult[]>;
+export function writePublishReport(state: PublishState, format: 'html' | 'json'): Promise<string>;
+export function publishTarball(filePath: string, options?: PublishOptions & { config?: any; onResult?: (result: PublishPackageResult) => void }): Promise<PublishPackageResult>;
+
+export class BundleRegistry {
+    static load(folderPath: string, options?: { logger?: (message: string) => void }): Promise<BundleRegistry>;
+    listen(port?: number, host?: string): Promise<string>;
+    close(): Promise<void>;
+    [key: string]: any;
+}
+
+export const cache: any;
@@ -1,9 +1,37 @@
-const { resolveDependencies, downloadPackages } = require('./lib/fetch-packages');
+const { resolveDependencies, resolveDependencyTree, downloadPackages } = require('./lib/fetch-packages');
+const { toTreeJson, formatTreeText, createPackageLock } = require('./lib/dependency-tree');
 const { publishFolder, publishTarball } = require('./lib/npm-publish');
+const { Packager, PackagerError, createPackager } = require('./lib/packager');
+const { PublishState, writePublishReport } = require('./lib/publish-state');
+const { parseLockfile } = require('./lib/lockfile');
+const { readProjects } = require('./lib/workspaces');
+const { readNpmrc, getRegistryOptions } = require('./lib/npmrc');
+const { parsePlatforms } = require('./lib/platform');
+const { BundleRegistry } = require('./lib/bundle-registry');
+const caches = require('./lib/cache');
 
 module.exports = {
+    createPackager,
+    Packager,
+    PackagerError,
     resolveDependencies,
+    resolveDependencyTree,
+    toTreeJson,
+    formatTreeText,
+    createPackageLock,
     downloadPackages,
+    parseLockfile,
+    readProjects,
+    readNpmrc,
+    getRegistryOptions,
+    parsePlatforms,
     publishFolder,
     publishTarball,
+    PublishState,
+    writePublishReport,
+    BundleRegistry,
+    // The packages cache db is opened on first use
+    get cache() {
+        return caches.cache;
+    },
 };
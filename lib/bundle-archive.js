@@ -0,0 +1,231 @@
+const { c, t, x } = require('tar');
+const { spawn } = require('child_process');
+const { createHash } = require('crypto');
+const { promisify } = require('util');
+const { basename } = require('path');
+const { createReadStream, existsSync, readFile, writeFile } = require('fs');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+
+// Archive file extension of every compression
+const ARCHIVE_EXTENSIONS = {
+    none: '.tar',
+    gzip: '.tar.gz',
+    zstd: '.tar.zst',
+};
+
+/**
+ * Get the archive compression by the file extension
+ *
+ * @param {string} path The archive path
+ *
+ * @returns {'none' | 'gzip' | 'zstd' | null} The compression or null if the file is not a bundle archive
+ */
+function getArchiveCompression(path) {
+    return Object.keys(ARCHIVE_EXTENSIONS).find(compress => path.endsWith(ARCHIVE_EXTENSIONS[compress])) || null;
+}
+
+/**
+ * Is the file a bundle archive (.tar, .tar.gz or .tar.zst)
+ *
+ * @param {string} path The file path
+ *
+ * @returns {boolean} Is bundle archive
+ */
+function isBundleArchive(path) {
+    return getArchiveCompression(path) !== null;
+}
+
+/**
+ * Remove the archive extension from the file path
+ *
+ * @param {string} path The archive path
+ *
+ * @returns {string} The path without the extension
+ */
+function removeArchiveExtension(path) {
+    const compress = getArchiveCompression(path);
+    return compress ? path.slice(0, -ARCHIVE_EXTENSIONS[compress].length) : path;
+}
+
+/**
+ * Create archive file from the files (zstd compression uses the zstd command)
+ *
+ * @param {string} file The archive path (with the compression extension)
+ * @param {{ cwd: string, files: string[], compress?: 'none' | 'gzip' | 'zstd', filter?: (path: string) => boolean }} options The options
+ *
+ * @returns {Promise<void>}
+ */
+async function createArchive(file, options) {
+    const compress = options.compress || 'none';
+    if (!ARCHIVE_EXTENSIONS[compress]) {
+        throw new Error(`Unknown compression "${compress}" (expected gzip, zstd or none)`);
+    }
+
+    const tarOptions = { cwd: options.cwd, filter: options.filter, portable: true };
+
+    if (compress === 'zstd') {
+        const tarFile = removeArchiveExtension(file) + ARCHIVE_EXTENSIONS.none;
+        await c({ ...tarOptions, file: tarFile }, options.files);
+        await runZstd(['-q', '-f', '--rm', tarFile, '-o', file]);
+        return;
+    }
+
+    await c({ ...tarOptions, file, gzip: compress === 'gzip' }, options.files);
+}
+
+/**
+ * Extract archive file (tar, gzip or zstd)
+ *
+ * @param {string} file The archive path
+ * @param {string} cwd The folder to extract into
+ *
+ * @returns {Promise<void>}
+ */
+async function extractArchive(file, cwd) {
+    if (getArchiveCompression(file) === 'zstd') {
+        // The extractor emits close after all the files are written
+        await pipeZstd(file, x({ cwd }), 'close');
+        return;
+    }
+
+    await x({ file, cwd });
+}
+
+/**
+ * Read file content from the archive (the file in the archive root folder)
+ *
+ * @param {string} file The archive path
+ * @param {string} fileName The file name
+ *
+ * @returns {Promise<string>} The file content or null if not found
+ */
+async function readArchiveFile(file, fileName) {
+    const chunks = [];
+    const options = {
+        filter: path => basename(path) === fileName && path.split('/').filter(Boolean).length === 2,
+        onReadEntry: entry => entry.on('data', chunk => chunks.push(chunk)),
+    };
+
+    if (getArchiveCompression(file) === 'zstd') {
+        await pipeZstd(file, t(options), 'end');
+    } else {
+        await t({ ...options, file });
+    }
+
+    return chunks.length ? Buffer.concat(chunks).toString('utf-8') : null;
+}
+
+/**
+ * Write checksum file next to the archive (sha256sum format, "<file>.sha256")
+ *
+ * @param {string} file The archive path
+ *
+ * @returns {Promise<string>} The checksum file path
+ */
+async function writeChecksumFile(file) {
+    const checksumFile = `${file}.sha256`;
+    await writeFilePromise(checksumFile, `${await sha256(file)}  ${basename(file)}\n`, { encoding: 'utf-8' });
+    return checksumFile;
+}
+
+/**
+ * Verify the archive against its checksum file
+ *
+ * @param {string} file The archive path
+ *
+ * @returns {Promise<void>} Rejected with the reason in case of missing checksum file or modified archive
+ */
+async function verifyChecksumFile(file) {
+    const checksumFile = `${file}.sha256`;
+    if (!existsSync(checksumFile)) {
+        throw new Error(`the checksum file "${basename(checksumFile)}" is missing`);
+    }
+
+    const [expected] = (await readFilePromise(checksumFile, { encoding: 'utf-8' })).trim().split(/\s+/);
+    const actual = await sha256(file);
+    if (expected !== actual) {
+        throw new Error(`the file "${basename(file)}" is truncated or modified (sha256 ${actual} instead of ${expected})`);
+    }
+}
+
+/**
+ * Calculate the file sha256 hex digest
+ *
+ * @param {string} file The file path
+ *
+ * @returns {Promise<string>} The hex digest
+ */
+function sha256(file) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        createReadStream(file)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Run the zstd command
+ *
+ * @param {string[]} args The command arguments
+ *
+ * @returns {Promise<void>}
+ */
+function runZstd(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('zstd', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        const errors = [];
+        child.stderr.on('data', chunk => errors.push(chunk));
+        child.on('error', error => reject(getZstdError(error)));
+        child.on('close', code => (code === 0 ? resolve() : reject(new Error(`zstd failed: ${Buffer.concat(errors).toString().trim()}`))));
+    });
+}
+
+/**
+ * Decompress zstd file into the writable stream
+ *
+ * @param {string} file The compressed file path
+ * @param {any} stream The writable stream (tar parser or extractor)
+ * @param {string} doneEvent The stream event when done
+ *
+ * @returns {Promise<void>}
+ */
+function pipeZstd(file, stream, doneEvent) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('zstd', ['-d', '-c', '-q', file], { stdio: ['ignore', 'pipe', 'pipe'] });
+        const errors = [];
+        child.stderr.on('data', chunk => errors.push(chunk));
+        child.on('error', error => reject(getZstdError(error)));
+        child.on('close', code => code !== 0 && reject(new Error(`zstd failed: ${Buffer.concat(errors).toString().trim()}`)));
+
+        stream.on('error', reject);
+        stream.on(doneEvent, resolve);
+        child.stdout.pipe(stream);
+    });
+}
+
+/**
+ * Get readable error when the zstd command is missing
+ *
+ * @param {any} error The spawn error
+ *
+ * @returns {Error} The error
+ */
+function getZstdError(error) {
+    return error.code === 'ENOENT' ? new Error('The zstd command is required for zstd compression, install zstd or use --compress gzip') : error;
+}
+
+module.exports = {
+    ARCHIVE_EXTENSIONS,
+    getArchiveCompression,
+    isBundleArchive,
+    removeArchiveExtension,
+    createArchive,
+    extractArchive,
+    readArchiveFile,
+    writeChecksumFile,
+    verifyChecksumFile,
+};
@@ -0,0 +1,112 @@
+const cacache = require('cacache');
+const { promisify } = require('util');
+const { dirname, join } = require('path');
+const { copyFile, mkdir, readFile, writeFile } = require('fs');
+const { WorkQueue } = require('./work-queue');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+const copyFilePromise = promisify(copyFile);
+const mkdirPromise = promisify(mkdir);
+
+const EXPORT_FORMATS = ['static-registry', 'npm-cache'];
+
+// The static registry tarballs folder (package names can't start with "-", so it never conflicts with a packument file)
+const STATIC_TARBALLS_PATH = '-/tarballs';
+
+// The accept headers of the npm clients packument requests (full metadata, and the abbreviated metadata of npm 7-9)
+const PACKUMENT_ACCEPT_HEADERS = [
+    'application/json',
+    'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8, */*',
+];
+
+/**
+ * Export the bundle as static registry folder for plain HTTP file servers
+ * Every packument is written as file in the package url path ("<name>", "@scope/name" and "@scope%2fname" for servers that don't decode the url),
+ * the tarballs are in "-/tarballs/<name>/" and "-/v1/search" contains all the packages
+ *
+ * @param {BundleRegistry} registry The bundle registry
+ * @param {string} outputPath The output folder
+ * @param {{ baseUrl: string }} options The url that the output folder is served from
+ *
+ * @returns {Promise<{ packages: number, tarballs: number }>} The exported packages and tarballs count
+ */
+async function exportStaticRegistry(registry, outputPath, options) {
+    const baseUrl = options.baseUrl.replace(/\/?$/, '/');
+    const tarballPath = entry => `${STATIC_TARBALLS_PATH}/${entry.name}/${entry.name.split('/').pop()}-${entry.version}.tgz`;
+    const queue = new WorkQueue({ concurrency: 20, retries: 0 });
+
+    const write = async (path, content) => {
+        await mkdirPromise(dirname(join(outputPath, path)), { recursive: true });
+        await writeFilePromise(join(outputPath, path), content);
+    };
+
+    const names = [...registry.packages.keys()];
+    await Promise.all(names.map(name => queue.push(async () => {
+        const packument = JSON.stringify(registry.getPackument(name, baseUrl, tarballPath));
+        await write(name, packument);
+        if (name.startsWith('@')) {
+            await write(name.replace('/', '%2f'), packument);
+        }
+
+        await Promise.all(registry.packages.get(name).map(async ({ entry }) => {
+            await mkdirPromise(dirname(join(outputPath, tarballPath(entry))), { recursive: true });
+            await copyFilePromise(join(registry.folderPath, entry.fileName), join(outputPath, tarballPath(entry)));
+        }));
+    }, name)));
+
+    await write('-/v1/search', JSON.stringify(registry.search('', { size: 250 })));
+    return { packages: names.length, tarballs: registry.tarballs.size };
+}
+
+/**
+ * Export the bundle into npm cache folder (_cacache) for "npm install --offline"
+ * The packuments and the tarballs are cached under the registry urls that npm requests (make-fetch-happen cache entries)
+ *
+ * @param {BundleRegistry} registry The bundle registry
+ * @param {string} outputPath The npm cache folder (the "cache" npm config)
+ * @param {{ registry: string }} options The registry url that npm is configured with
+ *
+ * @returns {Promise<{ packages: number, tarballs: number }>} The exported packages and tarballs count
+ */
+async function exportNpmCache(registry, outputPath, options) {
+    const registryUrl = options.registry.replace(/\/?$/, '/');
+    const cachePath = join(outputPath, '_cacache');
+    const queue = new WorkQueue({ concurrency: 10, retries: 0 });
+
+    const put = (url, data, reqHeaders, contentType) => cacache.put(cachePath, `make-fetch-happen:request-cache:${url}`, data, {
+        metadata: {
+            time: Date.now(),
+            url,
+            reqHeaders,
+            resHeaders: { 'content-type': contentType, date: new Date().toUTCString() },
+            options: { compress: true },
+        },
+    });
+
+    const names = [...registry.packages.keys()];
+    await Promise.all(names.map(name => queue.push(async () => {
+        // npm escapes the scoped package name in the packument url
+        const packument = registry.getPackument(name, registryUrl);
+        const packumentUrl = `${registryUrl}${name.replace('/', '%2f')}`;
+        const data = Buffer.from(JSON.stringify(packument));
+        for (let index = 0; index < PACKUMENT_ACCEPT_HEADERS.length; index++) {
+            await put(packumentUrl, data, { accept: PACKUMENT_ACCEPT_HEADERS[index] }, 'application/json');
+        }
+
+        const versions = registry.packages.get(name);
+        for (let index = 0; index < versions.length; index++) {
+            const { entry } = versions[index];
+            const tarball = await readFilePromise(join(registry.folderPath, entry.fileName));
+            await put(packument.versions[entry.version].dist.tarball, tarball, {}, 'application/octet-stream');
+        }
+    }, name)));
+
+    return { packages: names.length, tarballs: registry.tarballs.size };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportStaticRegistry,
+    exportNpmCache,
+};
@@ -0,0 +1,316 @@
+const pacote = require('pacote');
+const { promisify } = require('util');
+const { randomUUID } = require('crypto');
+const ssri = require('ssri');
+const { basename, dirname, join, resolve } = require('path');
+const { readFile, writeFile, existsSync, lstatSync } = require('fs');
+const { isBundleArchive, readArchiveFile } = require('./bundle-archive');
+const { getCacheFolder } = require('./fetch-packages');
+const { getPackageRegistry } = require('./npmrc');
+const { WorkQueue } = require('./work-queue');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+
+const MANIFEST_FILE_NAME = 'npo-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Create bundle manifest for the fetched packages
+ *
+ * @param {{ name: string, version: string, distTags: string[], registry?: string, fileName: string, integrity: string, shasum: string, size: number }[]} packages The bundle packages
+ * @param {{ name: string, registry?: string, baseline?: any, audit?: any, extras?: any }} options The options (audit is the policy audit summary, extras is the extras summary)
+ *
+ * @returns {any} The bundle manifest
+ */
+function createBundleManifest(packages, options) {
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        id: randomUUID(),
+        name: options.name,
+        createdAt: new Date().toISOString(),
+        registry: options.registry,
+        baseline: options.baseline || null,
+        audit: options.audit || null,
+        extras: options.extras || null,
+        packages: packages.map(p => ({
+            name: p.name,
+            version: p.version,
+            distTags: p.distTags || [],
+            registry: p.registry || options.registry,
+            fileName: p.fileName,
+            integrity: p.integrity,
+            shasum: p.shasum,
+            size: p.size,
+        })),
+    };
+}
+
+/**
+ * Write the bundle manifest file into the bundle folder
+ *
+ * @param {string} folderPath The bundle folder
+ * @param {any} manifest The bundle manifest
+ * @param {string} fileName The manifest file name (default: npo-manifest.json)
+ *
+ * @returns {Promise<string>} The manifest file path
+ */
+async function writeBundleManifest(folderPath, manifest, fileName = MANIFEST_FILE_NAME) {
+    const filePath = join(folderPath, fileName);
+    await writeFilePromise(filePath, JSON.stringify(manifest, null, 2), { encoding: 'utf-8' });
+    return filePath;
+}
+
+/**
+ * Read bundle manifest from manifest file, bundle folder or bundle archive (tar, tar.gz, tar.zst or any volume of split bundle)
+ *
+ * @param {string} path The manifest file, bundle folder or bundle archive path
+ *
+ * @returns {Promise<any>} The bundle manifest or null if the bundle has no manifest
+ */
+async function readBundleManifest(path) {
+    if (!existsSync(path)) {
+        throw new Error(`The path "${path}" not existed`);
+    }
+
+    let file;
+    if (lstatSync(path).isDirectory()) {
+        const filePath = join(path, MANIFEST_FILE_NAME);
+        file = existsSync(filePath) ? await readFilePromise(filePath, { encoding: 'utf-8' }) : null;
+    } else if (isBundleArchive(path)) {
+        file = await readArchiveFile(path, MANIFEST_FILE_NAME);
+    } else {
+        file = await readFilePromise(path, { encoding: 'utf-8' });
+    }
+
+    if (!file) {
+        return null;
+    }
+
+    const manifest = JSON.parse(file);
+    if (!manifest || !Array.isArray(manifest.packages)) {
+        throw new Error(`The file "${path}" is not a bundle manifest`);
+    }
+
+    return manifest;
+}
+
+/**
+ * Get the packages of the bundle manifest
+ *
+ * @param {any} manifest The bundle manifest
+ *
+ * @returns {Set<string>} Set of "name@version" keys
+ */
+function getManifestPackageKeys(manifest) {
+    return new Set(manifest.packages.map(p => `${p.name}@${p.version}`));
+}
+
+/**
+ * Create baseline from previous bundle manifest
+ * The baseline is a reference to the bundle, its packages keys are resolved from the bundle and its own baselines
+ *
+ * @param {string} path The manifest file, bundle folder or bundle tar path
+ * @param {{ names?: string[], logger?: Function, registryOptions?: any, queue?: WorkQueue }} options The options
+ * (names are the packages names to check in registry baselines, their packuments requests run in the work queue with the registry options)
+ *
+ * @returns {Promise<{ baseline: any, keys: Set<string> }>} The baseline and the packages keys it contains
+ */
+async function baselineFromManifest(path, options = {}) {
+    const manifest = await readBundleManifest(path);
+    if (!manifest) {
+        throw new Error(`The bundle "${path}" has no ${MANIFEST_FILE_NAME} file`);
+    }
+
+    const baseline = {
+        type: 'bundle',
+        id: manifest.id,
+        name: manifest.name,
+        createdAt: manifest.createdAt,
+        path: resolve(path),
+    };
+
+    return { baseline, keys: await getBundleKeys(manifest, path, options, new Set()) };
+}
+
+/**
+ * Create baseline from the target registry packages list
+ * The source is a registry url, or a dump file of the registry packages:
+ * - text file with "name@version" in each line
+ * - json array of "name@version" strings or { name, version } objects
+ * - json object of package name to versions array
+ * The baseline is a reference to the source and the time it was taken (the integrity of dump file)
+ *
+ * @param {string} source The registry url or the dump file path
+ * @param {string[]} names The packages names to check (used for registry url)
+ * @param {{ registryOptions?: any, queue?: WorkQueue }} options The options (the packuments requests run in the work queue with the registry options)
+ *
+ * @returns {Promise<{ baseline: any, keys: Set<string> }>} The baseline and the packages keys it contains
+ */
+async function baselineFromRegistry(source, names = [], options = {}) {
+    const createdAt = new Date().toISOString();
+    if (/^https?:\/\//.test(source)) {
+        return {
+            baseline: { type: 'registry', source, createdAt },
+            keys: await getRegistryKeys(source, names, options),
+        };
+    }
+
+    if (!existsSync(source)) {
+        throw new Error(`The path "${source}" not existed`);
+    }
+
+    const file = await readFilePromise(source, { encoding: 'utf-8' });
+    return {
+        baseline: { type: 'registry', source: resolve(source), createdAt, integrity: ssri.fromData(file).toString() },
+        keys: parseRegistryDump(file),
+    };
+}
+
+/**
+ * Resolve the packages keys of baseline reference (e.g. the baseline of bundle manifest or fetch journal)
+ * A baseline that can't be resolved anymore (moved bundle, changed dump file) is skipped with warning,
+ * so its packages are fetched again instead of missing from the delta bundle
+ *
+ * @param {any} baseline The baseline
+ * @param {{ names?: string[], logger?: Function, registryOptions?: any, queue?: WorkQueue }} options The options
+ * (names are the packages names to check in registry baselines, their packuments requests run in the work queue with the registry options)
+ *
+ * @returns {Promise<Set<string>>} Set of "name@version" keys
+ */
+function resolveBaselineKeys(baseline, options = {}) {
+    return getBaselineKeys(baseline, undefined, options, new Set());
+}
+
+/**
+ * Get the packages keys of baseline
+ *
+ * @param {any} baseline The baseline
+ * @param {string} from The path of the bundle that refers to the baseline
+ * @param {{ names?: string[], logger?: Function, registryOptions?: any, queue?: WorkQueue }} options The options
+ * @param {Set<string>} visited The ids of the resolved bundles
+ *
+ * @returns {Promise<Set<string>>} Set of "name@version" keys
+ */
+async function getBaselineKeys(baseline, from, options, visited) {
+    const warn = options.logger || (() => { });
+    if (!baseline || visited.has(baseline.id)) {
+        return new Set();
+    }
+
+    if (baseline.type === 'registry') {
+        if (/^https?:\/\//.test(baseline.source)) {
+            return getRegistryKeys(baseline.source, options.names || [], { ...options, until: baseline.createdAt });
+        }
+
+        const file = existsSync(baseline.source) ? await readFilePromise(baseline.source, { encoding: 'utf-8' }) : null;
+        if (!file || (baseline.integrity && !ssri.checkData(file, baseline.integrity))) {
+            warn(`The registry dump "${baseline.source}" ${file ? 'was changed' : 'not existed'}, its packages are not excluded`);
+            return new Set();
+        }
+
+        return parseRegistryDump(file);
+    }
+
+    // The bundle may be moved along with the bundle that refers to it
+    const path = [baseline.path, from && baseline.path && join(dirname(resolve(from)), basename(baseline.path))]
+        .find(candidate => candidate && existsSync(candidate));
+    const manifest = path ? await readBundleManifest(path) : null;
+    if (!manifest || manifest.id !== baseline.id) {
+        warn(`The baseline bundle "${baseline.name}" (${baseline.createdAt}) not found, its packages are not excluded`);
+        return new Set();
+    }
+
+    return getBundleKeys(manifest, path, options, visited);
+}
+
+/**
+ * Get the packages keys of bundle and its baselines
+ *
+ * @param {any} manifest The bundle manifest
+ * @param {string} path The bundle path
+ * @param {{ names?: string[], logger?: Function, registryOptions?: any, queue?: WorkQueue }} options The options
+ * @param {Set<string>} visited The ids of the resolved bundles
+ *
+ * @returns {Promise<Set<string>>} Set of "name@version" keys
+ */
+async function getBundleKeys(manifest, path, options, visited) {
+    visited.add(manifest.id);
+    const keys = await getBaselineKeys(manifest.baseline, path, options, visited);
+    getManifestPackageKeys(manifest).forEach(key => keys.add(key));
+    return keys;
+}
+
+/**
+ * Get the versions of the packages in registry
+ * The packuments requests run in the work queue (options.queue or new queue) with the registry options (.npmrc credentials, proxy and scoped registries)
+ *
+ * @param {string} registry The registry url
+ * @param {string[]} names The packages names
+ * @param {{ registryOptions?: any, queue?: WorkQueue, until?: string }} options The options
+ * (until takes only the versions that were published until this time, with full packuments)
+ *
+ * @returns {Promise<Set<string>>} Set of "name@version" keys
+ */
+async function getRegistryKeys(registry, names, options = {}) {
+    const { until } = options;
+    const queue = options.queue || new WorkQueue();
+    const registryOptions = { ...options.registryOptions, registry };
+
+    const versions = await Promise.all([...new Set(names)].map(name => queue.push(() => pacote.packument(name, {
+        ...registryOptions,
+        registry: getPackageRegistry(registryOptions, name),
+        cache: getCacheFolder(),
+        fullMetadata: Boolean(until),
+        retry: { retries: 0 },
+    }), name)
+        .then(packument => Object.keys(packument.versions || {})
+            // Version without publish time is fetched again
+            .filter(version => !until || (packument.time && Date.parse(packument.time[version]) <= Date.parse(until)))
+            .map(version => `${name}@${version}`))
+        .catch(error => {
+            if (error.code === 'E404') {
+                return [];
+            }
+
+            return Promise.reject(error);
+        })));
+
+    return new Set([].concat(...versions));
+}
+
+/**
+ * Parse registry packages dump file
+ *
+ * @param {string} file The dump file content
+ *
+ * @returns {Set<string>} Set of "name@version" keys
+ */
+function parseRegistryDump(file) {
+    let data;
+    try {
+        data = JSON.parse(file);
+    } catch (error) {
+        return new Set(file.split(/\r?\n/).map(line => line.trim()).filter(Boolean));
+    }
+
+    if (Array.isArray(data)) {
+        return new Set(data.map(item => (typeof item === 'string' ? item : `${item.name}@${item.version}`)));
+    }
+
+    return new Set([].concat(...Object.keys(data).map(name => {
+        const versions = Array.isArray(data[name]) ? data[name] : Object.keys(data[name].versions || {});
+        return versions.map(version => `${name}@${version}`);
+    })));
+}
+
+module.exports = {
+    MANIFEST_FILE_NAME,
+    createBundleManifest,
+    writeBundleManifest,
+    readBundleManifest,
+    getManifestPackageKeys,
+    baselineFromManifest,
+    baselineFromRegistry,
+    resolveBaselineKeys,
+};
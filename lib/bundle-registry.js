@@ -0,0 +1,358 @@
+const http = require('http');
+const ssri = require('ssri');
+const { compare, prerelease, rcompare, valid } = require('semver');
+const { promisify } = require('util');
+const { join } = require('path');
+const { createReadStream, readdir, readFile, stat } = require('fs');
+const { readBundleManifest } = require('./bundle-manifest');
+const { readTarballManifest } = require('./npm-publish');
+const { WorkQueue } = require('./work-queue');
+
+const readFilePromise = promisify(readFile);
+const readdirPromise = promisify(readdir);
+const statPromise = promisify(stat);
+
+// package.json fields that npm adds on publish, not part of the served version manifest
+const PRIVATE_FIELDS = ['_id', '_resolved', '_integrity', '_from', '_shasum', '_args', '_inBundle', '_requested', '_requiredBy', '_where'];
+
+/**
+ * Read-only npm registry of bundle folder
+ * Serves the packuments (generated from the bundle tarballs package.json and the bundle manifest dist-tags and hashes),
+ * the tarballs and the search endpoint (/-/v1/search)
+ */
+class BundleRegistry {
+    /**
+     * @param {string} folderPath The bundle folder
+     * @param {{ name: string, createdAt?: string }} bundle The bundle name and creation date
+     * @param {{ entry: any, packageJson: any }[]} packages The bundle packages with their package.json
+     * @param {{ logger?: (message: string) => void }} options The options (logger is called for every request)
+     */
+    constructor(folderPath, bundle, packages, options = {}) {
+        this.folderPath = folderPath;
+        this.bundle = bundle;
+        this.logger = options.logger || (() => { });
+        this.server = null;
+
+        // The packages versions by name, and the tarball of every "<name>/-/<file name>" path
+        this.packages = new Map();
+        this.tarballs = new Map();
+        packages.forEach(p => {
+            const versions = this.packages.get(p.entry.name) || [];
+            versions.push(p);
+            this.packages.set(p.entry.name, versions);
+            this.tarballs.set(getRegistryTarballPath(p.entry), p.entry);
+        });
+    }
+
+    /**
+     * Load the bundle folder packages (bundles without manifest are loaded from the tarballs files)
+     *
+     * @param {string} folderPath The bundle folder
+     * @param {{ logger?: (message: string) => void }} options The options
+     *
+     * @returns {Promise<BundleRegistry>} The registry
+     */
+    static async load(folderPath, options = {}) {
+        const manifest = await readBundleManifest(folderPath);
+        const entries = manifest
+            ? manifest.packages
+            : (await readdirPromise(folderPath)).filter(fileName => fileName.endsWith('.tgz')).map(fileName => ({ fileName }));
+
+        // Read the package.json of every tarball (limit the open files)
+        const queue = new WorkQueue({ concurrency: 20, retries: 0 });
+        const packages = await Promise.all(entries.map(entry => queue.push(async () => {
+            const data = await readFilePromise(join(folderPath, entry.fileName));
+            const { manifest: packageJson, readme } = await readTarballManifest(data);
+            const { mtime } = await statPromise(join(folderPath, entry.fileName));
+
+            if (manifest) {
+                return { entry, packageJson: { ...packageJson, readme }, time: manifest.createdAt };
+            }
+
+            // Bundle without manifest, the hashes are calculated from the tarball
+            const integrity = ssri.fromData(data, { algorithms: ['sha512', 'sha1'] });
+            return {
+                entry: {
+                    ...entry,
+                    name: packageJson.name,
+                    version: packageJson.version,
+                    distTags: entry.fileName.endsWith('-latest.tgz') ? ['latest'] : [],
+                    integrity: integrity.sha512[0].toString(),
+                    shasum: integrity.sha1[0].hexDigest(),
+                    size: data.length,
+                },
+                packageJson: { ...packageJson, readme },
+                time: mtime.toISOString(),
+            };
+        }, entry.fileName)));
+
+        const bundle = manifest ? { name: manifest.name, createdAt: manifest.createdAt } : { name: folderPath, createdAt: null };
+        return new BundleRegistry(folderPath, bundle, packages, options);
+    }
+
+    /**
+     * Get the packument of the package (all the versions in the bundle)
+     *
+     * @param {string} name The package name
+     * @param {string} baseUrl The registry url that the tarballs urls are relative to
+     * @param {(entry: any) => string} tarballPath The tarball path from the base url (default: like npm registry, "<name>/-/<unscoped name>-<version>.tgz")
+     *
+     * @returns {any} The packument or null if the package not in the bundle
+     */
+    getPackument(name, baseUrl, tarballPath = getRegistryTarballPath) {
+        const versions = this.packages.get(name);
+        if (!versions) {
+            return null;
+        }
+
+        const sorted = [...versions].sort((a, b) => compare(a.entry.version, b.entry.version));
+        const distTags = getDistTags(sorted.map(p => p.entry));
+        const latest = sorted.find(p => p.entry.version === distTags.latest) || sorted[sorted.length - 1];
+
+        const time = sorted.reduce((result, p) => {
+            result[p.entry.version] = p.time || this.bundle.createdAt;
+            return result;
+        }, {});
+        const dates = sorted.map(p => time[p.entry.version]).filter(Boolean).sort();
+        [time.created] = dates;
+        time.modified = dates[dates.length - 1];
+
+        return {
+            _id: name,
+            name,
+            description: latest.packageJson.description,
+            'dist-tags': distTags,
+            versions: sorted.reduce((result, { entry, packageJson }) => {
+                const versionManifest = { ...packageJson };
+                PRIVATE_FIELDS.forEach(field => delete versionManifest[field]);
+                delete versionManifest.readme;
+
+                result[entry.version] = {
+                    ...versionManifest,
+                    _id: `${name}@${entry.version}`,
+                    dist: {
+                        integrity: entry.integrity,
+                        shasum: entry.shasum,
+                        tarball: `${baseUrl}${tarballPath(entry)}`,
+                    },
+                };
+                return result;
+            }, {}),
+            time,
+            readme: latest.packageJson.readme || '',
+            keywords: latest.packageJson.keywords,
+            license: latest.packageJson.license,
+        };
+    }
+
+    /**
+     * Search the bundle packages by text (name, description and keywords, and the "scope:" qualifier), like the registry /-/v1/search endpoint
+     *
+     * @param {string} text The search text
+     * @param {{ size?: number, from?: number }} options The page size and offset
+     *
+     * @returns {{ objects: any[], total: number, time: string }} The search result
+     */
+    search(text, options = {}) {
+        const size = Math.min(Math.max(Number(options.size) || 20, 1), 250);
+        const from = Math.max(Number(options.from) || 0, 0);
+        const terms = String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        const results = [...this.packages.keys()].map(name => {
+            const { entry, packageJson } = this.getLatest(name);
+            const keywords = Array.isArray(packageJson.keywords) ? packageJson.keywords : [];
+            const fields = [name, packageJson.description || '', ...keywords].map(field => String(field).toLowerCase());
+            const scope = name.startsWith('@') ? name.slice(1, name.indexOf('/')) : 'unscoped';
+
+            // Exact name first, then name matches, then description and keywords matches
+            const score = terms.reduce((total, term) => {
+                if (term.startsWith('scope:')) {
+                    return total + (scope === term.slice('scope:'.length) ? 1 : -Infinity);
+                }
+
+                if (name.toLowerCase() === term) {
+                    return total + 10;
+                }
+
+                if (fields[0].includes(term)) {
+                    return total + 3;
+                }
+
+                return total + (fields.slice(1).some(field => field.includes(term)) ? 1 : -Infinity);
+            }, 0);
+
+            return {
+                package: {
+                    name,
+                    scope,
+                    version: entry.version,
+                    description: packageJson.description,
+                    keywords,
+                    date: this.bundle.createdAt,
+                    links: { npm: `https://www.npmjs.com/package/${name}` },
+                },
+                score: { final: 1, detail: { quality: 1, popularity: 1, maintenance: 1 } },
+                searchScore: terms.length ? score : 1,
+            };
+        }).filter(result => result.searchScore > 0);
+
+        results.sort((a, b) => b.searchScore - a.searchScore || a.package.name.localeCompare(b.package.name));
+
+        return {
+            objects: results.slice(from, from + size),
+            total: results.length,
+            time: new Date().toUTCString(),
+        };
+    }
+
+    /**
+     * Get the latest version of the package (the "latest" dist-tag or the max version)
+     *
+     * @param {string} name The package name
+     *
+     * @returns {{ entry: any, packageJson: any }} The package version
+     */
+    getLatest(name) {
+        const versions = this.packages.get(name);
+        const distTags = getDistTags(versions.map(p => p.entry));
+        return versions.find(p => p.entry.version === distTags.latest);
+    }
+
+    /**
+     * Handle registry request (GET and HEAD only)
+     *
+     * @param {http.IncomingMessage} req The request
+     * @param {http.ServerResponse} res The response
+     */
+    handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const baseUrl = `http://${req.headers.host || 'localhost'}/`;
+        const path = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+
+        const send = (status, body, headers = {}) => {
+            this.logger(`${req.method} ${req.url} ${status}`);
+            res.writeHead(status, { 'content-type': 'application/json', ...headers });
+            res.end(req.method === 'HEAD' ? undefined : JSON.stringify(body));
+        };
+
+        if (!['GET', 'HEAD'].includes(req.method)) {
+            return send(405, { error: 'The bundle registry is read-only' });
+        }
+
+        if (path === '-/ping') {
+            return send(200, {});
+        }
+
+        if (path === '-/v1/search') {
+            return send(200, this.search(url.searchParams.get('text'), {
+                size: url.searchParams.get('size'),
+                from: url.searchParams.get('from'),
+            }));
+        }
+
+        // Tarball: <name>/-/<file name>
+        if (/^(@[^/]+\/)?[^/@]+\/-\/[^/]+\.tgz$/.test(path)) {
+            const entry = this.tarballs.get(path);
+            if (!entry) {
+                return send(404, { error: 'Not found' });
+            }
+
+            this.logger(`${req.method} ${req.url} 200`);
+            res.writeHead(200, { 'content-type': 'application/octet-stream', ...(entry.size ? { 'content-length': entry.size } : {}) });
+            if (req.method === 'HEAD') {
+                return res.end();
+            }
+
+            return createReadStream(join(this.folderPath, entry.fileName))
+                .on('error', () => res.destroy())
+                .pipe(res);
+        }
+
+        // Packument: <name> or <name>/<version or tag>
+        const packageMatch = path.match(/^((?:@[^/]+\/)?[^/@]+)(?:\/([^/]+))?$/);
+        const packument = packageMatch && this.getPackument(packageMatch[1], baseUrl);
+        if (!packument) {
+            return send(404, { error: 'Not found' });
+        }
+
+        if (packageMatch[2]) {
+            const version = packument['dist-tags'][packageMatch[2]] || packageMatch[2];
+            return packument.versions[version] ? send(200, packument.versions[version]) : send(404, { error: 'Not found' });
+        }
+
+        return send(200, packument);
+    }
+
+    /**
+     * Start the registry server
+     *
+     * @param {number} port The port
+     * @param {string} host The host
+     *
+     * @returns {Promise<string>} The registry url
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                try {
+                    this.handle(req, res);
+                } catch (error) {
+                    this.logger(`${req.method} ${req.url} 500 ${error.message}`);
+                    res.writeHead(500, { 'content-type': 'application/json' });
+                    res.end(JSON.stringify({ error: error.message }));
+                }
+            });
+
+            this.server.on('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                resolve(`http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}/`);
+            });
+        });
+    }
+
+    /**
+     * Stop the registry server
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+/**
+ * Get the dist-tags of the package versions in the bundle ("latest" is the max stable version when the bundle has no "latest" tag)
+ *
+ * @param {{ version: string, distTags?: string[] }[]} entries The package versions in the bundle
+ *
+ * @returns {{ [tag: string]: string }} The dist-tags
+ */
+function getDistTags(entries) {
+    const distTags = {};
+    [...entries]
+        .sort((a, b) => compare(a.version, b.version))
+        .forEach(entry => (entry.distTags || []).forEach(tag => distTags[tag] = entry.version));
+
+    if (!distTags.latest) {
+        const versions = entries.map(entry => entry.version).filter(valid).sort(rcompare);
+        distTags.latest = versions.find(version => !prerelease(version)) || versions[0];
+    }
+
+    return distTags;
+}
+
+/**
+ * Get the tarball path in the registry (like npm registry, "<name>/-/<unscoped name>-<version>.tgz")
+ *
+ * @param {{ name: string, version: string }} entry The package
+ *
+ * @returns {string} The tarball path
+ */
+function getRegistryTarballPath(entry) {
+    return `${entry.name}/-/${entry.name.split('/').pop()}-${entry.version}.tgz`;
+}
+
+module.exports = {
+    BundleRegistry,
+};
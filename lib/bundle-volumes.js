@@ -0,0 +1,243 @@
+const { promisify } = require('util');
+const { basename, dirname, join, resolve } = require('path');
+const { existsSync, lstatSync, readdir, unlink } = require('fs');
+const { ARCHIVE_EXTENSIONS, createArchive, extractArchive, readArchiveFile, writeChecksumFile, verifyChecksumFile } = require('./bundle-archive');
+const { MANIFEST_FILE_NAME, writeBundleManifest } = require('./bundle-manifest');
+
+const readdirPromise = promisify(readdir);
+const unlinkPromise = promisify(unlink);
+
+const VOLUME_FILE_NAME = 'npo-volume.json';
+
+// Volume file name: <bundle>.<number>.tar[.gz|.zst]
+const VOLUME_PATTERN = /^(.+)\.(\d{3,})(\.tar(?:\.gz|\.zst)?)$/;
+
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Split the bundle packages into volumes that their archive is not bigger than the max size (first fit decreasing)
+ * Every volume contains the bundle manifest, the volume sub-manifest and the volume packages tarballs
+ *
+ * @param {any[]} packages The bundle manifest packages
+ * @param {number} maxSize The max volume size in bytes
+ * @param {number} overhead The size of the files in every volume (the bundle manifest) in bytes
+ *
+ * @returns {{ packages: any[], size: number, oversized: boolean }[]} The volumes
+ */
+function planVolumes(packages, maxSize, overhead) {
+    const tarEntrySize = size => TAR_BLOCK_SIZE + (Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE);
+
+    // The tar end blocks, the sub-manifest header and its padding
+    const volumeOverhead = overhead + (TAR_BLOCK_SIZE * 4);
+    if (volumeOverhead >= maxSize) {
+        throw new Error(`The split size is too small, every volume contains the bundle manifest (${volumeOverhead} bytes)`);
+    }
+
+    const volumes = [];
+    const sorted = [...packages].sort((a, b) => (b.size || 0) - (a.size || 0));
+    sorted.forEach(p => {
+        const size = tarEntrySize(p.size || 0) + JSON.stringify(p, null, 2).length + 8;
+        let volume = volumes.find(currVolume => currVolume.size + size <= maxSize);
+
+        if (!volume) {
+            volume = { packages: [], size: volumeOverhead, oversized: false };
+            volumes.push(volume);
+        }
+
+        volume.packages.push(p);
+        volume.size += size;
+        volume.oversized = volume.size > maxSize;
+    });
+
+    return volumes;
+}
+
+/**
+ * Create the bundle volumes archives from the bundle folder, every volume with its sub-manifest and checksum file
+ *
+ * @param {string} folderPath The bundle folder
+ * @param {any} manifest The bundle manifest
+ * @param {{ splitSize: number, compress?: 'none' | 'gzip' | 'zstd', exclude?: string[], files?: string[] }} options The options
+ * (split size in bytes, files are extra bundle files that added to the first volume)
+ *
+ * @returns {Promise<{ file: string, checksumFile: string, packages: number, oversized: boolean }[]>} The volumes
+ */
+async function createBundleVolumes(folderPath, manifest, options) {
+    const compress = options.compress || 'none';
+    const folder = resolve(folderPath);
+    const name = basename(folder);
+    const exclude = options.exclude || [];
+
+    // Compressed tarballs may grow a bit when compressed again
+    const maxSize = compress === 'none' ? options.splitSize : Math.floor(options.splitSize * 0.995);
+    const overhead = JSON.stringify(manifest, null, 2).length + (TAR_BLOCK_SIZE * 8);
+    const volumes = planVolumes(manifest.packages, maxSize, overhead);
+
+    const files = volumes.map((volume, index) => `${folder}.${String(index + 1).padStart(3, '0')}${ARCHIVE_EXTENSIONS[compress]}`);
+
+    // Every volume contains the full bundle manifest with the volumes list (so any volume can be used as baseline)
+    await writeBundleManifest(folder, {
+        ...manifest,
+        volumes: { count: volumes.length, compress, files: files.map(file => basename(file)) },
+    });
+
+    const result = [];
+    for (let index = 0; index < volumes.length; index++) {
+        const volume = volumes[index];
+        const subManifest = {
+            bundleId: manifest.id,
+            name: manifest.name,
+            index: index + 1,
+            count: volumes.length,
+            file: basename(files[index]),
+            packages: volume.packages,
+        };
+        await writeBundleManifest(folder, subManifest, VOLUME_FILE_NAME);
+
+        await createArchive(files[index], {
+            cwd: dirname(folder),
+            compress,
+            files: [
+                join(name, MANIFEST_FILE_NAME),
+                join(name, VOLUME_FILE_NAME),
+                ...(index === 0 ? options.files || [] : []).map(file => join(name, file)),
+                ...volume.packages.map(p => join(name, p.fileName)),
+            ].filter(file => !exclude.includes(basename(file))),
+        });
+
+        result.push({
+            file: files[index],
+            checksumFile: await writeChecksumFile(files[index]),
+            packages: volume.packages.length,
+            oversized: volume.oversized,
+        });
+    }
+
+    await unlinkPromise(join(folder, VOLUME_FILE_NAME));
+    return result;
+}
+
+/**
+ * Is the path a bundle volume (e.g. "packages_10012019.101010.001.tar.gz")
+ *
+ * @param {string} path The file path
+ *
+ * @returns {boolean} Is bundle volume
+ */
+function isBundleVolume(path) {
+    return VOLUME_PATTERN.test(basename(path));
+}
+
+/**
+ * Find the bundle volumes from the first volume (or any volume) or from folder of volumes
+ *
+ * @param {string} path The volume file or the volumes folder
+ *
+ * @returns {Promise<string[]>} The volumes files sorted by number
+ */
+async function findBundleVolumes(path) {
+    const isDirectory = lstatSync(path).isDirectory();
+    const folder = isDirectory ? path : dirname(path);
+    const files = (await readdirPromise(folder)).filter(isBundleVolume);
+
+    let bundleName;
+    if (isDirectory) {
+        const names = [...new Set(files.map(file => file.match(VOLUME_PATTERN)[1]))];
+        if (names.length > 1) {
+            throw new Error(`The folder "${path}" contains volumes of ${names.length} bundles (${names.join(', ')}), use the first volume path`);
+        }
+        [bundleName] = names;
+    } else {
+        [, bundleName] = basename(path).match(VOLUME_PATTERN);
+    }
+
+    return files
+        .filter(file => file.match(VOLUME_PATTERN)[1] === bundleName)
+        .sort((a, b) => Number(a.match(VOLUME_PATTERN)[2]) - Number(b.match(VOLUME_PATTERN)[2]))
+        .map(file => join(folder, file));
+}
+
+/**
+ * Verify that all the bundle volumes are present and intact (checksum files and sub-manifests)
+ *
+ * @param {string} path The volume file or the volumes folder
+ *
+ * @returns {Promise<{ volumes: string[], manifest: any }>} The volumes files and the bundle manifest
+ */
+async function verifyBundleVolumes(path) {
+    const files = await findBundleVolumes(path);
+    if (!files.length) {
+        throw new Error(`No bundle volumes found in "${path}"`);
+    }
+
+    const manifestFile = await readArchiveFile(files[0], MANIFEST_FILE_NAME)
+        .catch(error => Promise.reject(new Error(`The volume "${files[0]}" is not readable (${error.message})`)));
+    if (!manifestFile) {
+        throw new Error(`The volume "${files[0]}" has no ${MANIFEST_FILE_NAME} file`);
+    }
+
+    const manifest = JSON.parse(manifestFile);
+    const expected = (manifest.volumes && manifest.volumes.files) || [];
+    const folder = dirname(files[0]);
+    const problems = expected
+        .filter(file => !existsSync(join(folder, file)))
+        .map(file => `the volume "${file}" is missing`);
+
+    const present = expected.filter(file => existsSync(join(folder, file)));
+    await Promise.all(present.map(async file => {
+        try {
+            await verifyChecksumFile(join(folder, file));
+
+            const subManifest = JSON.parse(await readArchiveFile(join(folder, file), VOLUME_FILE_NAME) || 'null');
+            if (!subManifest || subManifest.bundleId !== manifest.id) {
+                problems.push(`the volume "${file}" is not part of bundle "${manifest.name}"`);
+            } else if (subManifest.file !== file) {
+                problems.push(`the volume "${file}" is renamed (expected "${subManifest.file}")`);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }));
+
+    if (problems.length) {
+        throw new Error(`The bundle "${manifest.name}" volumes are not valid:\n  ${problems.join('\n  ')}`);
+    }
+
+    return { volumes: expected.map(file => join(folder, file)), manifest };
+}
+
+/**
+ * Verify and extract all the bundle volumes into the bundle folder
+ *
+ * @param {string} path The volume file or the volumes folder
+ * @param {string} cwd The folder to extract into (default: the volumes folder)
+ *
+ * @returns {Promise<string>} The extracted bundle folder
+ */
+async function extractBundleVolumes(path, cwd) {
+    const { volumes, manifest } = await verifyBundleVolumes(path);
+    const folder = cwd || dirname(volumes[0]);
+
+    for (let index = 0; index < volumes.length; index++) {
+        await extractArchive(volumes[index], folder);
+    }
+
+    const bundleFolder = join(folder, basename(volumes[0]).match(VOLUME_PATTERN)[1]);
+    const volumeFile = join(bundleFolder, VOLUME_FILE_NAME);
+    if (existsSync(volumeFile)) {
+        await unlinkPromise(volumeFile);
+    }
+
+    await writeBundleManifest(bundleFolder, manifest);
+    return bundleFolder;
+}
+
+module.exports = {
+    VOLUME_FILE_NAME,
+    planVolumes,
+    createBundleVolumes,
+    isBundleVolume,
+    findBundleVolumes,
+    verifyBundleVolumes,
+    extractBundleVolumes,
+};
@@ -1,100 +1,399 @@
-/* eslint-disable no-shadow */
 const Datastore = require('nedb');
+const cacache = require('cacache');
+const ssri = require('ssri');
+const { promisify } = require('util');
+const { readFile, writeFile } = require('fs');
 const homedir = require('os').homedir();
+const { join } = require('path');
+const { WorkQueue } = require('./work-queue');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+// The default dbs folder, the dbs are opened on first use (requiring the module doesn't touch the disk)
+const DB_FOLDER = join(homedir, '.npm-offline-packager', 'db');
+const instances = {};
 
 /**
- * In memory cache for resolved packages
+ * Local db cache with nedb for fetched packages
+ * Every entry is keyed by name@version@registry and records the tarball integrity,
+ * size, fetch date and the bundle it shipped in
  */
-class InMemoryCache {
-    constructor() {
-        this.cache = {};
+class DBCache {
+    constructor(filename) {
+        this.db = new Datastore({ filename, autoload: true });
+        this.db.ensureIndex({ fieldName: 'key', unique: true, sparse: true });
+
+        this.findPromise = promisify(this.db.find.bind(this.db));
+        this.findOnePromise = promisify(this.db.findOne.bind(this.db));
+        this.updatePromise = promisify(this.db.update.bind(this.db));
+        this.removePromise = promisify(this.db.remove.bind(this.db));
     }
 
-    set(packageName, packageVersion) {
-        return this.cache[`${packageName}@${packageVersion}`] = true;
+    /**
+     * Get the cache key of package
+     *
+     * @param {string} packageName The package name
+     * @param {string} packageVersion The package version
+     * @param {string} registry The registry url
+     *
+     * @returns {string} The cache key
+     */
+    static key(packageName, packageVersion, registry = DEFAULT_REGISTRY) {
+        return `${packageName}@${packageVersion}@${normalizeRegistry(registry)}`;
     }
 
-    get(packageName, packageVersion) {
-        return !!this.cache[`${packageName}@${packageVersion}`];
+    /**
+     * Add package to cache (or update the existing entry)
+     *
+     * @param {string} packageName The package name
+     * @param {string} packageVersion The package version
+     * @param {{ registry?: string, integrity?: string, shasum?: string, size?: number, bundle?: string, fetchedAt?: string }} details The package details
+     *
+     * @returns {Promise<any>} The package from cache
+     */
+    async add(packageName, packageVersion, details = {}) {
+        const registry = normalizeRegistry(details.registry);
+        const key = DBCache.key(packageName, packageVersion, registry);
+        const doc = {
+            key,
+            name: packageName,
+            version: packageVersion,
+            registry,
+            integrity: details.integrity,
+            shasum: details.shasum,
+            size: details.size,
+            bundle: details.bundle,
+            fetchedAt: details.fetchedAt || new Date().toISOString(),
+        };
+
+        await this.updatePromise({ key }, doc, { upsert: true });
+        return doc;
+    }
+
+    /**
+     * Get package from cache
+     *
+     * @param {string} packageName The package name
+     * @param {string} packageVersion The package version
+     * @param {string} registry The registry url
+     *
+     * @returns {Promise<any>} The package from cache or null
+     */
+    get(packageName, packageVersion, registry) {
+        return this.findOnePromise({ key: DBCache.key(packageName, packageVersion, registry) });
     }
 
+    /**
+     * Is package in cache
+     *
+     * @param {string} packageName The package name
+     * @param {string} packageVersion The package version
+     * @param {string} registry The registry url
+     *
+     * @returns {Promise<boolean>} Is package in cache
+     */
+    async exist(packageName, packageVersion, registry) {
+        const doc = await this.get(packageName, packageVersion, registry);
+        return Boolean(doc);
+    }
+
+    /**
+     * Find packages in cache
+     *
+     * @param {{ name?: string, version?: string, registry?: string }} filter The filter
+     *
+     * @returns {Promise<any[]>} The packages sorted by name and version
+     */
+    async find(filter = {}) {
+        const docs = await this.findPromise(toQuery(filter));
+        return docs.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Remove packages from cache
+     *
+     * @param {{ name?: string, version?: string, registry?: string }} filter The filter
+     *
+     * @returns {Promise<number>} The number of removed packages
+     */
+    remove(filter) {
+        return this.removePromise(toQuery(filter), { multi: true });
+    }
+
+    /**
+     * Remove all packages from cache
+     *
+     * @returns {Promise<number>} The number of removed packages
+     */
     clean() {
-        this.cache = {};
+        return this.removePromise({}, { multi: true });
+    }
+
+    /**
+     * Verify the cache entries: remove invalid entries (e.g. old format or broken integrity),
+     * check the tarball of every entry in the pacote cache folder against the entry integrity and size
+     * (corrupt tarballs are removed with their entry so they are fetched again) and compact the db file
+     *
+     * @param {{ cacheFolder?: string }} options The options (cacheFolder is the pacote cache folder, the tarballs are not checked without it)
+     *
+     * @returns {Promise<{ total: number, valid: number, removed: any[], corrupt: any[], missing: any[] }>} The verify result
+     * (removed are the invalid and the corrupt entries, missing are the entries that their tarball is not in the cache folder)
+     */
+    async verify(options = {}) {
+        const docs = await this.findPromise({});
+        const invalid = docs.filter(doc => !isValidEntry(doc));
+        const checked = options.cacheFolder ? await checkTarballs(options.cacheFolder, docs.filter(doc => isValidEntry(doc) && doc.integrity)) : [];
+        const corrupt = checked.filter(result => result.status === 'corrupt').map(({ doc, reason }) => ({ ...doc, reason }));
+        const missing = checked.filter(result => result.status === 'missing').map(result => result.doc);
+        const removed = [...invalid, ...corrupt];
+
+        await Promise.all(corrupt.map(doc => cacache.rm.content(options.cacheFolder, doc.integrity).catch(() => { })));
+        await Promise.all(removed.map(({ _id: id }) => this.removePromise({ _id: id }, {})));
+        this.db.persistence.compactDatafile();
+
+        return { total: docs.length, valid: docs.length - removed.length, removed, corrupt, missing };
+    }
+
+    /**
+     * Export all packages from cache to json file
+     *
+     * @param {string} filePath The export file path
+     *
+     * @returns {Promise<number>} The number of exported packages
+     */
+    async export(filePath) {
+        const docs = await this.find();
+        const entries = docs.map(({ _id, ...doc }) => doc);
+
+        await writeFilePromise(filePath, JSON.stringify(entries, null, 2), { encoding: 'utf-8' });
+        return entries.length;
+    }
+
+    /**
+     * Import packages to cache from json file (created by export)
+     *
+     * @param {string} filePath The import file path
+     *
+     * @returns {Promise<number>} The number of imported packages
+     */
+    async import(filePath) {
+        const file = await readFilePromise(filePath, { encoding: 'utf-8' });
+        const entries = JSON.parse(file);
+
+        if (!Array.isArray(entries)) {
+            throw new Error(`The file "${filePath}" is not a cache export file`);
+        }
+
+        const validEntries = entries.filter(entry => entry && entry.name && entry.version);
+        await Promise.all(validEntries.map(entry => this.add(entry.name, entry.version, entry)));
+
+        return validEntries.length;
     }
 }
 
 /**
- * Local db cache with nedb for packages
+ * Local db of the bundles that published from this machine (offline side),
+ * used to flag delta bundles that published before their baseline bundle
  */
-class DBCache {
+class BundlesHistory {
     constructor(filename) {
         this.db = new Datastore({ filename, autoload: true });
+
+        this.findOnePromise = promisify(this.db.findOne.bind(this.db));
+        this.updatePromise = promisify(this.db.update.bind(this.db));
     }
 
     /**
-     * Add package to cache
+     * Add published bundle to history
      *
-     * @param {string} packageName The package name
-     * @param {string} packagesVersion The package version
+     * @param {any} manifest The bundle manifest
      *
-     * @returns {Promise<any>} The package from cache
+     * @returns {Promise<any>} The history entry
      */
-    add(packageName, packagesVersion) {
-        return new Promise((resolve, reject) => {
-            this.db.findOne({ packageName }, (err, doc) => {
-                if (err) return reject(err);
-
-                if (doc && doc.versions.includes(packagesVersion)) return resolve(doc);
-
-                if (doc) {
-                    this.db.update(
-                        { packageName },
-                        { $push: { versions: packagesVersion } },
-                        { multi: false, upsert: false },
-                        (err) => {
-                            if (err) return reject(err);
-
-                            doc.versions.push(packagesVersion);
-                            resolve(doc);
-                        },
-                    );
-                } else {
-                    this.db.insert({
-                        packageName,
-                        versions: [packagesVersion],
-                    }, (err, doc) => {
-                        if (err) return reject(err);
-                        resolve(doc);
-                    });
-                }
-            });
-        });
+    async add(manifest) {
+        const doc = {
+            id: manifest.id,
+            name: manifest.name,
+            createdAt: manifest.createdAt,
+            baselineId: manifest.baseline ? manifest.baseline.id : undefined,
+            packages: manifest.packages.length,
+            publishedAt: new Date().toISOString(),
+        };
+
+        await this.updatePromise({ id: manifest.id }, doc, { upsert: true });
+        return doc;
     }
 
     /**
-     * Is package in cache
+     * Is bundle already published
      *
-     * @param {string} packageName The package name
-     * @param {string} packagesVersion The package version
+     * @param {string} id The bundle manifest id
      *
-     * @returns {boolean} Is package in cache
+     * @returns {Promise<boolean>} Is bundle in history
      */
-    exist(packageName, packagesVersion) {
-        this.db.findOne({ packageName, versions: packagesVersion }, (err, doc) => {
-            if (err) {
-                console.error(err);
-            }
+    async has(id) {
+        const doc = await this.findOnePromise({ id });
+        return Boolean(doc);
+    }
+}
 
-            return !err && Boolean(doc);
-        });
+/**
+ * Local db of the mirror sync runs (online side), every run records the new versions
+ * and the packages that transferred in its bundle, the synced packages are not fetched again
+ */
+class MirrorHistory {
+    constructor(filename) {
+        this.db = new Datastore({ filename, autoload: true });
+
+        this.findPromise = promisify(this.db.find.bind(this.db));
+        this.insertPromise = promisify(this.db.insert.bind(this.db));
     }
 
-    clean() {
-        return this.db.remove({});
+    /**
+     * Add sync run to history
+     *
+     * @param {{ mirror: string, id: string, bundle: string, startedAt: string, registry: string, versions: string[], packages: string[], failed: string[] }} run The sync run
+     *
+     * @returns {Promise<any>} The history entry
+     */
+    async add(run) {
+        const doc = { ...run, finishedAt: new Date().toISOString() };
+        await this.insertPromise(doc);
+        return doc;
+    }
+
+    /**
+     * Get the sync runs of mirror
+     *
+     * @param {string} mirror The mirror name
+     *
+     * @returns {Promise<any[]>} The sync runs sorted by date
+     */
+    async find(mirror) {
+        const docs = await this.findPromise({ mirror });
+        return docs.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
     }
+
+    /**
+     * Get the sync state of mirror: the packages that already synced and the last sync date
+     *
+     * @param {string} mirror The mirror name
+     *
+     * @returns {Promise<{ synced: Set<string>, lastSync?: string, last?: any }>} The sync state
+     */
+    async state(mirror) {
+        const runs = await this.find(mirror);
+        const last = runs[runs.length - 1];
+
+        return {
+            synced: new Set([].concat(...runs.map(run => run.packages))),
+            lastSync: last ? last.startedAt : undefined,
+            last,
+        };
+    }
+}
+
+/**
+ * Normalize registry url to end with slash
+ *
+ * @param {string} registry The registry url
+ *
+ * @returns {string} The normalized registry url
+ */
+function normalizeRegistry(registry = DEFAULT_REGISTRY) {
+    return registry.endsWith('/') ? registry : `${registry}/`;
+}
+
+/**
+ * Create nedb query from filter
+ *
+ * @param {{ name?: string, version?: string, registry?: string }} filter The filter
+ *
+ * @returns {any} The nedb query
+ */
+function toQuery(filter = {}) {
+    const query = {};
+    if (filter.name) query.name = filter.name;
+    if (filter.version) query.version = filter.version;
+    if (filter.registry) query.registry = normalizeRegistry(filter.registry);
+    return query;
+}
+
+/**
+ * Check that the cache entry has all the required fields and a valid integrity
+ *
+ * @param {any} doc The cache entry
+ *
+ * @returns {boolean} Is valid entry
+ */
+function isValidEntry(doc) {
+    return Boolean(doc.key && doc.name && doc.version && doc.registry)
+        && doc.key === DBCache.key(doc.name, doc.version, doc.registry)
+        && (!doc.integrity || ssri.parse(doc.integrity).toString() !== '');
+}
+
+/**
+ * Check the cached tarballs against the cache entries integrity and size (recompute the tarball hash)
+ *
+ * @param {string} cacheFolder The pacote cache folder
+ * @param {any[]} docs The cache entries with integrity
+ *
+ * @returns {Promise<{ doc: any, status: 'valid' | 'corrupt' | 'missing', reason?: string }[]>} The check result of every entry
+ */
+function checkTarballs(cacheFolder, docs) {
+    // Limit the open files
+    const queue = new WorkQueue({ concurrency: 10, retries: 0 });
+
+    return Promise.all(docs.map(doc => queue.push(async () => {
+        const content = await cacache.get.hasContent(cacheFolder, doc.integrity);
+        if (!content) {
+            return { doc, status: 'missing' };
+        }
+
+        let size = 0;
+        const stream = cacache.get.stream.byDigest(cacheFolder, doc.integrity);
+        stream.on('data', chunk => size += chunk.length);
+
+        return ssri.checkStream(stream, doc.integrity)
+            .then(() => (doc.size && size !== doc.size
+                ? { doc, status: 'corrupt', reason: `size ${size} instead of ${doc.size}` }
+                : { doc, status: 'valid' }))
+            .catch(error => ({ doc, status: 'corrupt', reason: error.code === 'EINTEGRITY' ? `integrity check failed, expected ${doc.integrity}` : error.message }));
+    }, doc.key)));
+}
+
+/**
+ * Get the default db instance (created on first use)
+ *
+ * @param {string} fileName The db file name in the dbs folder
+ * @param {Function} Type The db class
+ *
+ * @returns {any} The db instance
+ */
+function getInstance(fileName, Type) {
+    if (!instances[fileName]) {
+        instances[fileName] = new Type(join(DB_FOLDER, fileName));
+    }
+
+    return instances[fileName];
 }
 
 module.exports = {
-    resolvedPackages: new InMemoryCache(),
-    cache: new DBCache(`${homedir}/.npm-offline-packager/db/packages-cache.db`),
+    get cache() {
+        return getInstance('packages-cache.db', DBCache);
+    },
+    get publishedBundles() {
+        return getInstance('published-bundles.db', BundlesHistory);
+    },
+    get mirrorHistory() {
+        return getInstance('mirror-history.db', MirrorHistory);
+    },
+    DB_FOLDER,
+    normalizeRegistry,
+    DBCache,
+    BundlesHistory,
+    MirrorHistory,
 };
@@ -0,0 +1,359 @@
+/**
+ * Convert the dependencies tree to plain json (without the packages manifests)
+ *
+ * @param {any} node The tree node
+ *
+ * @returns {any} The json tree node
+ */
+function toTreeJson(node) {
+    return {
+        name: node.alias ? `${node.alias} (${node.name})` : node.name,
+        version: node.version,
+        requested: node.requested,
+        type: node.type,
+        path: node.path,
+        location: node.location,
+        workspace: node.workspace,
+        link: node.link,
+        deduped: node.deduped,
+        skipped: node.skipped,
+        error: node.error,
+        dependencies: node.dependencies.map(toTreeJson),
+    };
+}
+
+/**
+ * Format the dependencies tree as text (like npm ls)
+ *
+ * @param {any} tree The dependencies tree root
+ *
+ * @returns {string} The text tree
+ */
+function formatTreeText(tree) {
+    const lines = [`${tree.name || '(root)'}${tree.version ? `@${tree.version}` : ''}`];
+
+    const walk = (node, prefix) => node.dependencies.forEach((child, index) => {
+        const isLast = index === node.dependencies.length - 1;
+        const hasChildren = child.dependencies.length > 0;
+        const name = child.alias ? `${child.alias}@npm:${child.name}` : child.name;
+
+        let label;
+        if (child.workspace || child.link) {
+            label = `${name}${child.version ? `@${child.version}` : ''} -> ./${child.location}`;
+        } else if (child.skipped) {
+            label = `${name}@${child.requested} skipped (${child.skipped})`;
+        } else if (child.error) {
+            label = `${name}@${child.requested} error (${child.error})`;
+        } else {
+            label = `${name}@${child.version}${child.requested !== child.version ? ` (${child.requested})` : ''}${child.deduped ? ' deduped' : ''}`;
+        }
+
+        lines.push(`${prefix}${isLast ? '└' : '├'}─${hasChildren ? '┬' : '─'} ${label}${!['prod', 'workspace'].includes(child.type) ? ` [${child.type}]` : ''}`);
+        walk(child, `${prefix}${isLast ? '  ' : '│ '}`);
+    });
+    walk(tree, '');
+
+    return lines.join('\n');
+}
+
+/**
+ * Create package-lock.json (lockfileVersion 3) from the dependencies tree
+ * The packages are hoisted to the shallowest node_modules folder without conflicts (like npm does),
+ * the workspaces are linked from the root node_modules folder and their dependencies are placed from the workspace folder
+ *
+ * @param {any} tree The dependencies tree root
+ *
+ * @returns {any} The package-lock.json object
+ */
+function createPackageLock(tree) {
+    const rootManifest = tree.manifest || {};
+
+    // Every package version is expanded once in the tree, keep its node to get its dependencies
+    const expandedNodes = new Map();
+    const collect = node => node.dependencies.forEach(child => {
+        if (child.workspace) {
+            collect(child);
+        } else if (child.version && !child.deduped && !child.link) {
+            expandedNodes.set(`${child.name}@${child.version}`, child);
+            collect(child);
+        }
+    });
+    collect(tree);
+
+    const installed = new Map();
+    const resolutions = [];
+    const flags = getDependencyFlags(tree, expandedNodes);
+
+    // The workspaces links are in the root node_modules folder
+    const workspaces = tree.dependencies.filter(child => child.workspace);
+    workspaces.forEach(workspace => installed.set(joinLocation('', workspace.name), workspace));
+
+    // Place the packages level by level from the root
+    let queue = tree.dependencies.map(child => ({ node: child, from: '' }));
+    while (queue.length) {
+        const nextQueue = [];
+        queue.forEach(({ node, from }) => {
+            if (node.workspace) {
+                nextQueue.push(...node.dependencies.map(child => ({ node: child, from: node.location })));
+                return;
+            }
+
+            if (!node.version || node.link) {
+                return;
+            }
+
+            const location = placePackage(node, from, installed, resolutions);
+            if (location) {
+                const expandedNode = expandedNodes.get(`${node.name}@${node.version}`) || node;
+                nextQueue.push(...expandedNode.dependencies.map(child => ({ node: child, from: location })));
+            }
+        });
+        queue = nextQueue;
+    }
+
+    const packages = {
+        '': pickDefined({
+            name: rootManifest.name,
+            version: rootManifest.version,
+            dependencies: rootManifest.dependencies,
+            devDependencies: rootManifest.devDependencies,
+            optionalDependencies: rootManifest.optionalDependencies,
+            peerDependencies: rootManifest.peerDependencies,
+            workspaces: workspaces.length ? workspaces.map(workspace => workspace.location) : undefined,
+        }),
+    };
+
+    const workspaceLocations = new Map(workspaces.map(workspace => [workspace.location, workspace]));
+    [...installed.keys(), ...workspaceLocations.keys()].sort().forEach(location => {
+        if (workspaceLocations.has(location)) {
+            const { manifest } = workspaceLocations.get(location);
+            packages[location] = pickDefined({
+                name: manifest.name,
+                version: manifest.version,
+                dependencies: manifest.dependencies,
+                devDependencies: manifest.devDependencies,
+                optionalDependencies: manifest.optionalDependencies,
+                peerDependencies: manifest.peerDependencies,
+            });
+            return;
+        }
+
+        const node = installed.get(location);
+        if (node.workspace) {
+            packages[location] = { resolved: node.location, link: true };
+            return;
+        }
+
+        const manifest = (expandedNodes.get(`${node.name}@${node.version}`) || node).manifest || {};
+
+        packages[location] = pickDefined({
+            name: node.alias ? node.name : undefined,
+            version: node.version,
+            resolved: node.resolved,
+            integrity: node.integrity,
+            ...flags.get(`${node.name}@${node.version}`),
+            dependencies: manifest.dependencies,
+            optionalDependencies: manifest.optionalDependencies,
+            peerDependencies: manifest.peerDependencies,
+            bin: manifest.bin,
+            engines: manifest.engines,
+            os: manifest.os,
+            cpu: manifest.cpu,
+            deprecated: manifest.deprecated,
+            license: manifest.license,
+        });
+    });
+
+    return {
+        name: rootManifest.name,
+        version: rootManifest.version,
+        lockfileVersion: 3,
+        requires: true,
+        packages,
+    };
+}
+
+/**
+ * Place package in the shallowest node_modules folder that it can be resolved from the requiring package
+ * (throws if the requiring package folder already has other version of the package)
+ *
+ * @param {any} node The tree node
+ * @param {string} from The location of the requiring package ('' for root)
+ * @param {Map<string, any>} installed The installed packages by location
+ * @param {{ from: string, name: string, location: string }[]} resolutions The resolved requires
+ *
+ * @returns {string | null} The new location or null if the package is already reachable
+ */
+function placePackage(node, from, installed, resolutions) {
+    const name = node.alias || node.name;
+
+    // Check if the same version already reachable from the requiring package
+    const found = findReachable(name, from, installed);
+    if (found && installed.get(found).version === node.version && installed.get(found).name === node.name) {
+        resolutions.push({ from, name, location: found });
+        return null;
+    }
+
+    // Go up from the requiring package while the folder is free and doesn't shadow other resolved requires
+    const parents = getParentLocations(from);
+    let target = from;
+    for (let index = 1; index < parents.length; index++) {
+        const candidate = parents[index];
+        const candidateLocation = joinLocation(candidate, name);
+        const shadows = resolutions.some(resolution => resolution.name === name
+            && isInside(resolution.from, candidate)
+            && resolution.location !== candidateLocation
+            && resolution.location.length < candidateLocation.length);
+
+        if (installed.has(candidateLocation) || shadows) {
+            break;
+        }
+
+        target = candidate;
+    }
+
+    let location = joinLocation(target, name);
+    if (installed.has(location)) {
+        // Conflict in the hoisted folder, nest it in the requiring package folder
+        location = joinLocation(from, name);
+        if (installed.has(location)) {
+            const conflict = installed.get(location);
+            throw new Error(`Can't place ${node.name}@${node.version} required from "${from || '(root)'}", "${location}" has ${conflict.name}@${conflict.version}`);
+        }
+    }
+
+    installed.set(location, node);
+    resolutions.push({ from, name, location });
+    return location;
+}
+
+/**
+ * Find the location the package name is resolved from (node resolution algorithm)
+ *
+ * @param {string} name The package name
+ * @param {string} from The requiring package location
+ * @param {Map<string, any>} installed The installed packages by location
+ *
+ * @returns {string | undefined} The location
+ */
+function findReachable(name, from, installed) {
+    return getParentLocations(from).map(parent => joinLocation(parent, name)).find(location => installed.has(location));
+}
+
+/**
+ * Get the package location and its parents packages locations (from the deepest to the root)
+ *
+ * @param {string} location The package location (e.g. "node_modules/a/node_modules/b")
+ *
+ * @returns {string[]} The locations
+ */
+function getParentLocations(location) {
+    const locations = [location];
+    let current = location;
+    while (current) {
+        const index = current.lastIndexOf('/node_modules/');
+        current = index === -1 ? '' : current.slice(0, index);
+        locations.push(current);
+    }
+
+    return locations.filter((currLocation, index) => locations.indexOf(currLocation) === index);
+}
+
+/**
+ * Join package location with the package name
+ *
+ * @param {string} location The parent location ('' for root)
+ * @param {string} name The package name
+ *
+ * @returns {string} The package location
+ */
+function joinLocation(location, name) {
+    return location ? `${location}/node_modules/${name}` : `node_modules/${name}`;
+}
+
+/**
+ * Is the location inside the parent location
+ *
+ * @param {string} location The location
+ * @param {string} parent The parent location
+ *
+ * @returns {boolean} Is inside
+ */
+function isInside(location, parent) {
+    return !parent || location === parent || location.startsWith(`${parent}/`);
+}
+
+/**
+ * Get the dev/optional/peer flags of every package version (like npm lockfile)
+ * A package is flagged only if it is not reachable from the production dependencies
+ *
+ * @param {any} tree The dependencies tree root
+ * @param {Map<string, any>} expandedNodes The expanded node of every package version
+ *
+ * @returns {Map<string, any>} The flags by "name@version"
+ */
+function getDependencyFlags(tree, expandedNodes) {
+    const reachable = types => {
+        const keys = new Set();
+        const walk = node => node.dependencies
+            .filter(child => child.version && !child.link && (child.workspace || (node !== tree && !node.workspace) || types.includes(child.type)))
+            .forEach(child => {
+                const key = `${child.name}@${child.version}`;
+                if (!keys.has(key)) {
+                    keys.add(key);
+                    walk(expandedNodes.get(key) || child);
+                }
+            });
+        walk(tree);
+        return keys;
+    };
+
+    const prod = reachable(['prod']);
+    const dev = reachable(['dev']);
+    const optional = reachable(['optional']);
+    const peer = reachable(['peer']);
+
+    const flags = new Map();
+    expandedNodes.forEach((node, key) => {
+        if (prod.has(key)) {
+            return;
+        }
+
+        if (dev.has(key) && optional.has(key)) {
+            flags.set(key, { devOptional: true });
+        } else if (dev.has(key)) {
+            flags.set(key, { dev: true });
+        } else if (optional.has(key)) {
+            flags.set(key, { optional: true });
+        } else if (peer.has(key)) {
+            flags.set(key, { peer: true });
+        }
+    });
+
+    return flags;
+}
+
+/**
+ * Remove undefined and empty object fields
+ *
+ * @param {any} obj The object
+ *
+ * @returns {any} The object without undefined fields
+ */
+function pickDefined(obj) {
+    return Object.keys(obj).reduce((result, key) => {
+        const value = obj[key];
+        const isEmptyObject = value && typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length;
+        if (value !== undefined && !isEmptyObject) {
+            result[key] = value;
+        }
+
+        return result;
+    }, {});
+}
+
+module.exports = {
+    toTreeJson,
+    formatTreeText,
+    createPackageLock,
+};
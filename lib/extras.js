@@ -0,0 +1,692 @@
+const axios = require('axios');
+const yaml = require('js-yaml');
+const { Parser } = require('tar');
+const { coerce, satisfies, validRange } = require('semver');
+const { createHash } = require('crypto');
+const { promisify } = require('util');
+const { dirname, isAbsolute, join, relative, sep } = require('path');
+const { createReadStream, createWriteStream, existsSync, copyFile, mkdir, readFile, rename, unlink, writeFile } = require('fs');
+const { readTarballManifest } = require('./npm-publish');
+const { getCurrentPlatform } = require('./platform');
+const { WorkQueue } = require('./work-queue');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+const renamePromise = promisify(rename);
+const unlinkPromise = promisify(unlink);
+const copyFilePromise = promisify(copyFile);
+const mkdirPromise = promisify(mkdir);
+
+// The extra assets are stored in the bundle under the mirror layout: npo-extras/<host name>/<url path>
+const EXTRAS_FOLDER_NAME = 'npo-extras';
+const EXTRAS_FILE_NAME = 'npo-extras.json';
+const EXTRAS_ENV_FILE_NAME = 'npo-extras.env';
+
+// Node ABI (NODE_MODULE_VERSION) and the max N-API version of every node major version
+const NODE_ABI = {
+    8: 57, 9: 59, 10: 64, 11: 67, 12: 72, 13: 79, 14: 83, 15: 88, 16: 93, 17: 102, 18: 108, 19: 111, 20: 115, 21: 120, 22: 127, 23: 131, 24: 137,
+};
+const NODE_NAPI = {
+    8: 3, 9: 3, 10: 5, 11: 4, 12: 6, 13: 6, 14: 8, 15: 8, 16: 8, 17: 8, 18: 9, 19: 9, 20: 9, 21: 9, 22: 10, 23: 10, 24: 10,
+};
+
+// The generic rule types for the install scripts conventions
+const RULE_TYPES = ['node-pre-gyp', 'prebuild-install'];
+
+/**
+ * The built-in extras rules
+ * Named rules apply to the package versions in the range, every url and env value is template of the variables:
+ * {name}, {version}, {platform}, {arch}, {libc}, {abi}, {node_abi}, {node_version}, the rule variables (value by target) and the values read from the tarball.
+ * Every asset is stored under the mirror layout, the env values point the install scripts to the mirror ({mirror} is the local file host url)
+ */
+const BUILTIN_RULES = [
+    { type: 'node-pre-gyp' },
+    { type: 'prebuild-install' },
+    {
+        name: 'node-sass',
+        range: '>=3',
+        variables: { sass_platform: { 'linux-musl': 'linux_musl', default: '{platform}' } },
+        urls: ['https://github.com/sass/node-sass/releases/download/v{version}/{sass_platform}-{arch}-{abi}_binding.node'],
+        env: { SASS_BINARY_SITE: '{mirror}/github.com/sass/node-sass/releases/download' },
+    },
+    {
+        name: 'electron',
+        range: '>=1',
+        urls: [
+            'https://github.com/electron/electron/releases/download/v{version}/electron-v{version}-{platform}-{arch}.zip',
+            'https://github.com/electron/electron/releases/download/v{version}/SHASUMS256.txt',
+        ],
+        env: { ELECTRON_MIRROR: '{mirror}/github.com/electron/electron/releases/download/' },
+    },
+    {
+        name: 'cypress',
+        range: '>=3',
+        // The download url has query string, stored in a path that a static file host can serve
+        urls: [{
+            url: 'https://download.cypress.io/desktop/{version}?platform={platform}&arch={arch}',
+            path: 'download.cypress.io/desktop/{version}/{platform}-{arch}/cypress.zip',
+        }],
+        env: { CYPRESS_INSTALL_BINARY: '{mirror}/download.cypress.io/desktop/{version}/{platform}-{arch}/cypress.zip' },
+    },
+    {
+        name: 'puppeteer-core',
+        range: '>=21',
+        read: { chrome: { file: 'lib/cjs/puppeteer/revisions.js', pattern: 'chrome: \'([^\']+)\'' } },
+        variables: {
+            cft_platform: {
+                'linux-x64': 'linux64', 'darwin-x64': 'mac-x64', 'darwin-arm64': 'mac-arm64', 'win32-x64': 'win64', 'win32-ia32': 'win32',
+            },
+        },
+        urls: [
+            'https://storage.googleapis.com/chrome-for-testing-public/{chrome}/{cft_platform}/chrome-{cft_platform}.zip',
+            'https://storage.googleapis.com/chrome-for-testing-public/{chrome}/{cft_platform}/chrome-headless-shell-{cft_platform}.zip',
+        ],
+        env: {
+            PUPPETEER_DOWNLOAD_BASE_URL: '{mirror}/storage.googleapis.com/chrome-for-testing-public',
+            PUPPETEER_CHROME_DOWNLOAD_BASE_URL: '{mirror}/storage.googleapis.com/chrome-for-testing-public',
+            PUPPETEER_CHROME_HEADLESS_SHELL_DOWNLOAD_BASE_URL: '{mirror}/storage.googleapis.com/chrome-for-testing-public',
+        },
+    },
+];
+
+/**
+ * Read extras config file (json or yaml), the config rules are added to the built-in rules
+ * {
+ *   "builtin": true,
+ *   "rules": [{
+ *     "name": "my-native-addon",
+ *     "range": ">=2",
+ *     "variables": { "os_name": { "win32": "windows", "default": "{platform}" } },
+ *     "urls": ["https://downloads.example.com/v{version}/addon-{os_name}-{arch}.tar.gz"],
+ *     "env": { "MY_ADDON_MIRROR": "{mirror}/downloads.example.com" }
+ *   }]
+ * }
+ *
+ * @param {string} path The config file path
+ *
+ * @returns {Promise<any[]>} The rules (config rules replace the built-in rules of the same package)
+ */
+async function readExtrasConfig(path) {
+    if (!existsSync(path)) {
+        throw new Error(`The extras config file "${path}" not existed`);
+    }
+
+    const file = await readFilePromise(path, { encoding: 'utf-8' });
+    const config = /\.ya?ml$/.test(path) ? yaml.safeLoad(file) : JSON.parse(file);
+    if (!config || typeof config !== 'object' || (config.rules && !Array.isArray(config.rules))) {
+        throw new Error(`The file "${path}" is not extras config file`);
+    }
+
+    const rules = config.rules || [];
+    rules.forEach((rule, index) => {
+        if (rule.type ? !RULE_TYPES.includes(rule.type) : !rule.name || !Array.isArray(rule.urls)) {
+            throw new Error(`The extras rule #${index + 1} in "${path}" is invalid (expected name and urls, or type ${RULE_TYPES.join(' or ')})`);
+        }
+
+        if (rule.range && !validRange(rule.range)) {
+            throw new Error(`The extras rule "${rule.name}" has invalid range "${rule.range}"`);
+        }
+    });
+
+    const names = new Set(rules.map(rule => rule.name || rule.type));
+    const builtinRules = config.builtin === false ? [] : BUILTIN_RULES.filter(rule => !names.has(rule.name || rule.type));
+
+    return [...builtinRules, ...rules];
+}
+
+/**
+ * Fetch the extra assets of the bundle packages (prebuilt binaries and install scripts downloads) into the bundle folder
+ * The downloads run in the work queue (options.queue or new queue), assets that not exist (404) are reported as missing
+ * and the other failed assets are collected into options.failures
+ *
+ * @param {string} folderPath The bundle folder
+ * @param {{ name: string, version: string, fileName: string }[]} packages The bundle packages
+ * @param {{ rules?: any[], targets?: any[], nodeVersion?: string, queue?: WorkQueue, failures?: any[], logger?: Function }} options The options
+ * (the targets are the --platform targets, default: the current platform)
+ *
+ * @returns {Promise<any>} The extras manifest (written into the bundle folder)
+ */
+async function fetchExtras(folderPath, packages, options = {}) {
+    const logger = options.logger || (() => { });
+    const rules = options.rules || BUILTIN_RULES;
+    const targets = options.targets || [getCurrentPlatform()];
+    const nodeVersion = options.nodeVersion || process.version;
+    const queue = options.queue || new WorkQueue(options);
+
+    // Find the assets of every package from its package.json and tarball files (limit the open files)
+    const readQueue = new WorkQueue({ concurrency: 20, retries: 0 });
+    const planned = await Promise.all(packages.map(p => readQueue.push(async () => {
+        const data = await readFilePromise(join(folderPath, p.fileName));
+        const { manifest: packageJson } = await readTarballManifest(data);
+        return getPackageExtras(packageJson, data, rules, { targets, nodeVersion });
+    }, p.fileName)));
+
+    // The same asset may be required for several targets (e.g. checksums file)
+    const assets = new Map();
+    const env = [];
+    [].concat(...planned.map(result => result.assets)).forEach(asset => {
+        const current = assets.get(asset.path);
+        assets.set(asset.path, current ? { ...current, targets: [...current.targets, asset.target] } : { ...asset, targets: [asset.target] });
+    });
+    planned.forEach(result => env.push(...result.env));
+
+    let counter = 0;
+    const missing = [];
+    const results = await Promise.all([...assets.values()].map(({ target, ...asset }) => queue.push(
+        () => downloadAsset(asset.url, getAssetPath(join(folderPath, EXTRAS_FOLDER_NAME), asset.path)),
+        asset.url,
+    ).then(result => {
+        counter++;
+        logger(`Fetching extras: ${asset.path}`, counter / assets.size);
+        return { ...asset, ...result };
+    }).catch(error => {
+        const status = error.response && error.response.status;
+        if (status === 404 || status === 403) {
+            missing.push({ ...asset, status });
+        } else if (Array.isArray(options.failures)) {
+            const index = asset.package.lastIndexOf('@');
+            options.failures.push({
+                stage: 'extras',
+                name: asset.package.slice(0, index),
+                spec: asset.package.slice(index + 1),
+                code: error.code || status,
+                attempts: error.attempts || 1,
+                message: `${asset.url}: ${error.message}`,
+            });
+        }
+
+        return null;
+    })));
+
+    const extras = {
+        createdAt: new Date().toISOString(),
+        nodeVersion,
+        targets: targets.map(({ name }) => name),
+        assets: results.filter(Boolean),
+        missing,
+        env: uniqueEnv(env),
+    };
+
+    await writeFilePromise(join(folderPath, EXTRAS_FILE_NAME), JSON.stringify(extras, null, 2), { encoding: 'utf-8' });
+    return extras;
+}
+
+/**
+ * Copy the bundle extra assets into the local file host folder and write the env file that points the install scripts to it
+ *
+ * @param {string} folderPath The bundle folder
+ * @param {{ dest: string, url?: string }} options The file host folder and the url that it served from (default: file url of the folder)
+ *
+ * @returns {Promise<{ assets: number, envFile: string, env: string } | null>} The copied assets count and the env file, or null if the bundle has no extras
+ */
+async function publishExtras(folderPath, options) {
+    const extrasFile = join(folderPath, EXTRAS_FILE_NAME);
+    if (!existsSync(extrasFile)) {
+        return null;
+    }
+
+    const extras = JSON.parse(await readFilePromise(extrasFile, { encoding: 'utf-8' }));
+    const queue = new WorkQueue({ concurrency: 10, retries: 0 });
+
+    await Promise.all(extras.assets.map(asset => queue.push(async () => {
+        const source = getAssetPath(join(folderPath, EXTRAS_FOLDER_NAME), asset.path);
+        if (!existsSync(source)) {
+            throw new Error(`The extra asset "${asset.path}" is missing in the bundle`);
+        }
+
+        if (await sha256(source) !== asset.sha256) {
+            throw new Error(`The extra asset "${asset.path}" is truncated or modified`);
+        }
+
+        const dest = getAssetPath(options.dest, asset.path);
+        await mkdirPromise(dirname(dest), { recursive: true });
+        await copyFilePromise(source, dest);
+    }, asset.path)));
+
+    const mirror = (options.url || `file://${options.dest}`).replace(/\/+$/, '');
+    const env = formatEnv(extras.env, mirror);
+    const envFile = join(options.dest, EXTRAS_ENV_FILE_NAME);
+    await writeFilePromise(envFile, env, { encoding: 'utf-8' });
+
+    return { assets: extras.assets.length, envFile, env };
+}
+
+/**
+ * Get the extra assets and the install env of the package for every target
+ *
+ * @param {any} packageJson The package.json
+ * @param {Buffer} data The package tarball
+ * @param {any[]} rules The extras rules
+ * @param {{ targets: any[], nodeVersion: string }} options The targets and the node version
+ *
+ * @returns {Promise<{ assets: any[], env: any[] }>} The assets (url and mirror path) and the env values
+ */
+async function getPackageExtras(packageJson, data, rules, options) {
+    const result = { assets: [], env: [] };
+    const key = `${packageJson.name}@${packageJson.version}`;
+
+    for (let index = 0; index < rules.length; index++) {
+        const rule = rules[index];
+        const isMatch = rule.type
+            ? isConventionPackage(rule.type, packageJson)
+            : rule.name === packageJson.name && satisfies(packageJson.version, rule.range || '*', { includePrerelease: true });
+
+        if (isMatch) {
+            const read = rule.read ? await readRuleValues(rule.read, data) : {};
+            options.targets.forEach(target => {
+                const vars = { ...getTargetVariables(target, options.nodeVersion), name: packageJson.name, version: packageJson.version, ...read };
+                const { assets, env } = rule.type ? getConventionExtras(rule.type, packageJson, vars) : getRuleExtras(rule, vars, target);
+                const ruleName = rule.name || rule.type;
+
+                result.assets.push(...assets.map(asset => ({ ...asset, package: key, rule: ruleName, target: target.name })));
+                result.env.push(...env.map(entry => ({ ...entry, package: key, target: target.name })));
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Is the package using the install script convention
+ *
+ * @param {'node-pre-gyp' | 'prebuild-install'} type The convention
+ * @param {any} packageJson The package.json
+ *
+ * @returns {boolean} Is using the convention
+ */
+function isConventionPackage(type, packageJson) {
+    const dependencies = packageJson.dependencies || {};
+    if (type === 'prebuild-install') {
+        return Boolean(dependencies['prebuild-install']);
+    }
+
+    const { binary } = packageJson;
+    return Boolean(binary && binary.module_name && binary.host && binary.package_name);
+}
+
+/**
+ * Get the assets and the env of named rule
+ *
+ * @param {any} rule The rule
+ * @param {any} vars The target variables
+ * @param {any} target The target platform
+ *
+ * @returns {{ assets: { url: string, path: string }[], env: { name: string, value: string }[] }} The assets and the env
+ */
+function getRuleExtras(rule, vars, target) {
+    const ruleVars = Object.keys(rule.variables || {}).reduce((result, name) => {
+        const value = selectByTarget(rule.variables[name], target);
+        result[name] = value === undefined ? undefined : renderTemplate(String(value), vars);
+        return result;
+    }, { ...vars });
+
+    const assets = (rule.urls || [])
+        .map(entry => {
+            const url = renderTemplate(typeof entry === 'string' ? entry : entry.url, ruleVars);
+            const path = typeof entry === 'string' || !entry.path ? url && getMirrorPath(url) : renderTemplate(entry.path, ruleVars);
+            return url && path ? { url, path } : null;
+        })
+        .filter(Boolean);
+
+    // Rule without assets for the target (e.g. unsupported platform) doesn't need the env
+    const env = !assets.length ? [] : Object.keys(rule.env || {})
+        .map(name => ({ name, value: renderTemplate(rule.env[name], { ...ruleVars, mirror: '{mirror}' }) }))
+        .filter(entry => entry.value);
+
+    return { assets, env };
+}
+
+/**
+ * Get the assets and the env of install script convention (the binary host, remote path and package name from package.json)
+ *
+ * @param {'node-pre-gyp' | 'prebuild-install'} type The convention
+ * @param {any} packageJson The package.json
+ * @param {any} vars The target variables
+ *
+ * @returns {{ assets: { url: string, path: string }[], env: { name: string, value: string }[] }} The assets and the env
+ */
+function getConventionExtras(type, packageJson, vars) {
+    const binary = packageJson.binary || {};
+    const napiVersion = getNapiBuildVersion(binary.napi_versions, vars.node_version);
+    const version = coerce(packageJson.version);
+
+    if (type === 'node-pre-gyp') {
+        const host = typeof binary.host === 'string' ? binary.host : binary.host.endpoint;
+        if (!host) {
+            return { assets: [], env: [] };
+        }
+
+        const preGypVars = {
+            ...vars,
+            module_name: binary.module_name,
+            major: version.major,
+            minor: version.minor,
+            patch: version.patch,
+            prerelease: '',
+            build: '',
+            libc: vars.platform === 'linux' ? vars.libc : 'unknown',
+            configuration: 'Release',
+            toolset: '',
+            napi_build_version: napiVersion,
+            node_napi_label: napiVersion ? `napi-v${napiVersion}` : vars.node_abi,
+        };
+
+        const remotePath = renderTemplate(binary.remote_path || '', preGypVars);
+        const packageName = renderTemplate(binary.package_name, preGypVars);
+        if (remotePath === null || !packageName) {
+            return { assets: [], env: [] };
+        }
+
+        const url = new URL(`${remotePath}/${packageName}`.replace(/^[./]+/, '').replace(/\/+/g, '/'), host.replace(/\/?$/, '/')).href;
+        return {
+            assets: [{ url, path: getMirrorPath(url) }],
+            env: [{ name: `npm_config_${binary.module_name}_binary_host_mirror`, value: `{mirror}/${getMirrorPath(host).replace(/\/+$/, '')}/` }],
+        };
+    }
+
+    // prebuild-install downloads from the GitHub releases of the package repository
+    const repository = getGitHubRepository(packageJson.repository);
+    if (!repository) {
+        return { assets: [], env: [] };
+    }
+
+    const host = `https://github.com/${repository}/releases/download`;
+    const runtime = napiVersion ? 'napi' : 'node';
+    const abi = napiVersion || vars.abi;
+    const unscopedName = packageJson.name.replace(/^@[^/]+\//, '');
+    const libc = vars.libc === 'musl' ? 'musl' : '';
+    if (!abi) {
+        return { assets: [], env: [] };
+    }
+
+    const url = `${host}/v${packageJson.version}/${unscopedName}-v${packageJson.version}-${runtime}-v${abi}-${vars.platform}${libc}-${vars.arch}.tar.gz`;
+    return {
+        assets: [{ url, path: getMirrorPath(url) }],
+        env: [{ name: `npm_config_${packageJson.name.replace(/[^a-zA-Z0-9]+/g, '_')}_binary_host_mirror`, value: `{mirror}/${getMirrorPath(host)}` }],
+    };
+}
+
+/**
+ * Get the template variables of the target platform
+ *
+ * @param {{ os: string, cpu: string, libc?: string }} target The target platform
+ * @param {string} nodeVersion The target node version
+ *
+ * @returns {any} The variables
+ */
+function getTargetVariables(target, nodeVersion) {
+    const node = coerce(nodeVersion);
+    const abi = node && NODE_ABI[node.major];
+
+    return {
+        platform: target.os,
+        arch: target.cpu,
+        // Linux target without libc is glibc (the common build agents)
+        libc: target.os === 'linux' ? target.libc || 'glibc' : '',
+        node_version: node ? node.version : undefined,
+        abi: abi ? String(abi) : undefined,
+        node_abi: abi ? `node-v${abi}` : undefined,
+    };
+}
+
+/**
+ * Get the best N-API build version for the node version (the max version that the package and node support)
+ *
+ * @param {number[]} napiVersions The package N-API versions
+ * @param {string} nodeVersion The node version
+ *
+ * @returns {number | undefined} The N-API version or undefined if the package is not N-API
+ */
+function getNapiBuildVersion(napiVersions, nodeVersion) {
+    if (!Array.isArray(napiVersions) || !napiVersions.length) {
+        return undefined;
+    }
+
+    const node = coerce(nodeVersion);
+    const max = (node && NODE_NAPI[node.major]) || 3;
+    const supported = napiVersions.map(Number).filter(version => version <= max);
+    return supported.length ? Math.max(...supported) : undefined;
+}
+
+/**
+ * Select the value of the target from values by target ("<os>-<cpu>-<libc>", "<os>-<cpu>", "<os>-<libc>", "<os>" or "default")
+ *
+ * @param {any} values The values by target or a single value
+ * @param {{ os: string, cpu: string, libc?: string }} target The target platform
+ *
+ * @returns {any} The value or undefined if the target has no value
+ */
+function selectByTarget(values, target) {
+    if (!values || typeof values !== 'object') {
+        return values;
+    }
+
+    const libc = target.os === 'linux' ? target.libc || 'glibc' : '';
+    const keys = [`${target.os}-${target.cpu}-${libc}`, `${target.os}-${target.cpu}`, `${target.os}-${libc}`, target.os, 'default'];
+    const key = keys.find(currKey => values[currKey] !== undefined);
+    return key ? values[key] : undefined;
+}
+
+/**
+ * Render template, every {name} is replaced with the variable value
+ *
+ * @param {string} template The template
+ * @param {any} vars The variables
+ *
+ * @returns {string | null} The rendered value or null if some variable has no value
+ */
+function renderTemplate(template, vars) {
+    let isComplete = true;
+    const value = template.replace(/\{([a-zA-Z0-9_]+)\}/g, (match, name) => {
+        if (vars[name] === undefined || vars[name] === null) {
+            isComplete = false;
+            return match;
+        }
+
+        return String(vars[name]);
+    });
+
+    return isComplete ? value : null;
+}
+
+/**
+ * Read the rule values from the package tarball files (the first group of the pattern)
+ *
+ * @param {{ [name: string]: { file: string, pattern: string } }} read The values to read
+ * @param {Buffer} data The package tarball
+ *
+ * @returns {Promise<any>} The values (undefined if the file or the pattern not found)
+ */
+async function readRuleValues(read, data) {
+    const names = Object.keys(read);
+    const files = await readTarballFiles(data, names.map(name => read[name].file));
+
+    return names.reduce((result, name) => {
+        const match = files[read[name].file] && files[read[name].file].match(new RegExp(read[name].pattern));
+        result[name] = match ? match[1] : undefined;
+        return result;
+    }, {});
+}
+
+/**
+ * Read files from package tarball
+ *
+ * @param {Buffer} data The package tarball
+ * @param {string[]} filePaths The files paths in the package
+ *
+ * @returns {Promise<{ [path: string]: string }>} The files content by path
+ */
+function readTarballFiles(data, filePaths) {
+    return new Promise((resolve, reject) => {
+        const files = {};
+        // The package files are in the tarball root folder (usually "package/")
+        const getPath = path => path.split('/').slice(1).join('/');
+        const parser = new Parser({
+            filter: path => filePaths.includes(getPath(path)),
+            onReadEntry: entry => {
+                const chunks = [];
+                entry.on('data', chunk => chunks.push(chunk));
+                entry.on('end', () => files[getPath(entry.path)] = Buffer.concat(chunks).toString('utf-8'));
+            },
+        });
+
+        parser.on('error', reject);
+        parser.on('end', () => resolve(files));
+        parser.end(data);
+    });
+}
+
+/**
+ * Download asset to file (the file is written to temp file and renamed when completed, existing file is not downloaded again)
+ *
+ * @param {string} url The asset url
+ * @param {string} filePath The file path
+ *
+ * @returns {Promise<{ size: number, sha256: string }>} The file size and sha256 hex digest
+ */
+async function downloadAsset(url, filePath) {
+    if (!existsSync(filePath)) {
+        await mkdirPromise(dirname(filePath), { recursive: true });
+
+        const tempPath = `${filePath}.download`;
+        const response = await axios.get(url, { responseType: 'stream', maxRedirects: 10 });
+        await new Promise((resolve, reject) => {
+            response.data.on('error', reject);
+            response.data.pipe(createWriteStream(tempPath))
+                .on('error', reject)
+                .on('finish', resolve);
+        }).catch(async error => {
+            await unlinkPromise(tempPath).catch(() => { });
+            return Promise.reject(error);
+        });
+
+        await renamePromise(tempPath, filePath);
+    }
+
+    let size = 0;
+    const hash = await sha256(filePath, chunk => size += chunk.length);
+    return { size, sha256: hash };
+}
+
+/**
+ * Calculate the file sha256 hex digest
+ *
+ * @param {string} file The file path
+ * @param {(chunk: Buffer) => void} onData Called with every chunk
+ *
+ * @returns {Promise<string>} The hex digest
+ */
+function sha256(file, onData = () => { }) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        createReadStream(file)
+            .on('error', reject)
+            .on('data', chunk => {
+                hash.update(chunk);
+                onData(chunk);
+            })
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Get the mirror layout path of the url ("<host name>/<url path>", without the port)
+ *
+ * @param {string} url The url
+ *
+ * @returns {string} The path
+ */
+function getMirrorPath(url) {
+    const { hostname, pathname } = new URL(url);
+    return `${hostname}${decodeURIComponent(pathname)}`;
+}
+
+/**
+ * Get the file path of extra asset in the extras folder
+ * The asset path comes from the package urls (decoded "%2f" is path separator), so it's rejected if it resolves outside the folder
+ *
+ * @param {string} folder The extras folder
+ * @param {string} path The asset path
+ *
+ * @returns {string} The asset file path
+ */
+function getAssetPath(folder, path) {
+    const filePath = join(folder, path);
+    const relativePath = relative(folder, filePath);
+    if (!relativePath || relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath)) {
+        throw new Error(`The extra asset path "${path}" is outside the extras folder`);
+    }
+
+    return filePath;
+}
+
+/**
+ * Get the GitHub "owner/repo" of package.json repository field
+ *
+ * @param {string | { url: string }} repository The repository field
+ *
+ * @returns {string | null} The GitHub repository or null if not GitHub
+ */
+function getGitHubRepository(repository) {
+    const url = typeof repository === 'string' ? repository : repository && repository.url;
+    if (!url) {
+        return null;
+    }
+
+    const match = url.match(/github\.com[/:]([^/]+)\/([^/#]+?)(\.git)?(#.*)?$/) || url.match(/^(?:github:)?([^/:@]+)\/([^/#]+)$/);
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Remove the duplicate env values (the same package env of several targets)
+ *
+ * @param {{ name: string, value: string, package: string, target: string }[]} env The env values
+ *
+ * @returns {{ name: string, value: string, packages: string[], targets: string[] }[]} The unique env values
+ */
+function uniqueEnv(env) {
+    const result = new Map();
+    env.forEach(entry => {
+        const key = `${entry.name}=${entry.value}`;
+        const current = result.get(key) || { name: entry.name, value: entry.value, packages: [], targets: [] };
+        current.packages = [...new Set([...current.packages, entry.package])];
+        current.targets = [...new Set([...current.targets, entry.target])];
+        result.set(key, current);
+    });
+
+    return [...result.values()];
+}
+
+/**
+ * Format the env file, a variable with several values (by package version or target) is written as comments to choose from
+ *
+ * @param {{ name: string, value: string, packages: string[], targets: string[] }[]} env The env values
+ * @param {string} mirror The mirror url
+ *
+ * @returns {string} The env file content
+ */
+function formatEnv(env, mirror) {
+    const names = [...new Set(env.map(entry => entry.name))];
+    const lines = ['# The install scripts mirror of the bundle extras, source this file before npm install'];
+
+    names.forEach(name => {
+        const values = env.filter(entry => entry.name === name);
+        values.forEach(entry => {
+            const line = `export ${name}="${entry.value.replace('{mirror}', mirror)}"`;
+            lines.push(values.length > 1 ? `# ${entry.packages.join(', ')} (${entry.targets.join(', ')}): ${line}` : line);
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    EXTRAS_FOLDER_NAME,
+    EXTRAS_FILE_NAME,
+    EXTRAS_ENV_FILE_NAME,
+    BUILTIN_RULES,
+    readExtrasConfig,
+    fetchExtras,
+    publishExtras,
+};
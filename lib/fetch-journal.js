@@ -0,0 +1,171 @@
+const { join } = require('path');
+const { promisify } = require('util');
+const { readFile, writeFile, rename, existsSync } = require('fs');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+const renamePromise = promisify(rename);
+
+const JOURNAL_FILE_NAME = 'npo-journal.json';
+const JOURNAL_VERSION = 1;
+
+/**
+ * Fetch journal, saved in the destination folder while fetching to resume interrupted fetch
+ * Records the fetch options, the resolved packages list and the status of every package (pending, done, cached or failed)
+ */
+class FetchJournal {
+    /**
+     * @param {string} folderPath The destination folder
+     * @param {any} data The journal data
+     */
+    constructor(folderPath, data) {
+        this.folderPath = folderPath;
+        this.filePath = join(folderPath, JOURNAL_FILE_NAME);
+        this.data = data;
+        this.index = new Map(data.packages.map(p => [`${p.name}@${p.version}`, p]));
+        this.saving = null;
+        this.dirty = false;
+    }
+
+    /**
+     * Create new journal for the resolved packages
+     *
+     * @param {string} folderPath The destination folder
+     * @param {{ options: any, input: any, baseline?: any, packages: any[] }} data The fetch options, the fetch input (to resolve again) and the resolved packages
+     *
+     * @returns {Promise<FetchJournal>} The saved journal
+     */
+    static async create(folderPath, { options, input, baseline, packages }) {
+        const journal = new FetchJournal(folderPath, {
+            journalVersion: JOURNAL_VERSION,
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            completed: false,
+            options,
+            input,
+            baseline: baseline || null,
+            packages: packages.map(p => ({ ...p, status: 'pending' })),
+        });
+
+        await journal.save();
+        return journal;
+    }
+
+    /**
+     * Read the journal from the destination folder
+     *
+     * @param {string} folderPath The destination folder
+     *
+     * @returns {Promise<FetchJournal | null>} The journal or null if the folder has no journal
+     */
+    static async read(folderPath) {
+        const filePath = join(folderPath, JOURNAL_FILE_NAME);
+        if (!existsSync(filePath)) {
+            return null;
+        }
+
+        const data = JSON.parse(await readFilePromise(filePath, { encoding: 'utf-8' }));
+        if (!data || !Array.isArray(data.packages)) {
+            throw new Error(`The file "${filePath}" is not a fetch journal`);
+        }
+
+        return new FetchJournal(folderPath, data);
+    }
+
+    /**
+     * The packages with the status
+     *
+     * @param {...string} statuses The statuses
+     *
+     * @returns {any[]} The packages
+     */
+    filter(...statuses) {
+        return this.data.packages.filter(p => statuses.includes(p.status));
+    }
+
+    /**
+     * Update the package status (the journal is saved in the background, call flush to wait for it)
+     *
+     * @param {string} name The package name
+     * @param {string} version The package version
+     * @param {'pending' | 'done' | 'cached' | 'failed'} status The new status
+     * @param {any} fields The download result or the failure
+     */
+    update(name, version, status, fields = {}) {
+        const entry = this.index.get(`${name}@${version}`);
+        if (!entry) {
+            return;
+        }
+
+        delete entry.error;
+        Object.assign(entry, fields, { status });
+        this.save().catch(() => { });
+    }
+
+    /**
+     * Replace the resolved packages list, keep the status of the packages that already fetched
+     *
+     * @param {any[]} packages The resolved packages
+     * @param {any} baseline The bundle baseline
+     */
+    replacePackages(packages, baseline) {
+        this.data.baseline = baseline || null;
+        this.data.packages = packages.map(p => {
+            const entry = this.index.get(`${p.name}@${p.version}`);
+            return entry && entry.status === 'done' ? entry : { ...p, status: 'pending' };
+        });
+        this.index = new Map(this.data.packages.map(p => [`${p.name}@${p.version}`, p]));
+    }
+
+    /**
+     * Mark the fetch as completed
+     */
+    complete() {
+        this.data.completed = true;
+        return this.save();
+    }
+
+    /**
+     * Save the journal (writes are serialized, the file is replaced atomically so an interrupted write can't corrupt it)
+     *
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.dirty = true;
+        if (!this.saving) {
+            this.saving = (async () => {
+                while (this.dirty) {
+                    this.dirty = false;
+                    this.data.updatedAt = new Date().toISOString();
+
+                    const tempPath = `${this.filePath}.tmp`;
+                    await writeFilePromise(tempPath, JSON.stringify(this.data, null, 2), { encoding: 'utf-8' });
+                    await renamePromise(tempPath, this.filePath);
+                }
+            })().finally(() => {
+                this.saving = null;
+                if (this.dirty) {
+                    this.save().catch(() => { });
+                }
+            });
+        }
+
+        return this.saving;
+    }
+
+    /**
+     * Wait for the pending journal writes
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        while (this.saving) {
+            await this.saving;
+        }
+    }
+}
+
+module.exports = {
+    JOURNAL_FILE_NAME,
+    FetchJournal,
+};
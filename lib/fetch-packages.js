@@ -1,52 +1,115 @@
+const axios = require('axios');
+const npa = require('npm-package-arg');
 const pacote = require('pacote');
-const { valid, coerce } = require('semver');
-const { merge } = require('lodash');
-const { red } = require('chalk');
-const { join } = require('path');
-const { cache, resolvedPackages } = require('./cache');
-const { execSync } = require('child_process');
+const { maxSatisfying, satisfies, validRange } = require('semver');
+const ssri = require('ssri');
+const { promisify } = require('util');
+const { basename, join, resolve } = require('path');
+const { createReadStream, stat } = require('fs');
+const caches = require('./cache');
+const { WorkQueue } = require('./work-queue');
+const { isPlatformSpecific, getSupportedPlatforms } = require('./platform');
+const { readNpmrc, getAuthorization, getNpmCacheFolder, getPackageRegistry } = require('./npmrc');
+const { isWorkspaceSpec } = require('./workspaces');
 
-// Set cache folder to npm cache folder
-const npmCacheFolderPath = execSync('npm config get cache', { encoding: 'utf8' }).trim();
-const pacoteCacheFolder = process.env.CACHE_FOLDER || join(npmCacheFolderPath, '_cacache');
+// The npm cache folder that pacote uses by default (resolved on the first request)
+let defaultCacheFolder;
+
+// npm-package-arg spec types that resolved from the registry
+const REGISTRY_SPEC_TYPES = ['version', 'range', 'tag'];
+
+// The requests in the work queue are retried by the queue, disable pacote retries
+const QUEUE_RETRY = { retries: 0 };
+
+const statPromise = promisify(stat);
 
 /**
  * Download packages tarball
+ * The downloads run in the work queue (options.queue or new queue with options.concurrency and options.retries),
+ * the failed packages are collected into options.failures and the status of every package is recorded in options.journal.
+ * Every package is downloaded from its resolved registry, or the registry of its scope in options.registryOptions (see getRegistryOptions).
+ * With options.useCache the packages in the packages cache (options.cacheDb or the default cache) are skipped,
+ * options.onPackage and options.onFailure are called for every downloaded and failed package
  *
- * @param {{ name: string, version:string, isLatest: boolean }[]} packages The packages array
+ * @param {{ name: string, version:string, isLatest: boolean, distTags?: string[], resolved?: string, integrity?: string }[]} packages The packages array
  * @param {any} options The options
+ *
+ * @returns {Promise<({ name: string, version: string, isLatest: boolean, distTags: string[], registry: string, integrity: string, shasum: string, size: number } | null)[]>} The downloaded packages (null for failed package)
  */
 async function downloadPackages(packages, options = {}) {
     const logger = options.logger || (() => { });
     const destFolder = options.destFolder || '.';
-    const { useCache } = options;
+    const { useCache, journal } = options;
+    const cache = useCache ? options.cacheDb || caches.cache : null;
+    const bundle = options.bundle || basename(resolve(destFolder));
+    const queue = options.queue || new WorkQueue(options);
     let counter = 0;
 
-    // If cache enabled filter the dependencies that exist inn cache
-    const packagesToDownload = useCache
-        ? packages.filter(({ name, version }) => !cache.exist(name, version))
-        : packages;
+    // The source registry of every package (the registry it resolved from, or its scope registry)
+    const registryOf = p => p.registry || getPacoteOptions(p.name, options).registry;
+
+    // If cache enabled filter the dependencies that exist in cache
+    const inCache = useCache
+        ? await Promise.all(packages.map(p => cache.exist(p.name, p.version, registryOf(p))))
+        : [];
+    const packagesToDownload = packages.filter((p, index) => !inCache[index]);
+    if (journal) {
+        packages.filter((p, index) => inCache[index]).forEach(p => journal.update(p.name, p.version, 'cached'));
+    }
 
     // Download packages tarballs and add them to cache
-    const result = await Promise.allSettled(packagesToDownload.map(p =>
-        downloadPackageTarball(p.name, p.version, { destFolder, isLatest: p.isLatest, registry: options.registry })
-            .then(res => {
-                counter++;
-                const { name, version } = res;
+    return Promise.all(packagesToDownload.map(p => queue.push(() => downloadPackageTarball(p.name, p.version, {
+        destFolder,
+        isLatest: p.isLatest,
+        resolved: p.resolved,
+        integrity: p.integrity,
+        registry: registryOf(p),
+        registryOptions: options.registryOptions,
+        cacheFolder: options.cacheFolder,
+        retry: QUEUE_RETRY,
+    }), `${p.name}@${p.version}`)
+        .then(async res => {
+            counter++;
+            const { name, version } = res;
 
-                const percent = (1 / packagesToDownload.length) * counter;
-                logger(`Fetching packages: ${name}@${version}`, percent);
+            const percent = (1 / packagesToDownload.length) * counter;
+            logger(`Fetching packages: ${name}@${version}`, percent);
 
-                if (useCache) {
-                    cache.add(name, version)
-                }
-                return res;
-            }).catch(error => {
-                handlerError(error);
-                return null;
-            })
-    ));
-    return result;
+            // The dist-tags that point to this version in the source registry
+            res.distTags = p.distTags || (p.isLatest ? ['latest'] : []);
+
+            if (useCache) {
+                await cache.add(name, version, {
+                    registry: res.registry,
+                    integrity: res.integrity,
+                    shasum: res.shasum,
+                    size: res.size,
+                    bundle,
+                });
+            }
+
+            if (options.onPackage) {
+                options.onPackage(res);
+            }
+
+            if (journal) {
+                journal.update(name, version, 'done', {
+                    distTags: res.distTags,
+                    registry: res.registry,
+                    fileName: res.fileName,
+                    integrity: res.integrity,
+                    shasum: res.shasum,
+                    size: res.size,
+                });
+            }
+            return res;
+        }).catch(error => {
+            reportFailure({ stage: 'download', name: p.name, spec: p.version, error }, options);
+            if (journal) {
+                journal.update(p.name, p.version, 'failed', { error: error && error.message ? error.message : String(error) });
+            }
+            return null;
+        })));
 }
 
 /**
@@ -54,156 +117,459 @@ async function downloadPackages(packages, options = {}) {
  *
  * @param {string} name The package name
  * @param {string} version The package version
- * @param {{destFolder: string, isLatest?: boolean}} options The options
+ * @param {{destFolder: string, isLatest?: boolean, registry?: string, registryOptions?: any, cacheFolder?: string, resolved?: string, integrity?: string, retry?: any}} options The options
  *
- * @returns {Promise<{name: string, version: string, isLatest: boolean}>}
+ * @returns {Promise<{name: string, version: string, isLatest: boolean, registry: string, fileName: string, integrity: string, shasum: string, size: number}>}
  */
 async function downloadPackageTarball(name, version = 'latest', options = { destFolder: '.', registry: undefined }) {
-    const { destFolder, isLatest, registry } = options;
-    return pacote.tarball.toFile(
+    const { destFolder, isLatest, resolved, integrity, retry } = options;
+    const pacoteOptions = getPacoteOptions(name, options);
+    const fileName = `${name.replace('/', '-')}-${version}${isLatest ? '-latest' : ''}.tgz`;
+    const filePath = join(destFolder, fileName);
+
+    await pacote.tarball.toFile(
         `${name}@${version}`,
-        `${destFolder}/${name.replace('/', '-')}-${version}${isLatest ? '-latest' : ''}.tgz`,
-        { cache: pacoteCacheFolder, registry }
-    ).then(() => ({name, version, isLatest: Boolean(isLatest)}));
+        filePath,
+        // Known resolved url and integrity (e.g. from lockfile) skip the manifest request and verify the tarball
+        { ...pacoteOptions, resolved, integrity, retry },
+    );
+
+    // Calculate the tarball hashes (sha512 integrity and sha1 shasum like in npm packument)
+    const [hashes, { size }] = await Promise.all([
+        ssri.fromStream(createReadStream(filePath), { algorithms: ['sha512', 'sha1'] }),
+        statPromise(filePath),
+    ]);
+
+    return {
+        name,
+        version,
+        isLatest: Boolean(isLatest),
+        registry: pacoteOptions.registry,
+        fileName,
+        integrity: hashes.sha512[0].toString(),
+        shasum: hashes.sha1[0].hexDigest(),
+        size,
+    };
+}
+
+/**
+ * Get the package tarball size without downloading it (HEAD request of the tarball url)
+ *
+ * @param {{ name: string, version: string, registry?: string, resolved?: string }} p The package (resolved is the tarball url)
+ * @param {{ registry?: string, registryOptions?: any }} options The options
+ *
+ * @returns {Promise<number | null>} The tarball size in bytes (null when the registry doesn't report it)
+ */
+async function getTarballSize(p, options = {}) {
+    const registry = (p.registry || getPacoteOptions(p.name, options).registry).replace(/\/?$/, '/');
+    const url = p.resolved || `${registry}${p.name}/-/${p.name.split('/').pop()}-${p.version}.tgz`;
+    const authorization = getAuthorization(options.registryOptions || {}, url);
+
+    const response = await axios.head(url, { headers: authorization ? { authorization } : {}, maxRedirects: 5 });
+    const size = Number(response.headers['content-length']);
+    return Number.isNaN(size) ? null : size;
 }
 
 /**
  * Get package dependencies from manifest
  *
  * @param {object} manifest The package manifest
- * @param {object} options the options
+ * @param {object} options the options (dev dependencies are resolved only for the root manifest,
+ * optional dependencies are resolved with target platforms to pick the ones the targets need)
  *
- * @returns {{name: string, version: string}[]} Array of dependencies
+ * @returns {{name: string, spec: string, type: 'prod' | 'dev' | 'peer' | 'optional'}[]} Array of dependencies with the requested spec (range, tag, alias, etc.)
  */
 function getManifestDependencies(manifest, options = {}) {
-    const packages = merge(
-        manifest.dependencies,
-        options.dev ? manifest.devDependencies : {},
-        options.peer ? manifest.peerDependencies : {},
-        options.optional ? manifest.optionalDependencies : {},
-    );
-
-    return Object.keys(packages).map((name) => {
-        let version = packages[name];
-        let cleanVersion = version.replace('^', '').replace('~', '');
+    const types = {
+        prod: manifest.dependencies,
+        dev: options.dev && options.isRoot ? manifest.devDependencies : {},
+        peer: options.peer ? manifest.peerDependencies : {},
+        optional: options.optional || options.platforms ? manifest.optionalDependencies : {},
+    };
 
-        if (!valid(cleanVersion)) {
-            const coerceVersion = coerce(cleanVersion)?.version;
-            version = coerceVersion ?? 'latest';
-        }
+    const packages = Object.keys(types).reduce((result, type) => {
+        Object.keys(types[type] || {}).forEach(name => result[name] = { name, spec: types[type][name] || 'latest', type });
+        return result;
+    }, {});
 
-        return {
-            name,
-            version,
-        };
-    });
+    return Object.values(packages);
 }
 
 /**
- * Resolve all package dependencies recursively
+ * Resolve the full dependencies tree of the manifest
+ * The tree is resolved level by level (the shallowest package version is expanded first like npm),
+ * every package version is expanded once and the next occurrences are marked as deduped.
+ * The manifests requests run in the work queue (options.queue or new queue with options.concurrency and options.retries).
+ * With target platforms (options.platforms) the optional packages that no target supports (os, cpu and libc fields) are skipped,
+ * the included and skipped platform specific packages are collected into options.platformPackages.
+ * The workspaces (options.workspaces, see readProjects) are the root children and resolved like the root,
+ * the dependencies on other workspaces that their version satisfies are linked and not resolved from the registry
  *
  * @param {any} manifest The package manifest (package.json file)
  * @param {any} options The options
  *
- * @returns {Promise<{ name: string, version:string, isLatest: boolean }[]>} Promise of dependencies array
+ * @returns {Promise<any>} The root node, every node has name, version, requested spec, parent chain (path) and dependencies
  */
-async function resolveDependencies(manifest, options) {
+async function resolveDependencyTree(manifest, options = {}) {
     const logger = options.logger || (() => { });
+    const queue = options.queue || new WorkQueue(options);
+    const manifests = new Map();
+    const expanded = new Set();
+    const platformPackages = new Map();
+    const workspaces = new Map((options.workspaces || []).map(workspace => [workspace.name, workspace]));
+    const isLinked = ({ name, spec }) => workspaces.has(name) && isWorkspaceSpec(spec, workspaces.get(name).version);
+
+    const root = {
+        name: manifest.name,
+        version: manifest.version,
+        path: [],
+        dependencies: [...workspaces.values()].map(workspace => ({
+            name: workspace.name,
+            version: workspace.version,
+            type: 'workspace',
+            workspace: true,
+            location: workspace.location,
+            path: [],
+            dependencies: [],
+            manifest: workspace.manifest,
+        })),
+        manifest,
+    };
 
-    // Get dependencies array from manifest
-    const dependencies = getManifestDependencies(manifest, options);
+    let level = [root, ...root.dependencies];
+    while (level.length) {
+        // Resolve all the dependencies of the current level (the same spec is resolved once)
+        const requests = level.map(node => getManifestDependencies(node.manifest, { ...options, isRoot: node === root || node.workspace }));
+        await Promise.all([].concat(...requests).filter(request => !isLinked(request)).map(({ name, spec }) => {
+            const key = `${name}@${spec}`;
+            if (!manifests.has(key)) {
+                manifests.set(key, getPackageManifest(name, spec, { ...options, queue, retry: QUEUE_RETRY }).catch(error => error));
+            }
 
-    // Return a empty array in case of no dependencies
-    if (!dependencies.length) {
-        return [];
-    }
+            return manifests.get(key);
+        }));
 
-    options.depth = options.depth || 0;
-    options.progress = options.progress || 0;
+        const nextLevel = [];
+        for (let index = 0; index < level.length; index++) {
+            const parent = level[index];
+            const parentPath = parent === root ? [] : [...parent.path, `${parent.name}@${parent.version}`];
 
-    // Resolve dependencies childs recursively
-    let manifests = await Promise.all(
-        dependencies
-            .filter(({ name, version }) => !resolvedPackages.get(name, version))
-            .map(({ name, version }) => getPackageManifest(name, version, options).catch(handlerError))
-    );
+            parent.dependencies = parent.dependencies.concat(await Promise.all(requests[index].map(async ({ name, spec, type }) => {
+                const node = { name, requested: spec, type, path: parentPath, dependencies: [] };
+                if (isLinked({ name, spec })) {
+                    const { version, location } = workspaces.get(name);
+                    return { ...node, version, location, link: true };
+                }
 
-    // Chack if package with real version already added
-    manifests = manifests.filter(currManifest => currManifest && !resolvedPackages.get(currManifest.name, currManifest.version))
+                const result = await manifests.get(`${name}@${spec}`);
 
-    // Add package version to cache (in memory)
-    manifests.forEach(p => {
-        logger(`Resolving dependencies: ${p.name}@${p.version}`, options.progress);
-        resolvedPackages.set(p.name, p.version)
-    })
+                if (result instanceof Error) {
+                    if (result.code === 'EUNSUPPORTEDSPEC') {
+                        reportSkipped({ name, spec, type: result.type, parent: parent.name }, options);
+                        return { ...node, skipped: result.type };
+                    }
 
-    const result = [];
-    for (const currManifest of manifests) {
-        result.push({ name: currManifest.name, version: currManifest.version, isLatest: currManifest.isLatest });
-        const dependenciesChilds = await resolveDependencies(currManifest, Object.assign(options, { depth: options.depth + 1 }));
+                    reportFailure({ stage: 'resolve', name, spec, parent: parent.name, error: result }, options);
+                    return { ...node, error: result.message };
+                }
+
+                const { dist = {} } = result;
+                Object.assign(node, {
+                    name: result.name,
+                    alias: result.name !== name ? name : undefined,
+                    version: result.version,
+                    isLatest: result.isLatest,
+                    distTags: result.distTags,
+                    registry: result.registry,
+                    resolved: dist.tarball,
+                    integrity: dist.integrity,
+                });
+
+                const key = `${result.name}@${result.version}`;
+                if (options.platforms && isPlatformSpecific(result)) {
+                    const targets = getSupportedPlatforms(result, options.platforms);
+                    const included = type !== 'optional' || targets.length > 0;
 
-        // Add the current percent to progress bar (calculate only in packages at the top of the tree)
-        if (options.depth === 0) {
-            options.progress += 1 / dependencies.length;
+                    // Report every package version once (the package may be skipped as optional and required by another package)
+                    const reported = platformPackages.get(key);
+                    if (!reported) {
+                        platformPackages.set(key, reportPlatformPackage({ ...pickPlatform(result), targets, included, parent: parent.name }, options));
+                    } else if (included) {
+                        reported.included = true;
+                    }
+
+                    // Like npm, only optional packages are skipped on unsupported platforms
+                    if (!included) {
+                        return { ...node, skipped: 'platform' };
+                    }
+                }
+
+                if (expanded.has(key)) {
+                    node.deduped = true;
+                } else {
+                    expanded.add(key);
+                    node.manifest = result;
+                    nextLevel.push(node);
+
+                    logger(`Resolving dependencies: ${key}`, expanded.size / (expanded.size + nextLevel.length + 1));
+                }
+
+                return node;
+            })));
         }
 
-        // Concat dependencies to array result
-        result.push(...dependenciesChilds);
-    };
+        level = nextLevel;
+    }
+
+    return root;
+}
+
+/**
+ * Resolve all package dependencies recursively
+ *
+ * @param {any} manifest The package manifest (package.json file)
+ * @param {any} options The options
+ *
+ * @returns {Promise<{ name: string, version:string, isLatest: boolean, distTags: string[], registry: string, resolved: string, integrity: string, requires: string[] }[]>} Promise of dependencies array
+ */
+async function resolveDependencies(manifest, options = {}) {
+    const tree = await resolveDependencyTree(manifest, options);
+    return flattenDependencyTree(tree);
+}
+
+/**
+ * Get the unique packages of the dependencies tree, with the "name@version" of the resolved dependencies of every package
+ *
+ * @param {any} tree The dependencies tree root
+ *
+ * @returns {{ name: string, version:string, isLatest: boolean, distTags: string[], registry: string, resolved: string, integrity: string, requires: string[] }[]} The packages array
+ */
+function flattenDependencyTree(tree) {
+    const result = [];
+    const walk = node => node.dependencies.forEach(child => {
+        // The workspaces and the links to them are local packages
+        if (child.workspace) {
+            walk(child);
+        } else if (child.version && !child.deduped && !child.link) {
+            result.push({
+                name: child.name,
+                version: child.version,
+                isLatest: child.isLatest,
+                distTags: child.distTags,
+                registry: child.registry,
+                resolved: child.resolved,
+                integrity: child.integrity,
+                requires: child.dependencies.filter(dependency => dependency.version && !dependency.link).map(dependency => `${dependency.name}@${dependency.version}`),
+            });
+            walk(child);
+        }
+    });
+    walk(tree);
 
     return result;
 }
 
 /**
  * Get package manifest from npm (package.json file), use npm cache folder
+ * The spec is parsed like npm does (version, range, tag or npm: alias) and resolved against the packument
+ * of the package registry (the registry of the package scope in opts.registryOptions, or opts.registry)
+ *
+ * @param {string} packageName The package name
+ * @param {string} packageSpec The requested spec (e.g. "^1.2.0", "1.x", "next", "npm:other@^2")
+ * @param {{ registry?: string, registryOptions?: any, nodeVersion?: string, queue?: WorkQueue, retry?: any }} opts The options (the packument request runs in the queue if given)
  *
- * @param {string} packageName
- * @param {string} packageVersion
+ * @returns {Promise<any>} The chosen version manifest with isLatest flag, the dist-tags that point to it and the source registry
  */
-async function getPackageManifest(packageName, packageVersion = 'latest', opts = { registry: undefined }) {
-    const pacoteOptions = { cache: pacoteCacheFolder, registry: opts.registry };
-
-    return Promise.all([
-        pacote.manifest(`${packageName}@${packageVersion}`, pacoteOptions)
-            .catch((error) => {
-                if (error.code === 'ETARGET') {
-                    const { latest } = error.distTags;
-                    return pacote.manifest(`${packageName}@${latest}`, pacoteOptions);
-                }
+async function getPackageManifest(packageName, packageSpec = 'latest', opts = { registry: undefined }) {
+    let spec = npa.resolve(packageName, packageSpec || 'latest');
+    if (spec.type === 'alias') {
+        spec = spec.subSpec;
+    }
 
-                if (error.code === 'E404') {
-                    console.error(`\nError: "${packageName}@${packageVersion}" not found`);
-                    return packageVersion !== 'latest' ? pacote.manifest(packageName, pacoteOptions)
-                        : Promise.reject(new Error(`${packageName}@${packageVersion} not found`));
-                }
+    // Git, file, directory and remote tarball dependencies can't be fetched from the registry
+    if (!REGISTRY_SPEC_TYPES.includes(spec.type)) {
+        const error = new Error(`${packageName}@${packageSpec} is not a registry dependency (${spec.type})`);
+        error.code = 'EUNSUPPORTEDSPEC';
+        error.type = spec.type;
+        return Promise.reject(error);
+    }
 
-                return Promise.reject(error);
-            }),
-        packageVersion !== 'latest' ? pacote.packument(packageName, pacoteOptions) : Promise.resolve(),
-    ])
-        .then(([manifest, packument]) => {
-            if (packument) {
-                manifest.isLatest = packument['dist-tags'].latest === manifest.version;
-            } else {
-                manifest.isLatest = true;
+    const pacoteOptions = { ...getPacoteOptions(spec.name, opts), retry: opts.retry };
+    const fetchPackument = () => pacote.packument(spec.name, pacoteOptions);
+    const packument = await (opts.queue ? opts.queue.push(fetchPackument, spec.name) : fetchPackument())
+        .catch((error) => {
+            if (error.code === 'E404') {
+                return Promise.reject(new Error(`${spec.name}@${spec.fetchSpec} not found`));
             }
 
-            return manifest;
+            return Promise.reject(error);
         });
+
+    const version = pickVersion(packument, spec, opts);
+    if (!version) {
+        return Promise.reject(new Error(`No matching version found for ${spec.name}@${spec.fetchSpec}`));
+    }
+
+    const distTags = packument['dist-tags'] || {};
+    return {
+        ...packument.versions[version],
+        isLatest: distTags.latest === version,
+        distTags: Object.keys(distTags).filter(tag => distTags[tag] === version),
+        registry: pacoteOptions.registry,
+    };
+}
+
+/**
+ * Get the pacote options of package request: the npm config registry options (credentials, proxy and ssl)
+ * with the package registry (options.registry overrides the config registry, scoped packages use their scope registry)
+ * and the pacote cache folder (options.cacheFolder, the CACHE_FOLDER environment variable or the npm cache folder)
+ *
+ * @param {string} name The package name
+ * @param {{ registry?: string, registryOptions?: any, cacheFolder?: string }} options The options
+ *
+ * @returns {any} The pacote options
+ */
+function getPacoteOptions(name, options) {
+    const registryOptions = { ...options.registryOptions };
+    if (options.registry) {
+        registryOptions.registry = options.registry;
+    }
+
+    return { ...registryOptions, registry: getPackageRegistry(registryOptions, name), cache: options.cacheFolder || getCacheFolder() };
+}
+
+/**
+ * Get the default pacote cache folder (the CACHE_FOLDER environment variable or the npm cache _cacache folder)
+ *
+ * @returns {string} The cache folder
+ */
+function getCacheFolder() {
+    if (!defaultCacheFolder) {
+        defaultCacheFolder = process.env.CACHE_FOLDER || join(getNpmCacheFolder(readNpmrc()), '_cacache');
+    }
+
+    return defaultCacheFolder;
+}
+
+/**
+ * Pick the version that satisfies the spec from the packument (same rules as npm):
+ * - tag: the dist-tag version
+ * - version: the exact version
+ * - range: the "latest" dist-tag if satisfies the range, otherwise the max satisfying version
+ *   preferring versions that are not deprecated and that support the target node engine
+ *
+ * @param {any} packument The package packument
+ * @param {any} spec The parsed npm-package-arg spec
+ * @param {{ nodeVersion?: string }} options The options
+ *
+ * @returns {string | null} The chosen version
+ */
+function pickVersion(packument, spec, options = {}) {
+    const distTags = packument['dist-tags'] || {};
+    const versions = Object.keys(packument.versions || {});
+
+    if (spec.type === 'tag') {
+        return distTags[spec.fetchSpec] || null;
+    }
+
+    if (spec.type === 'version') {
+        return versions.includes(spec.fetchSpec) ? spec.fetchSpec : null;
+    }
+
+    const range = spec.fetchSpec;
+    if (distTags.latest && satisfies(distTags.latest, range)) {
+        return distTags.latest;
+    }
+
+    const nodeVersion = options.nodeVersion || process.version;
+    const satisfiesEngine = version => {
+        const { engines } = packument.versions[version];
+        return !engines || !engines.node || !validRange(engines.node) || satisfies(nodeVersion, engines.node);
+    };
+    const isDeprecated = version => Boolean(packument.versions[version].deprecated);
+
+    const preferred = [
+        versions.filter(v => !isDeprecated(v) && satisfiesEngine(v)),
+        versions.filter(v => !isDeprecated(v)),
+        versions,
+    ];
+
+    return preferred.reduce((version, candidates) => version || maxSatisfying(candidates, range), null);
+}
+
+/**
+ * Report dependency that not resolved from the registry (git, file, remote tarball, etc.)
+ *
+ * @param {{ name: string, spec: string, type: string, parent: string }} dependency The skipped dependency
+ * @param {{ skipped?: any[] }} options The options
+ */
+function reportSkipped(dependency, options) {
+    if (Array.isArray(options.skipped)) {
+        options.skipped.push(dependency);
+    }
+}
+
+/**
+ * Report platform specific package that included or skipped by the target platforms
+ *
+ * @param {{ name: string, version: string, os?: string[], cpu?: string[], libc?: string[], targets: any[], included: boolean, parent: string }} platformPackage The package
+ * @param {{ platformPackages?: any[] }} options The options
+ *
+ * @returns {any} The reported entry
+ */
+function reportPlatformPackage(platformPackage, options) {
+    const entry = { ...platformPackage, targets: platformPackage.targets.map(({ name }) => name) };
+    if (Array.isArray(options.platformPackages)) {
+        options.platformPackages.push(entry);
+    }
+
+    return entry;
 }
 
 /**
- * Print promise catch error
+ * Get the package name, version and platform fields
+ *
+ * @param {any} manifest The package manifest
  *
- * @param {Error} error
+ * @returns {{ name: string, version: string, os?: string[], cpu?: string[], libc?: string[] }} The package platform
  */
-function handlerError(error) {
-    console.error(error && error.message ? red(error.message) : error);
+function pickPlatform(manifest) {
+    const { name, version, os, cpu, libc } = manifest;
+    return { name, version, os, cpu, libc };
+}
+
+/**
+ * Report package that failed to resolve or download (after all the retries)
+ *
+ * @param {{ stage: 'resolve' | 'download', name: string, spec: string, parent?: string, error: any }} failure The failure
+ * @param {{ failures?: any[], onFailure?: Function }} options The options
+ */
+function reportFailure(failure, options) {
+    const { error, ...rest } = failure;
+    const entry = {
+        ...rest,
+        code: error && error.code,
+        attempts: (error && error.attempts) || 1,
+        message: error && error.message ? error.message : String(error),
+    };
+
+    if (Array.isArray(options.failures)) {
+        options.failures.push(entry);
+    }
+
+    if (options.onFailure) {
+        options.onFailure(entry);
+    }
 }
 
 module.exports = {
     getPackageManifest,
+    getManifestDependencies,
     resolveDependencies,
+    resolveDependencyTree,
+    flattenDependencyTree,
     downloadPackageTarball,
     downloadPackages,
+    getTarballSize,
+    getCacheFolder,
 };
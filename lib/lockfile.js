@@ -0,0 +1,229 @@
+const yaml = require('js-yaml');
+const yarnLockfile = require('@yarnpkg/lockfile');
+const { valid } = require('semver');
+const { promisify } = require('util');
+const { basename, join } = require('path');
+const { readFile, existsSync, lstatSync } = require('fs');
+
+const readFilePromise = promisify(readFile);
+
+// Lockfiles lookup order when a folder is given (same priority as npm)
+const LOCKFILE_NAMES = ['npm-shrinkwrap.json', 'package-lock.json', 'yarn.lock'];
+
+/**
+ * Find the lockfile path, in case of a folder look for a known lockfile inside it
+ *
+ * @param {string} lockfilePath The path to lockfile or to the project folder
+ *
+ * @returns {string} The lockfile path
+ */
+function findLockfile(lockfilePath) {
+    if (!existsSync(lockfilePath)) {
+        throw new Error(`The path "${lockfilePath}" not existed`);
+    }
+
+    if (!lstatSync(lockfilePath).isDirectory()) {
+        return lockfilePath;
+    }
+
+    const lockfileName = LOCKFILE_NAMES.find(name => existsSync(join(lockfilePath, name)));
+    if (!lockfileName) {
+        throw new Error(`No lockfile found in "${lockfilePath}" (expected one of ${LOCKFILE_NAMES.join(', ')})`);
+    }
+
+    return join(lockfilePath, lockfileName);
+}
+
+/**
+ * Read lockfile and get all the pinned packages from it
+ * (package-lock.json v1/v2/v3, npm-shrinkwrap.json and yarn.lock classic/berry)
+ *
+ * @param {string} lockfilePath The path to lockfile or to the project folder
+ *
+ * @returns {Promise<{ name: string, version: string, resolved?: string, integrity?: string, isLatest: boolean, os?: string[], cpu?: string[], libc?: string[], optional?: boolean }[]>} Promise of packages array
+ */
+async function parseLockfile(lockfilePath) {
+    const filePath = findLockfile(lockfilePath);
+    const file = await readFilePromise(filePath, { encoding: 'utf-8' });
+
+    let packages;
+    if (basename(filePath).endsWith('.lock')) {
+        packages = file.includes('__metadata:') ? parseYarnBerryLock(file) : parseYarnClassicLock(file);
+    } else {
+        packages = parseNpmLock(JSON.parse(file));
+    }
+
+    return uniquePackages(packages);
+}
+
+/**
+ * Get packages from package-lock.json / npm-shrinkwrap.json
+ *
+ * @param {any} lockfile The parsed lockfile
+ *
+ * @returns {{ name: string, version: string, resolved?: string, integrity?: string }[]} Packages array
+ */
+function parseNpmLock(lockfile) {
+    // lockfileVersion 2 and 3 contains the flat "packages" section
+    if (lockfile.packages) {
+        return Object.keys(lockfile.packages)
+            .filter(path => path.includes('node_modules/'))
+            .map(path => {
+                const entry = lockfile.packages[path];
+                if (entry.link || entry.inBundle || !entry.version) {
+                    return null;
+                }
+
+                // Aliased packages keep the real package name in "name" field
+                const name = entry.name || path.slice(path.lastIndexOf('node_modules/') + 'node_modules/'.length);
+                return toPackage(name, entry.version, entry);
+            })
+            .filter(Boolean);
+    }
+
+    // lockfileVersion 1 contains nested "dependencies" tree
+    const packages = [];
+    const walk = (dependencies = {}) => {
+        Object.keys(dependencies).forEach(name => {
+            const entry = dependencies[name];
+            if (!entry.bundled && entry.version) {
+                packages.push(toPackage(name, entry.version, entry));
+            }
+
+            walk(entry.dependencies);
+        });
+    };
+    walk(lockfile.dependencies);
+
+    return packages.filter(Boolean);
+}
+
+/**
+ * Get packages from yarn classic (v1) yarn.lock
+ *
+ * @param {string} file The lockfile content
+ *
+ * @returns {{ name: string, version: string, resolved?: string, integrity?: string }[]} Packages array
+ */
+function parseYarnClassicLock(file) {
+    const { type, object } = yarnLockfile.parse(file);
+    if (type !== 'success') {
+        throw new Error('The yarn.lock file has merge conflicts');
+    }
+
+    return Object.keys(object).map(key => {
+        const entry = object[key];
+        const [name, range] = splitSpec(key.split(',')[0].trim());
+
+        // Aliased packages are written as "alias@npm:real-name@range"
+        const realName = range.startsWith('npm:') ? splitSpec(range.slice('npm:'.length))[0] : name;
+
+        return toPackage(realName, entry.version, {
+            resolved: entry.resolved && entry.resolved.split('#')[0],
+            integrity: entry.integrity,
+        });
+    }).filter(Boolean);
+}
+
+/**
+ * Get packages from yarn berry (v2+) yarn.lock
+ *
+ * @param {string} file The lockfile content
+ *
+ * @returns {{ name: string, version: string }[]} Packages array
+ */
+function parseYarnBerryLock(file) {
+    const lockfile = yaml.safeLoad(file);
+
+    return Object.keys(lockfile)
+        .filter(key => key !== '__metadata')
+        .map(key => {
+            const { resolution } = lockfile[key];
+            if (!resolution) {
+                return null;
+            }
+
+            // Only registry packages can be fetched, e.g. "name@npm:1.0.0"
+            const [name, reference] = splitSpec(resolution);
+            if (!reference.startsWith('npm:')) {
+                return null;
+            }
+
+            // The berry checksum is of the zip archive, not of the tarball, so it is not kept
+            return toPackage(name, reference.slice('npm:'.length));
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Create package object from lockfile entry, skip entries that not pinned to registry version
+ *
+ * @param {string} name The package name
+ * @param {string} version The locked version (may be an alias "npm:name@version")
+ * @param {{ resolved?: string, integrity?: string }} entry The lockfile entry
+ *
+ * @returns {{ name: string, version: string, resolved?: string, integrity?: string, isLatest: boolean, os?: string[], cpu?: string[], libc?: string[], optional?: boolean } | null} The package
+ */
+function toPackage(name, version, entry = {}) {
+    if (version.startsWith('npm:')) {
+        [name, version] = splitSpec(version.slice('npm:'.length));
+    }
+
+    // Git, file and link dependencies can't be fetched from the registry
+    if (!valid(version) || (entry.resolved && !/^https?:/.test(entry.resolved))) {
+        return null;
+    }
+
+    const result = {
+        name,
+        version,
+        resolved: entry.resolved,
+        integrity: entry.integrity,
+        isLatest: false,
+    };
+
+    // npm lockfile v2 and v3 record the platform fields of the optional packages (to fetch only the target platforms packages)
+    ['os', 'cpu', 'libc', 'optional'].filter(field => entry[field]).forEach(field => result[field] = entry[field]);
+
+    return result;
+}
+
+/**
+ * Split package spec to name and range (support scoped packages)
+ *
+ * @param {string} spec The package spec, e.g. "@scope/name@^1.0.0"
+ *
+ * @returns {[string, string]} The name and the range
+ */
+function splitSpec(spec) {
+    const index = spec.indexOf('@', 1);
+    if (index === -1) {
+        return [spec, ''];
+    }
+
+    return [spec.slice(0, index), spec.slice(index + 1)];
+}
+
+/**
+ * Remove duplicate packages (the same version can be installed in several nested node_modules)
+ *
+ * @param {{ name: string, version: string }[]} packages The packages array
+ *
+ * @returns {{ name: string, version: string }[]} Packages array without duplicates
+ */
+function uniquePackages(packages) {
+    const packagesMap = new Map();
+    packages.forEach(p => {
+        const key = `${p.name}@${p.version}`;
+        if (!packagesMap.has(key)) {
+            packagesMap.set(key, p);
+        }
+    });
+
+    return [...packagesMap.values()];
+}
+
+module.exports = {
+    findLockfile,
+    parseLockfile,
+};
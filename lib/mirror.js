@@ -0,0 +1,274 @@
+const axios = require('axios');
+const pacote = require('pacote');
+const yaml = require('js-yaml');
+const { major, prerelease, rsort, satisfies, validRange } = require('semver');
+const { promisify } = require('util');
+const { basename, dirname, extname, resolve } = require('path');
+const { readFile, existsSync } = require('fs');
+const { resolveDependencies } = require('./fetch-packages');
+const { getAuthorization, getPackageRegistry } = require('./npmrc');
+const { WorkQueue } = require('./work-queue');
+
+const readFilePromise = promisify(readFile);
+
+// The registry search page size (max of the npm search api)
+const SEARCH_PAGE_SIZE = 250;
+
+/**
+ * Read mirror config file (json or yaml)
+ * {
+ *   "name": "team-mirror",
+ *   "registry": "https://registry.npmjs.org/",
+ *   "output": "./bundles",
+ *   "optional": true,
+ *   "platform": "linux-x64-glibc,win32-x64",
+ *   "packages": {
+ *     "react": ">=17.0.0",
+ *     "typescript": { "majors": 2 },
+ *     "lodash": "last-sync",
+ *     "@types/*": { "since": "last-sync", "prerelease": false }
+ *   }
+ * }
+ * Every package policy is a range, "latest", "last-sync", or object of filters that all must match:
+ * range (semver range), majors (the latest N majors), since ("last-sync" or date) and prerelease (default false).
+ * Without range, majors and since only the latest version is mirrored
+ *
+ * @param {string} path The config file path
+ *
+ * @returns {Promise<any>} The config (the name defaults to the file name and the output is resolved from the config folder)
+ */
+async function readMirrorConfig(path) {
+    if (!existsSync(path)) {
+        throw new Error(`The mirror config file "${path}" not existed`);
+    }
+
+    const file = await readFilePromise(path, { encoding: 'utf-8' });
+    const config = /\.ya?ml$/.test(path) ? yaml.safeLoad(file) : JSON.parse(file);
+    if (!config || typeof config !== 'object' || !config.packages || typeof config.packages !== 'object' || Array.isArray(config.packages)) {
+        throw new Error(`The file "${path}" is not a mirror config file (expected packages object)`);
+    }
+
+    const packages = Object.keys(config.packages).map(key => {
+        const policy = toPolicy(config.packages[key]);
+        if (policy.range && !validRange(policy.range)) {
+            throw new Error(`The mirror package "${key}" has invalid range "${policy.range}"`);
+        }
+
+        if (policy.majors !== undefined && !(Number.isInteger(policy.majors) && policy.majors > 0)) {
+            throw new Error(`The mirror package "${key}" has invalid majors "${policy.majors}" (expected positive number)`);
+        }
+
+        if (policy.since && policy.since !== 'last-sync' && Number.isNaN(Date.parse(policy.since))) {
+            throw new Error(`The mirror package "${key}" has invalid since "${policy.since}" (expected last-sync or date)`);
+        }
+
+        // "@scope/*" mirrors all the packages of the scope
+        const scope = /^(@[^/]+)\/\*$/.exec(key);
+        return scope ? { scope: scope[1], ...policy } : { name: key, ...policy };
+    });
+
+    return {
+        ...config,
+        name: config.name || basename(path, extname(path)),
+        output: resolve(dirname(path), config.output || '.'),
+        packages,
+    };
+}
+
+/**
+ * Get the new versions to mirror: the versions that match the packages policies and not synced yet
+ * The packuments requests run in the work queue (options.queue or new queue with options.concurrency and options.retries),
+ * the failed packages are collected into options.failures
+ *
+ * @param {any} config The mirror config
+ * @param {{ synced: Set<string>, lastSync?: string, registryOptions?: any, queue?: WorkQueue, failures?: any[], logger?: Function }} options The options
+ *
+ * @returns {Promise<{ name: string, version: string }[]>} The new versions
+ */
+async function getMirrorVersions(config, options) {
+    const logger = options.logger || (() => { });
+    const queue = options.queue || new WorkQueue(options);
+    const registryOptions = { ...options.registryOptions, registry: config.registry || (options.registryOptions || {}).registry };
+
+    // Expand the scopes to their packages (the explicit package policy wins over its scope policy)
+    const scopes = await Promise.all(config.packages.filter(entry => entry.scope).map(async entry => {
+        const names = await searchScope(entry.scope, registryOptions, queue).catch(error => {
+            reportFailure({ stage: 'mirror', name: `${entry.scope}/*`, spec: '*', error }, options);
+            return [];
+        });
+
+        return names.map(name => ({ ...entry, scope: undefined, name }));
+    }));
+    const entries = new Map([].concat(...scopes).map(entry => [entry.name, entry]));
+    config.packages.filter(entry => entry.name).forEach(entry => entries.set(entry.name, entry));
+
+    let counter = 0;
+    const versions = await Promise.all([...entries.values()].map(entry => queue.push(() => pacote.packument(entry.name, {
+        ...registryOptions,
+        registry: getPackageRegistry(registryOptions, entry.name),
+        fullMetadata: true,
+        retry: { retries: 0 },
+    }), entry.name)
+        .then(packument => {
+            counter++;
+            logger(`Checking packages versions: ${entry.name}`, counter / entries.size);
+
+            return selectVersions(packument, entry, options.lastSync)
+                .filter(version => !options.synced.has(`${entry.name}@${version}`))
+                .map(version => ({ name: entry.name, version }));
+        })
+        .catch(error => {
+            reportFailure({ stage: 'mirror', name: entry.name, spec: '*', error }, options);
+            return [];
+        })));
+
+    return [].concat(...versions);
+}
+
+/**
+ * Select the packument versions that match the package policy
+ *
+ * @param {any} packument The full packument (with versions publish time)
+ * @param {{ range?: string, majors?: number, since?: string, prerelease?: boolean }} policy The package policy
+ * @param {string} lastSync The last sync date (undefined on the first sync)
+ *
+ * @returns {string[]} The versions (newest first)
+ */
+function selectVersions(packument, policy, lastSync) {
+    const distTags = packument['dist-tags'] || {};
+    const time = packument.time || {};
+    let versions = rsort(Object.keys(packument.versions || {}));
+
+    // On the first sync "since last sync" starts from the latest version
+    const since = policy.since === 'last-sync' ? lastSync : policy.since;
+    if (!policy.range && !policy.majors && !since) {
+        return distTags.latest && packument.versions[distTags.latest] ? [distTags.latest] : [];
+    }
+
+    if (!policy.prerelease) {
+        versions = versions.filter(version => !prerelease(version));
+    }
+
+    if (policy.range) {
+        versions = versions.filter(version => satisfies(version, policy.range, { includePrerelease: Boolean(policy.prerelease) }));
+    }
+
+    if (policy.majors) {
+        const majors = [...new Set(versions.map(version => major(version)))].slice(0, policy.majors);
+        versions = versions.filter(version => majors.includes(major(version)));
+    }
+
+    if (since) {
+        versions = versions.filter(version => time[version] && new Date(time[version]) > new Date(since));
+    } else if (policy.since === 'last-sync' && distTags.latest) {
+        versions = versions.filter(version => version === distTags.latest);
+    }
+
+    return versions;
+}
+
+/**
+ * Resolve the new versions and their dependencies
+ * Every version is resolved as exact root dependency, the versions of the same package are resolved in separate trees
+ *
+ * @param {{ name: string, version: string }[]} versions The new versions
+ * @param {any} options The resolve options (see resolveDependencies)
+ *
+ * @returns {Promise<any[]>} The unique packages
+ */
+async function resolveMirrorPackages(versions, options) {
+    // Split the versions into manifests with one version of every package
+    const manifests = [];
+    versions.forEach(({ name, version }) => {
+        const manifest = manifests.find(currManifest => !currManifest.dependencies[name]);
+        if (manifest) {
+            manifest.dependencies[name] = version;
+        } else {
+            manifests.push({ dependencies: { [name]: version } });
+        }
+    });
+
+    const packages = new Map();
+    for (let index = 0; index < manifests.length; index++) {
+        const dependencies = await resolveDependencies(manifests[index], options);
+        dependencies.forEach(p => {
+            const key = `${p.name}@${p.version}`;
+            if (!packages.has(key)) {
+                packages.set(key, p);
+            }
+        });
+    }
+
+    return [...packages.values()];
+}
+
+/**
+ * Get the names of the scope packages from the registry search api
+ *
+ * @param {string} scope The scope (e.g. "@types")
+ * @param {any} registryOptions The registry options
+ * @param {WorkQueue} queue The work queue
+ *
+ * @returns {Promise<string[]>} The packages names
+ */
+async function searchScope(scope, registryOptions, queue) {
+    const registry = getPackageRegistry(registryOptions, `${scope}/*`).replace(/\/?$/, '/');
+    const authorization = getAuthorization(registryOptions, registry);
+    const names = [];
+
+    let total = Infinity;
+    while (names.length < total) {
+        const url = `${registry}-/v1/search?text=scope:${encodeURIComponent(scope.slice(1))}&size=${SEARCH_PAGE_SIZE}&from=${names.length}`;
+        const { data } = await queue.push(() => axios.get(url, { headers: authorization ? { authorization } : {} }), `${scope} search`);
+        const objects = (data.objects || []).filter(obj => obj.package.name.startsWith(`${scope}/`));
+
+        names.push(...objects.map(obj => obj.package.name));
+        total = data.objects && data.objects.length === SEARCH_PAGE_SIZE ? data.total : names.length;
+    }
+
+    return [...new Set(names)];
+}
+
+/**
+ * Normalize the package policy ("latest", "last-sync", range or filters object)
+ *
+ * @param {string | any} value The config value
+ *
+ * @returns {{ range?: string, majors?: number, since?: string, prerelease?: boolean }} The policy
+ */
+function toPolicy(value) {
+    if (!value || value === 'latest') {
+        return {};
+    }
+
+    if (value === 'last-sync') {
+        return { since: 'last-sync' };
+    }
+
+    return typeof value === 'string' ? { range: value } : value;
+}
+
+/**
+ * Report package that failed to mirror
+ *
+ * @param {{ stage: string, name: string, spec: string, error: any }} failure The failure
+ * @param {{ failures?: any[] }} options The options
+ */
+function reportFailure(failure, options) {
+    const { error, ...rest } = failure;
+    if (Array.isArray(options.failures)) {
+        options.failures.push({
+            ...rest,
+            code: error && error.code,
+            attempts: (error && error.attempts) || 1,
+            message: error && error.message ? error.message : String(error),
+        });
+    }
+}
+
+module.exports = {
+    readMirrorConfig,
+    getMirrorVersions,
+    selectVersions,
+    resolveMirrorPackages,
+};
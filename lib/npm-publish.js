@@ -1,175 +1,509 @@
-const shell = require('shelljs');
-const { rimraf } = require('rimraf');
-const { chunk } = require('lodash');
-const { basename } = require('path');
+const axios = require('axios');
+const npa = require('npm-package-arg');
+const ssri = require('ssri');
+const { Parser } = require('tar');
+const { compare, gt, prerelease, valid } = require('semver');
+const { basename, join } = require('path');
 const { promisify } = require('util');
-const { mkdir, readFile, writeFile, readdir } = require('fs');
-const { green, red, gray } = require('chalk');
-const { extract, create } = require('tar');
+const { readFile, readdir, stat, unlink, existsSync, createReadStream } = require('fs');
+const { readBundleManifest } = require('./bundle-manifest');
+const { readNpmrc, getAuthorization } = require('./npmrc');
+const { WorkQueue } = require('./work-queue');
 
 const readFilePromise = promisify(readFile);
-const writeFilePromise = promisify(writeFile);
-const mkdirPromise = promisify(mkdir);
 const readdirPromise = promisify(readdir);
+const statPromise = promisify(stat);
+const unlinkPromise = promisify(unlink);
+
+// The prefix of the temporary dist-tag that versions without dist-tags are published with (npm publish requires a tag)
+const PUBLISH_TAG_PREFIX = 'npo-publish-';
 
 /**
- * Publish tarball package to npm private registry
+ * Publish tarball package to npm private registry over the registry HTTP API
+ * (PUT of the packument document with the tarball attachment, like npm publish does)
  *
  * @param {string} filePath The package file path
- * @param {{ force: boolean, delPackage: boolean }} options The options
+ * @param {{ registry: string, token?: string, config?: any, force?: boolean, delPackage?: boolean, dryRun?: boolean, entry?: any, distTags?: string[], onResult?: Function }} options The options
+ * (entry is the package from bundle manifest, distTags are the bundle dist-tags of the version (default: the entry dist-tags),
+ * onResult is called with the publish result, dryRun checks the target registry without publishing)
  *
- * @returns {Promise<string>} The stdout/stderr
+ * @returns {Promise<{ name: string, version: string, fileName: string, status: 'published' | 'exists' | 'failed', distTags?: string[], httpStatus?: number, error?: string, dryRun?: boolean }>} The publish result
  */
-function publishTarball(filePath, options = { force: false, delPackage: false }) {
-    const filename = basename(filePath);
+async function publishTarball(filePath, options = { registry: undefined, force: false, delPackage: false }) {
+    const fileName = basename(filePath);
+    const { entry } = options;
+    const result = {
+        name: entry ? entry.name : undefined,
+        version: entry ? entry.version : undefined,
+        fileName,
+        dryRun: options.dryRun ? true : undefined,
+    };
 
-    if (!filename.endsWith('.tgz')) {
-        return Promise.reject(new Error(`The file "${filename}" are not with tgz extension`));
-    }
+    try {
+        if (!fileName.endsWith('.tgz')) {
+            throw new Error(`The file "${fileName}" are not with tgz extension`);
+        }
 
-    const isLatest = filename.includes('-latest.tgz');
-    let clearName = filename.replace('-latest.tgz', '.tgz');
+        const registry = getPublishRegistry(options);
+        const data = await readFilePromise(filePath);
+        const { manifest, readme } = await readTarballManifest(data);
 
-    if (clearName.startsWith('@')) {
-        clearName = clearName.replace('-', '/');
-    }
+        if (entry && (manifest.name !== entry.name || manifest.version !== entry.version)) {
+            throw new Error(`The file "${fileName}" contains ${manifest.name}@${manifest.version} instead of ${entry.name}@${entry.version}`);
+        }
 
-    const matchName = clearName.match(/(.*)-/);
-    const matchVersion = clearName.match(/(\d.*).tgz/);
+        result.name = manifest.name;
+        result.version = manifest.version;
 
-    const packageName = matchName.length > 0 ? matchName[1] : null;
-    const packageVersion = matchVersion.length > 0 ? matchVersion[1] : null;
+        const packageUrl = `${registry}${npa(manifest.name).escapedName}`;
+        const headers = { 'content-type': 'application/json', accept: 'application/json' };
+        const authorization = options.token ? `Bearer ${options.token}` : getAuthorization(options.config || {}, registry);
+        if (authorization) {
+            headers.authorization = authorization;
+        }
 
-    const packageFullName = packageName && packageVersion ? `${packageName}@${packageVersion}` : clearName;
+        // Get the current packument from the target registry (the existing versions and dist-tags)
+        const { status, data: packument } = await axios.get(packageUrl, { headers, validateStatus: () => true });
+        const registryPackument = status === 200 && packument && typeof packument === 'object' ? packument : null;
 
-    let command = `npm publish "${filePath}"`;
-    if (packageName && packageVersion && !isLatest) {
-        command += ` --tag ${packageName}@${packageVersion}`;
-    }
+        const distTags = getDistTagsToSet(options.distTags || getBundleDistTags(entry, fileName), manifest.version, registryPackument);
+        result.distTags = Object.keys(distTags);
 
-    if (options.force) {
-        command += ' --force';
-    }
+        // Check if the version already exists (with --force the registry decides)
+        if (!options.force && registryPackument && registryPackument.versions && registryPackument.versions[manifest.version]) {
+            const error = options.dryRun ? undefined : await setDistTags(registry, manifest, distTags, { headers, registryPackument });
+            return reportResult({ ...result, status: error ? 'failed' : 'exists', httpStatus: status, error: error && `version exists, ${error}` }, options);
+        }
 
-    return shellExec(command)
-        .then((stdout) => {
-            if (options.delPackage) {
-                shellExec(`del "${filePath}"`)
-                    .then(() => shell.echo(`installed package:${green(packageFullName)}, deleted file:${gray(clearName)}`));
-            } else {
-                shell.echo(green(packageFullName));
-            }
-            return stdout;
-        })
-        .catch((stderr) => {
-            if (typeof stderr === string && stderr.includes('EPUBLISHCONFLICT')) {
-                shell.echo(`${packageFullName} - already exists`);
-                return Promise.resolve(`${packageFullName} - already exists`);
+        // The dry run result is the status that the publish would have
+        if (options.dryRun) {
+            return reportResult({ ...result, status: 'published' }, options);
+        }
+
+        // The publish document has one dist-tag like npm publish, the other dist-tags are set after the publish
+        const tag = getPublishTag(distTags, manifest.version, registryPackument);
+        const response = await axios.put(packageUrl, createPublishDocument(manifest, readme, data, { registry, tag }), {
+            headers,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: () => true,
+        });
+
+        if (response.status >= 200 && response.status < 300) {
+            const error = await setDistTags(registry, manifest, distTags, {
+                headers,
+                registryPackument: { 'dist-tags': { ...getRegistryDistTags(registryPackument), [tag]: manifest.version } },
+            });
+            if (error) {
+                // The version is published, retry sets its dist-tags
+                return reportResult({ ...result, status: 'failed', httpStatus: response.status, error: `published, ${error}` }, options);
             }
 
-            // In case of publishConfig.registry in package.json
-            // override it and republish
-            if (typeof stderr === string && stderr.includes('EPERM: operation not permitted')) {
-                return republish(filePath, command)
-                    .then((stdout) => {
-                        shell.echo(`${green(packageFullName)} - Override publishConfig.registry in package.json`);
-                        return stdout;
-                    }).catch((err) => {
-                        if (typeof err === string && err.includes('EPUBLISHCONFLICT')) {
-                            shell.echo(`${packageFullName} - Already exists`);
-                            return Promise.resolve(`${packageFullName} - Already exists`);
-                        }
-                    });
+            if (options.delPackage) {
+                await unlinkPromise(filePath);
             }
 
-            return Promise.reject(stderr);
-        });
+            return reportResult({ ...result, status: 'published', httpStatus: response.status }, options);
+        }
+
+        if (isPublishConflict(response)) {
+            const error = await setDistTags(registry, manifest, distTags, { headers, registryPackument });
+            return reportResult({ ...result, status: error ? 'failed' : 'exists', httpStatus: response.status, error: error && `version exists, ${error}` }, options);
+        }
+
+        return reportResult({ ...result, status: 'failed', httpStatus: response.status, error: getResponseError(response) }, options);
+    } catch (error) {
+        return reportResult({ ...result, status: 'failed', error: error && error.message ? error.message : String(error) }, options);
+    }
 }
 
 /**
  * Publish tarball packages from folder to npm private registry
+ * In case of bundle manifest (npo-manifest.json) in the folder, every tarball is verified before publish
+ * and tampered, truncated or missing tarballs are skipped (not published)
  *
  * @param {string} folderPath The packages folder path
- * @param {{ force: boolean, concurrent: number, delPackage: boolean }} options The options
+ * @param {{ registry: string, token?: string, force?: boolean, concurrent?: number, delPackage?: boolean, dryRun?: boolean, manifest?: any, filter?: Function, onResult?: Function }} options The options
+ * (filter selects the packages to publish by the manifest entry or { fileName }, onResult is called with every publish result,
+ * dryRun checks the target registry without publishing)
  *
- * @returns {Promise<any>} The stdout/stderr
+ * @returns {Promise<{ name: string, version: string, fileName: string, status: 'published' | 'exists' | 'failed' | 'skipped', httpStatus?: number, error?: string }[]>} The publish results
  */
-async function publishFolder(folderPath, options = { force: false, concurrent: 20, delPackage: false }) {
-    const files = await readdirPromise(folderPath);
-    const chunkFiles = chunk(files, options.concurrent);
-    const publishTarballOptions = { force: options.force, delPackage: options.delPackage };
+async function publishFolder(folderPath, options = { registry: undefined, force: false, concurrent: 20, delPackage: false }) {
+    const manifest = options.manifest || await readBundleManifest(folderPath);
+    const filter = options.filter || (() => true);
+    const publishTarballOptions = {
+        registry: getPublishRegistry(options),
+        token: options.token,
+        config: options.config || readNpmrc(),
+        force: options.force,
+        delPackage: options.delPackage,
+        dryRun: options.dryRun,
+        onResult: options.onResult,
+    };
+    const results = [];
+    let entries;
 
-    for (const currentChunk of chunkFiles) {
-        const promises = currentChunk.map(fileName =>
-            publishTarball(fileName, publishTarballOptions).catch(err => shell.echo(red(err)))
-        );
+    if (manifest) {
+        const { verified, invalid } = await verifyBundle(folderPath, { ...manifest, packages: manifest.packages.filter(filter) });
+        invalid.forEach(({ entry, reason }) => results.push(reportResult({
+            name: entry.name,
+            version: entry.version,
+            fileName: entry.fileName,
+            status: 'skipped',
+            error: `not published, ${reason}`,
+            dryRun: options.dryRun ? true : undefined,
+        }, options)));
 
-        await Promise.all(promises);
+        entries = verified;
+    } else {
+        const files = (await readdirPromise(folderPath)).filter(fileName => fileName.endsWith('.tgz'));
+        entries = files.map(fileName => ({ fileName })).filter(filter);
     }
+
+    // Every package is published as soon as there is free slot (publishTarball reports the failures, there is nothing to retry).
+    // The versions of package are published one after another from the oldest, so concurrent publishes don't race on the package dist-tags
+    const queue = new WorkQueue({ concurrency: options.concurrent || 20, retries: 0 });
+    const packages = await Promise.all(groupPackageVersions(entries).map(({ name, versions }) => queue.push(() => {
+        // New package without "latest" in the bundle: "latest" follows the published versions, so it ends with the newest release
+        const hasLatest = versions.some(({ distTags }) => distTags.includes('latest'));
+        let impliedLatest = false;
+
+        return versions.reduce((previous, { entry, version, distTags }) => previous.then(async packageResults => {
+            const followLatest = impliedLatest && !prerelease(version);
+            const result = await publishTarball(join(folderPath, entry.fileName), {
+                ...publishTarballOptions,
+                entry: manifest ? entry : undefined,
+                distTags: followLatest ? [...distTags, 'latest'] : distTags,
+            });
+
+            impliedLatest = impliedLatest || (!hasLatest && result.status === 'published' && (result.distTags || []).includes('latest'));
+            return [...packageResults, result];
+        }), Promise.resolve([]));
+    }, name)));
+    results.push(...[].concat(...packages));
+
+    return results;
 }
 
 /**
- * Extract tarball package to override publishConfig.registry in package.json
- * and republish it
+ * Group the bundle packages by the package name, the versions are sorted from the oldest
+ * (bundle without manifest is grouped by the tarballs names, e.g. "scope-name-1.0.0-latest.tgz")
  *
- * @param {string} filePath The tarball path
- * @param {string} command The original command
+ * @param {{ name?: string, version?: string, fileName: string, distTags?: string[] }[]} entries The packages
+ *
+ * @returns {{ name: string, versions: { entry: any, version: string, distTags: string[] }[] }[]} The packages versions with their bundle dist-tags
  */
-async function republish(filePath, command) {
-    const fileName = basename(filePath);
-    const folderPath = filePath.replace('.tgz', '');
-    const newFileName = fileName.replace('.tgz', '-temp.tgz');
-    const newCommand = command.replace(filePath, newFileName);
+function groupPackageVersions(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const match = entry.name ? null : entry.fileName.match(/^(.+?)-(\d+\.\d+\.\d+.*?)(-latest)?\.tgz$/);
+        const name = entry.name || (match ? match[1] : entry.fileName);
+        const version = entry.version || (match ? match[2] : undefined);
 
-    // Create directory to extract package
-    await mkdirPromise(folderPath).catch(() => {});
+        if (!groups.has(name)) {
+            groups.set(name, []);
+        }
+        groups.get(name).push({ entry, version, distTags: getBundleDistTags(entry.name ? entry : undefined, entry.fileName) });
+    });
 
-    // Extract package
-    await extract({ file: filePath, cwd: folderPath });
+    return [...groups.keys()].map(name => ({
+        name,
+        versions: groups.get(name).sort((a, b) => (valid(a.version) && valid(b.version)
+            ? compare(a.version, b.version)
+            : String(a.version).localeCompare(String(b.version)))),
+    }));
+}
 
-    // Override publishConfig.registry in package.json
-    let packageJson = await readFilePromise(`${folderPath}/package/package.json`, { encoding: 'utf-8' });
-    packageJson = packageJson.replace('"publishConfig"', '"publishConfigRemoved"');
-    await writeFilePromise(`${folderPath}/package/package.json`, packageJson, { encoding: 'utf-8' });
+/**
+ * Verify the bundle tarballs against the bundle manifest (integrity and size)
+ *
+ * @param {string} folderPath The bundle folder path
+ * @param {any} manifest The bundle manifest
+ *
+ * @returns {Promise<{ verified: any[], invalid: { entry: any, reason: string }[] }>} The verified and the invalid packages
+ */
+async function verifyBundle(folderPath, manifest) {
+    const results = await Promise.all(manifest.packages.map(entry => verifyTarball(join(folderPath, entry.fileName), entry)
+        .then(() => ({ entry }))
+        .catch(error => ({ entry, reason: error.message }))));
+
+    return {
+        verified: results.filter(result => !result.reason).map(result => result.entry),
+        invalid: results.filter(result => result.reason),
+    };
+}
 
-    // Create new tarball
-    await create({ file: newFileName, cwd: folderPath, gzip: true }, ['package']);
+/**
+ * Verify tarball file integrity (SSRI hash) and size
+ *
+ * @param {string} filePath The tarball path
+ * @param {{ integrity: string, size?: number }} entry The package from bundle manifest
+ *
+ * @returns {Promise<void>} Rejected with the reason in case of missing, truncated or tampered tarball
+ */
+async function verifyTarball(filePath, entry) {
+    if (!existsSync(filePath)) {
+        throw new Error(`the file "${basename(filePath)}" is missing`);
+    }
 
-    // Run npm publish with new command
-    return shellExec(newCommand)
-        .then((stdout) => {
-            rimraf(folderPath);
-            rimraf(newFileName);
+    if (!entry.integrity) {
+        throw new Error('no integrity in bundle manifest');
+    }
 
-            return stdout;
-        })
-        .catch((stderr) => {
-            rimraf(folderPath);
+    const { size } = await statPromise(filePath);
+    if (entry.size && size !== entry.size) {
+        throw new Error(`the file "${basename(filePath)}" is truncated or modified (size ${size} instead of ${entry.size})`);
+    }
 
-            return Promise.reject(stderr);
-        });
+    await ssri.checkStream(createReadStream(filePath), entry.integrity)
+        .catch(() => Promise.reject(new Error(`the file "${basename(filePath)}" integrity check failed (expected ${entry.integrity})`)));
 }
 
 /**
- * Exec shell command
+ * Read package.json and readme from the package tarball
  *
- * @param {string} command Shell command
+ * @param {Buffer} data The tarball content
  *
- * @returns {Promise<string>} The result stdout/sdterr
+ * @returns {Promise<{ manifest: any, readme?: string }>} The package.json and the readme
  */
-function shellExec(command) {
+function readTarballManifest(data) {
     return new Promise((resolve, reject) => {
-        shell.exec(command, { async: true, silent: true }, (err, stdout, sdterr) => {
-            if (err) {
-                return reject(sdterr);
+        const files = {};
+        const parser = new Parser({
+            // The package files are in the tarball root folder (usually "package/")
+            filter: path => /^[^/]+\/(package\.json|readme(\.[^/]*)?)$/i.test(path),
+            onReadEntry: entry => {
+                const chunks = [];
+                entry.on('data', currChunk => chunks.push(currChunk));
+                entry.on('end', () => files[basename(entry.path).toLowerCase()] = Buffer.concat(chunks).toString('utf-8'));
+            },
+        });
+
+        parser.on('error', reject);
+        parser.on('end', () => {
+            if (!files['package.json']) {
+                return reject(new Error('The tarball has no package.json file'));
             }
 
-            resolve(stdout);
+            const readmeName = Object.keys(files).find(name => name.startsWith('readme'));
+            resolve({ manifest: JSON.parse(files['package.json']), readme: readmeName ? files[readmeName] : undefined });
         });
+        parser.end(data);
     });
 }
 
+/**
+ * Create the packument document for publish (the same document npm publish sends)
+ *
+ * @param {any} manifest The package.json
+ * @param {string} readme The package readme
+ * @param {Buffer} data The tarball content
+ * @param {{ registry: string, tag: string }} options The options (tag is the dist-tag that points to the published version)
+ *
+ * @returns {any} The publish document
+ */
+function createPublishDocument(manifest, readme, data, options) {
+    const tarballName = `${manifest.name}-${manifest.version}.tgz`;
+    const integrity = ssri.fromData(data, { algorithms: ['sha512', 'sha1'] });
+
+    const versionManifest = {
+        ...manifest,
+        _id: `${manifest.name}@${manifest.version}`,
+        readme,
+        dist: {
+            ...manifest.dist,
+            integrity: integrity.sha512[0].toString(),
+            shasum: integrity.sha1[0].hexDigest(),
+            tarball: `${options.registry}${manifest.name}/-/${tarballName}`,
+        },
+    };
+
+    return {
+        _id: manifest.name,
+        name: manifest.name,
+        description: manifest.description,
+        'dist-tags': { [options.tag]: manifest.version },
+        versions: { [manifest.version]: versionManifest },
+        readme,
+        access: null,
+        _attachments: {
+            [tarballName]: {
+                content_type: 'application/octet-stream',
+                data: data.toString('base64'),
+                length: data.length,
+            },
+        },
+    };
+}
+
+/**
+ * Get the dist-tags of the package in the bundle
+ *
+ * @param {any} entry The package from bundle manifest
+ * @param {string} fileName The tarball file name (for bundles without manifest)
+ *
+ * @returns {string[]} The dist-tags that point to the package version
+ */
+function getBundleDistTags(entry, fileName) {
+    if (!entry) {
+        return fileName.endsWith('-latest.tgz') ? ['latest'] : [];
+    }
+
+    return entry.distTags || (entry.distTag ? [entry.distTag] : []);
+}
+
+/**
+ * Get the dist-tags to set in the target registry for the published version
+ * The "latest" tag is not moved back when the registry already has a newer latest version,
+ * and it is always set for package without "latest" in the registry (so the package can be installed by name)
+ *
+ * @param {string[]} tags The bundle dist-tags of the version
+ * @param {string} version The package version
+ * @param {any} registryPackument The packument from the target registry (null for new package)
+ *
+ * @returns {{ [tag: string]: string }} The dist-tags to set
+ */
+function getDistTagsToSet(tags, version, registryPackument) {
+    const registryLatest = getRegistryDistTags(registryPackument).latest;
+
+    const distTags = tags
+        .filter(tag => tag !== 'latest' || !registryLatest || !valid(registryLatest) || !gt(registryLatest, version))
+        .reduce((result, tag) => ({ ...result, [tag]: version }), {});
+
+    if (!registryLatest) {
+        distTags.latest = version;
+    }
+
+    return distTags;
+}
+
+/**
+ * Get the dist-tag of the publish document
+ * "latest" for package without "latest" in the registry, otherwise one of the version dist-tags.
+ * Version without dist-tags (e.g. older than the registry latest) is published with temporary tag that is removed after the publish
+ *
+ * @param {{ [tag: string]: string }} distTags The dist-tags to set (see getDistTagsToSet)
+ * @param {string} version The package version
+ * @param {any} registryPackument The packument from the target registry (null for new package)
+ *
+ * @returns {string} The dist-tag
+ */
+function getPublishTag(distTags, version, registryPackument) {
+    if (distTags.latest || !getRegistryDistTags(registryPackument).latest) {
+        return 'latest';
+    }
+
+    return Object.keys(distTags)[0] || `${PUBLISH_TAG_PREFIX}${version}`;
+}
+
+/**
+ * Get the dist-tags of the registry packument
+ *
+ * @param {any} registryPackument The packument from the target registry (null for new package)
+ *
+ * @returns {{ [tag: string]: string }} The dist-tags
+ */
+function getRegistryDistTags(registryPackument) {
+    return (registryPackument && registryPackument['dist-tags']) || {};
+}
+
+/**
+ * Set dist-tags of published version in the target registry (like npm dist-tag add), and remove the temporary publish tag
+ *
+ * @param {string} registry The registry url
+ * @param {{ name: string, version: string }} manifest The package.json of the published version
+ * @param {{ [tag: string]: string }} distTags The dist-tags to set
+ * @param {{ headers: any, registryPackument: any }} options The options
+ *
+ * @returns {Promise<string | undefined>} The error of the dist-tags that failed to set
+ */
+async function setDistTags(registry, manifest, distTags, options) {
+    const currentTags = getRegistryDistTags(options.registryPackument);
+    const tags = Object.keys(distTags).filter(tag => currentTags[tag] !== distTags[tag]);
+    const tagUrl = tag => `${registry}-/package/${npa(manifest.name).escapedName}/dist-tags/${encodeURIComponent(tag)}`;
+
+    const publishTag = `${PUBLISH_TAG_PREFIX}${manifest.version}`;
+
+    const errors = await Promise.all([
+        ...tags.map(tag => axios.put(tagUrl(tag), JSON.stringify(distTags[tag]), { headers: options.headers })
+            .then(() => null)
+            .catch(error => `failed to set dist-tag "${tag}": ${error.message}`)),
+        ...(currentTags[publishTag] ? [axios.delete(tagUrl(publishTag), { headers: options.headers })
+            .then(() => null)
+            .catch(error => `failed to remove dist-tag "${publishTag}": ${error.message}`)] : []),
+    ]);
+
+    return errors.some(Boolean) ? errors.filter(Boolean).join(', ') : undefined;
+}
+
+/**
+ * Get the target registry url from options or from .npmrc registry
+ *
+ * @param {{ registry?: string, config?: any }} options The options
+ *
+ * @returns {string} The registry url (ends with slash)
+ */
+function getPublishRegistry(options) {
+    const registry = options.registry || (options.config || readNpmrc()).registry;
+    if (!registry) {
+        throw new Error('The registry url is missing (use --registry or set registry in .npmrc)');
+    }
+
+    return registry.endsWith('/') ? registry : `${registry}/`;
+}
+
+/**
+ * Is the response a publish conflict (the version already exists in registry)
+ *
+ * @param {{ status: number, data: any }} response The registry response
+ *
+ * @returns {boolean} Is conflict
+ */
+function isPublishConflict(response) {
+    if (response.status === 409) {
+        return true;
+    }
+
+    return response.status === 403 && /pre-existing|previously published|already (present|exists)|EPUBLISHCONFLICT/i.test(getResponseError(response));
+}
+
+/**
+ * Get the error message from the registry response
+ *
+ * @param {{ status: number, statusText?: string, data: any }} response The registry response
+ *
+ * @returns {string} The error message
+ */
+function getResponseError(response) {
+    const { data } = response;
+    if (data && typeof data === 'object') {
+        return data.error || data.message || data.reason || JSON.stringify(data);
+    }
+
+    return data || response.statusText || `HTTP ${response.status}`;
+}
+
+/**
+ * Report the publish result to the onResult callback
+ *
+ * @param {{ name: string, version: string, fileName: string, status: string, httpStatus?: number, error?: string }} result The publish result
+ * @param {{ onResult?: Function }} options The options
+ *
+ * @returns {any} The publish result
+ */
+function reportResult(result, options = {}) {
+    if (options.onResult) {
+        options.onResult(result);
+    }
+
+    return result;
+}
+
 module.exports = {
     publishTarball,
     publishFolder,
+    verifyBundle,
+    verifyTarball,
+    readTarballManifest,
 };
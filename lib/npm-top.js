@@ -1,43 +1,185 @@
 const axios = require('axios');
+const { promisify } = require('util');
+const { readFile, existsSync } = require('fs');
+const { getAuthorization } = require('./npmrc');
 
+const readFilePromise = promisify(readFile);
+
+// The max page size of the registry search api
 const CHUNK_SIZE = 250;
+const DEFAULT_SEARCH_REGISTRY = 'https://registry.npmjs.org/';
+const SEARCH_WEIGHTS = ['popularity', 'quality', 'maintenance'];
 
 /**
- * Get top packages from npm api
+ * Search packages in the registry search api (/-/v1/search), page by page until the limit or the last result
  *
- * @param {number} quantity How many packages to fetch (max: 5250)
- * @param {{ logger: (message: string) => void }} options The options
+ * @param {{ text?: string, keywords?: string[], scope?: string, author?: string, weights?: { popularity?: number, quality?: number, maintenance?: number },
+ * limit?: number, registry?: string, registryOptions?: any, logger?: Function, queue?: WorkQueue }} options The options
+ * (text is the search query, keywords, scope and author filter the results, weights rank the results (default: 1.0 each),
+ * the search requests run in the work queue if given)
+ *
+ * @returns {Promise<{ name: string, version: string, score: any, description?: string }[]>} The packages by search rank
  */
-async function getNpmTopPackages(quantity = 1000, options = {}) {
+async function searchPackages(options = {}) {
     const logger = options.logger || (() => { });
-    const packagesQuantity = Math.min(quantity, 5250);
-    const chunks = Math.ceil(packagesQuantity / CHUNK_SIZE);
-    const lastChunk = packagesQuantity % CHUNK_SIZE;
+    const limit = options.limit || Infinity;
+    const registry = (options.registry || DEFAULT_SEARCH_REGISTRY).replace(/\/?$/, '/');
+    const authorization = getAuthorization(options.registryOptions || {}, registry);
+    const text = getSearchText(options);
+    const weights = SEARCH_WEIGHTS.map(weight => `${weight}=${options.weights && options.weights[weight] !== undefined ? options.weights[weight] : 1.0}`).join('&');
     const packages = [];
 
-    for (let index = 1; index <= chunks; index += 1) {
-        const size = (index < chunks || lastChunk === 0) ? CHUNK_SIZE : lastChunk;
-        const from = (index - 1) * CHUNK_SIZE;
+    let total = Infinity;
+    while (packages.length < Math.min(limit, total)) {
+        const from = packages.length;
+        const size = Math.min(CHUNK_SIZE, limit - from);
 
-        const { data } = await axios.get(`http://registry.npmjs.com/-/v1/search?text=boost-exact:false&popularity=1.0&quality=1.0&maintenance=1.0&size=${size}&from=${from}`);
+        const request = () => axios.get(`${registry}-/v1/search?text=${encodeURIComponent(text)}&${weights}&size=${size}&from=${from}`, {
+            headers: authorization ? { authorization } : {},
+        });
+        const { data } = await (options.queue ? options.queue.push(request, `search packages ${from}-${from + size}`) : request());
 
-        data.objects.forEach((obj) => {
-            const newPackage = {
+        const objects = data.objects || [];
+        objects.forEach((obj) => {
+            packages.push({
                 name: obj.package.name,
                 version: obj.package.version,
                 score: obj.score,
-            };
-
-            packages.push(newPackage);
+                description: obj.package.description,
+            });
         });
 
-        const percent = packages.length / packagesQuantity;
-        logger(`Fetch top ${packagesQuantity} npm packages...`, percent);
+        // The search api stops returning results at its max offset
+        total = objects.length < size ? packages.length : data.total || Infinity;
+        logger(`Search packages "${text}"... ${packages.length}${total !== Infinity ? ` of ${Math.min(limit, total)}` : ''}`,
+            limit !== Infinity ? packages.length / limit : 0);
     }
 
     return packages;
 }
 
+/**
+ * Get top packages from npm api
+ *
+ * @param {number} quantity How many packages to fetch
+ * @param {{ logger: (message: string) => void, queue?: WorkQueue, weights?: any, registry?: string, registryOptions?: any }} options The options
+ * (the search requests run in the work queue if given, weights rank the packages by popularity, quality and maintenance)
+ *
+ * @returns {Promise<{ name: string, version: string, score: any }[]>} The top packages
+ */
+function getNpmTopPackages(quantity = 1000, options = {}) {
+    return searchPackages({ ...options, limit: quantity });
+}
+
+/**
+ * Get all the packages of scope (search by scope, the results are filtered to the exact scope)
+ *
+ * @param {string} scope The scope (e.g. @types)
+ * @param {{ limit?: number, logger?: Function, queue?: WorkQueue, registry?: string, registryOptions?: any }} options The options
+ *
+ * @returns {Promise<{ name: string, version: string, score: any }[]>} The scope packages
+ */
+async function getScopePackages(scope, options = {}) {
+    const name = scope.replace(/^@/, '');
+    const packages = await searchPackages({ ...options, scope: name, limit: undefined });
+    const scopePackages = packages.filter(p => p.name.startsWith(`@${name}/`));
+
+    return options.limit ? scopePackages.slice(0, options.limit) : scopePackages;
+}
+
+/**
+ * Rank packages by local downloads count dump
+ * The dump is json object of name to downloads count, json array of { name, downloads } (or [name, downloads]),
+ * or text file with name and downloads count in every line (separated by spaces, tab or comma)
+ *
+ * @param {string} filePath The dump file path
+ * @param {{ limit?: number }} options The options (limit is how many top packages to take)
+ *
+ * @returns {Promise<{ name: string, downloads: number }[]>} The packages by downloads count
+ */
+async function rankByDownloads(filePath, options = {}) {
+    if (!existsSync(filePath)) {
+        throw new Error(`The path "${filePath}" not existed`);
+    }
+
+    const packages = parseDownloadsDump(await readFilePromise(filePath, { encoding: 'utf-8' }))
+        .filter(p => p.name && !Number.isNaN(p.downloads))
+        .sort((a, b) => b.downloads - a.downloads);
+
+    return options.limit ? packages.slice(0, options.limit) : packages;
+}
+
+/**
+ * Parse downloads count dump file
+ *
+ * @param {string} file The dump file content
+ *
+ * @returns {{ name: string, downloads: number }[]} The packages downloads count
+ */
+function parseDownloadsDump(file) {
+    let data;
+    try {
+        data = JSON.parse(file);
+    } catch (error) {
+        return file.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.split(/[\s,]+/))
+            .map(([name, downloads]) => ({ name, downloads: Number(downloads) }));
+    }
+
+    if (Array.isArray(data)) {
+        return data.map(item => (Array.isArray(item)
+            ? { name: item[0], downloads: Number(item[1]) }
+            : { name: item.name, downloads: Number(item.downloads) }));
+    }
+
+    return Object.keys(data).map(name => ({ name, downloads: Number(data[name]) }));
+}
+
+/**
+ * Get the search api text from the query and the filters (e.g. "react keywords:hooks scope:types author:sindresorhus")
+ *
+ * @param {{ text?: string, keywords?: string[], scope?: string, author?: string }} options The search options
+ *
+ * @returns {string} The search text
+ */
+function getSearchText(options) {
+    const parts = [
+        options.text,
+        options.keywords && options.keywords.length ? `keywords:${options.keywords.join(',')}` : undefined,
+        options.scope ? `scope:${options.scope.replace(/^@/, '')}` : undefined,
+        options.author ? `author:${options.author}` : undefined,
+    ].filter(Boolean);
+
+    // Without query the search ranks all the packages
+    return parts.length ? parts.join(' ') : 'boost-exact:false';
+}
+
+/**
+ * Parse search weights option (e.g. "popularity=1,quality=0.5,maintenance=0")
+ *
+ * @param {string} value The option value
+ *
+ * @returns {{ popularity?: number, quality?: number, maintenance?: number }} The weights
+ */
+function parseSearchWeights(value) {
+    return value.split(',').map(part => part.trim()).filter(Boolean).reduce((weights, part) => {
+        const [weight, number] = part.split('=');
+        if (!SEARCH_WEIGHTS.includes(weight) || number === undefined || Number.isNaN(Number(number)) || Number(number) < 0) {
+            throw new Error(`Invalid search weight "${part}" (expected ${SEARCH_WEIGHTS.map(name => `${name}=<number>`).join(', ')})`);
+        }
+
+        weights[weight] = Number(number);
+        return weights;
+    }, {});
+}
+
 module.exports = {
-    getNpmTopPackages
+    SEARCH_WEIGHTS,
+    searchPackages,
+    getNpmTopPackages,
+    getScopePackages,
+    rankByDownloads,
+    parseSearchWeights,
 };
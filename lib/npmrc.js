@@ -0,0 +1,175 @@
+const { join } = require('path');
+const { homedir } = require('os');
+const { existsSync, readFileSync } = require('fs');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+// The npm config keys of the registry requests network settings (passed as is to pacote and npm-registry-fetch)
+const NETWORK_CONFIG_KEYS = ['proxy', 'https-proxy', 'noproxy', 'no-proxy', 'ca', 'cert', 'key', 'always-auth'];
+
+/**
+ * Read npm config from the user and project .npmrc files (project config overrides user config)
+ *
+ * @param {{ cwd?: string, userconfig?: string }} options The options
+ *
+ * @returns {{ [key: string]: string }} The config
+ */
+function readNpmrc(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const userconfig = options.userconfig || process.env.npm_config_userconfig || join(homedir(), '.npmrc');
+
+    return [userconfig, join(cwd, '.npmrc')]
+        .filter((filePath, index, files) => files.indexOf(filePath) === index && existsSync(filePath))
+        .reduce((config, filePath) => ({ ...config, ...parseNpmrc(readFileSync(filePath, 'utf-8')) }), {});
+}
+
+/**
+ * Parse .npmrc file content (ini format with ${ENV} variables)
+ *
+ * @param {string} content The file content
+ *
+ * @returns {{ [key: string]: string }} The config
+ */
+function parseNpmrc(content) {
+    return content.split(/\r?\n/).reduce((config, line) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) {
+            return config;
+        }
+
+        const index = trimmed.indexOf('=');
+        if (index === -1) {
+            return config;
+        }
+
+        const key = replaceEnv(trimmed.slice(0, index).trim());
+        const value = replaceEnv(trimmed.slice(index + 1).trim().replace(/^(['"])(.*)\1$/, '$2'));
+        config[key] = value;
+
+        return config;
+    }, {});
+}
+
+/**
+ * Replace ${ENV} variables with the environment values
+ *
+ * @param {string} value The config value
+ *
+ * @returns {string} The value with the environment values
+ */
+function replaceEnv(value) {
+    return value.replace(/\$\{([^}]+)\}/g, (match, name) => process.env[name] || '');
+}
+
+/**
+ * Get the "nerf dart" of url, the key prefix of the url credentials in .npmrc (e.g. "//registry.npmjs.org/")
+ *
+ * @param {string} url The registry or tarball url
+ *
+ * @returns {string} The nerf dart
+ */
+function toNerfDart(url) {
+    const { host, pathname } = new URL(url);
+    return `//${host}${pathname.endsWith('/') ? pathname : pathname.slice(0, pathname.lastIndexOf('/') + 1)}`;
+}
+
+/**
+ * Get the Authorization header for the url from the config credentials
+ * Look for the credentials of the url path and its parents paths (like npm does)
+ *
+ * @param {{ [key: string]: string }} config The npm config
+ * @param {string} url The registry or tarball url
+ *
+ * @returns {string | undefined} The Authorization header value
+ */
+function getAuthorization(config, url) {
+    let nerfDart = toNerfDart(url);
+
+    while (nerfDart !== '//') {
+        const token = config[`${nerfDart}:_authToken`];
+        if (token) {
+            return `Bearer ${token}`;
+        }
+
+        const auth = config[`${nerfDart}:_auth`];
+        if (auth) {
+            return `Basic ${auth}`;
+        }
+
+        const username = config[`${nerfDart}:username`];
+        const password = config[`${nerfDart}:_password`];
+        if (username && password) {
+            return `Basic ${Buffer.from(`${username}:${Buffer.from(password, 'base64').toString()}`).toString('base64')}`;
+        }
+
+        nerfDart = nerfDart.replace(/[^/]*\/$/, '');
+    }
+}
+
+/**
+ * Get the npm cache folder (like npm: the npm_config_cache environment variable, the "cache" config or the platform default)
+ *
+ * @param {{ [key: string]: string }} config The npm config
+ *
+ * @returns {string} The npm cache folder path
+ */
+function getNpmCacheFolder(config = {}) {
+    if (process.env.npm_config_cache || config.cache) {
+        return process.env.npm_config_cache || config.cache;
+    }
+
+    return process.platform === 'win32'
+        ? join(process.env.LOCALAPPDATA || join(homedir(), 'AppData', 'Local'), 'npm-cache')
+        : join(homedir(), '.npm');
+}
+
+/**
+ * Get the registry requests options from the npm config: the registry, the scoped registries ("@scope:registry"),
+ * the registries credentials ("//host/path/:_authToken", "_auth", "username" and "_password"), proxy and ssl settings
+ *
+ * @param {{ [key: string]: string }} config The npm config
+ * @param {string} registry The registry url (overrides the config registry)
+ *
+ * @returns {any} The pacote options
+ */
+function getRegistryOptions(config, registry) {
+    const options = Object.keys(config).reduce((result, key) => {
+        if (NETWORK_CONFIG_KEYS.includes(key) || /^@[^:]+:registry$/.test(key) || /^\/\/.+:(_authToken|_auth|username|_password|always-auth)$/.test(key)) {
+            result[key] = config[key];
+        }
+
+        return result;
+    }, {});
+
+    if (config.cafile && !options.ca) {
+        options.ca = readFileSync(config.cafile, 'utf-8');
+    }
+
+    // Like npm, the certificates are verified unless "strict-ssl=false"
+    options['strict-ssl'] = String(config['strict-ssl']) !== 'false';
+    options.registry = registry || config.registry || DEFAULT_REGISTRY;
+
+    return options;
+}
+
+/**
+ * Get the registry of package, the scoped registry of scoped package ("@scope:registry") or the default registry
+ *
+ * @param {any} options The registry options (see getRegistryOptions)
+ * @param {string} name The package name
+ *
+ * @returns {string} The registry url
+ */
+function getPackageRegistry(options, name) {
+    const scope = name.startsWith('@') ? name.split('/')[0] : undefined;
+    return (scope && options[`${scope}:registry`]) || options.registry || DEFAULT_REGISTRY;
+}
+
+module.exports = {
+    readNpmrc,
+    parseNpmrc,
+    getAuthorization,
+    getNpmCacheFolder,
+    getRegistryOptions,
+    getPackageRegistry,
+};
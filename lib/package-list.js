@@ -0,0 +1,93 @@
+const { extname } = require('path');
+const { promisify } = require('util');
+const { readFile, writeFile, existsSync } = require('fs');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+
+/**
+ * Write packages list file to review the selected packages before fetching them (npo fetch --list)
+ * The text list has a package spec in every line with the rank details as comment, the json list (by .json extension) is array of the packages
+ *
+ * @param {string} filePath The list file path
+ * @param {{ name: string, version?: string, score?: any, downloads?: number, description?: string }[]} packages The selected packages
+ * @param {{ source: string }} options The options (source describes the selection, e.g. search "react")
+ *
+ * @returns {Promise<void>}
+ */
+async function writePackageList(filePath, packages, options = {}) {
+    const createdAt = new Date().toISOString();
+
+    if (extname(filePath).toLowerCase() === '.json') {
+        const list = { source: options.source, createdAt, packages: packages.map(p => ({ ...p, spec: getSpec(p) })) };
+        return writeFilePromise(filePath, JSON.stringify(list, null, 2), { encoding: 'utf-8' });
+    }
+
+    const lines = [
+        `# npo package list: ${options.source} (${createdAt}), ${packages.length} packages`,
+        '# Remove or edit the lines (e.g. change a version to range) and fetch the list with: npo fetch --list <file>',
+        ...packages.map(p => `${getSpec(p)}${getDetails(p) ? `  # ${getDetails(p)}` : ''}`),
+    ];
+
+    return writeFilePromise(filePath, `${lines.join('\n')}\n`, { encoding: 'utf-8' });
+}
+
+/**
+ * Read packages list file (text file with a package spec in every line and # comments, or json list of writePackageList)
+ *
+ * @param {string} filePath The list file path
+ *
+ * @returns {Promise<string[]>} The packages specs (e.g. ["express@4.18.2", "lodash"])
+ */
+async function readPackageList(filePath) {
+    if (!existsSync(filePath)) {
+        throw new Error(`The path "${filePath}" not existed`);
+    }
+
+    const file = await readFilePromise(filePath, { encoding: 'utf-8' });
+    if (extname(filePath).toLowerCase() === '.json') {
+        const data = JSON.parse(file);
+        const packages = Array.isArray(data) ? data : data.packages;
+        if (!Array.isArray(packages)) {
+            throw new Error(`The file "${filePath}" is not a packages list`);
+        }
+
+        return packages.map(p => (typeof p === 'string' ? p : p.spec || getSpec(p)));
+    }
+
+    return file.split(/\r?\n/)
+        // The comments start the line or follow whitespace (git specs may contain #)
+        .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Get the package spec (name@version, or name for the latest version)
+ *
+ * @param {{ name: string, version?: string }} p The package
+ *
+ * @returns {string} The spec
+ */
+function getSpec(p) {
+    return p.version ? `${p.name}@${p.version}` : p.name;
+}
+
+/**
+ * Get the package rank details for the list comment
+ *
+ * @param {{ score?: any, downloads?: number, description?: string }} p The package
+ *
+ * @returns {string} The details
+ */
+function getDetails(p) {
+    return [
+        p.downloads !== undefined ? `${p.downloads} downloads` : undefined,
+        p.score && p.score.final !== undefined ? `score ${Number(p.score.final).toFixed(3)}` : undefined,
+        p.description ? p.description.replace(/\s+/g, ' ').slice(0, 80) : undefined,
+    ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+    writePackageList,
+    readPackageList,
+};
@@ -0,0 +1,440 @@
+const EventEmitter = require('events');
+const { rimraf } = require('rimraf');
+const { basename, dirname, resolve } = require('path');
+const { existsSync, lstatSync, mkdirSync } = require('fs');
+const caches = require('./cache');
+const { resolveDependencyTree, flattenDependencyTree, downloadPackages, getTarballSize } = require('./fetch-packages');
+const { parseLockfile } = require('./lockfile');
+const { readProjects } = require('./workspaces');
+const { readNpmrc, getRegistryOptions, getPackageRegistry } = require('./npmrc');
+const { parsePlatforms, isPlatformSpecific, getSupportedPlatforms } = require('./platform');
+const { createBundleManifest, writeBundleManifest, readBundleManifest } = require('./bundle-manifest');
+const { publishFolder, publishTarball } = require('./npm-publish');
+const { PUBLISH_STATE_SUFFIX, PublishState } = require('./publish-state');
+const { ARCHIVE_EXTENSIONS, createArchive } = require('./bundle-archive');
+const { WorkQueue } = require('./work-queue');
+const { BundleRegistry } = require('./bundle-registry');
+const { verifyRegistry } = require('./registry-verify');
+
+/**
+ * Error of the packager operations, the code identifies the error:
+ * EINPUT (invalid input or options), ENOPACKAGES (nothing to fetch) and ENOTFOUND (missing path)
+ */
+class PackagerError extends Error {
+    /**
+     * @param {string} message The error message
+     * @param {string} code The error code
+     * @param {any} [details] The error details (e.g. the failures of the operation)
+     */
+    constructor(message, code, details) {
+        super(message);
+        this.name = 'PackagerError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Packager instance with its own registry options, work queue and cache settings
+ * The operations report their progress as events:
+ * "progress" ({ stage, message, percent }), "package" (downloaded package), "failure" (package that failed to resolve or download),
+ * "skipped" (non-registry dependency), "publish" (publish result) and "verify" (registry verify result of every version).
+ * Nothing is printed, the logger option (message, percent) is called with the progress messages
+ */
+class Packager extends EventEmitter {
+    /**
+     * @param {{ registry?: string, registryOptions?: any, npmrc?: any, concurrency?: number, retries?: number, useCache?: boolean, cacheDb?: any, cacheFolder?: string, logger?: Function }} options The options
+     * (registryOptions default is the .npmrc registries, credentials, proxy and ssl settings, npmrc: false ignores the .npmrc files)
+     */
+    constructor(options = {}) {
+        super();
+        this.npmrc = options.npmrc === false ? {} : options.npmrc || readNpmrc();
+        this.registryOptions = options.registryOptions ? { ...options.registryOptions } : getRegistryOptions(this.npmrc, options.registry);
+        if (options.registry) {
+            this.registryOptions.registry = options.registry;
+        }
+        this.registry = this.registryOptions.registry;
+        this.useCache = Boolean(options.useCache);
+        this.cacheDb = typeof options.cacheDb === 'string' ? new caches.DBCache(options.cacheDb) : options.cacheDb;
+        this.cacheFolder = options.cacheFolder;
+        this.logger = options.logger;
+        this.stage = null;
+
+        // All the registry requests of the instance share the queue (the retries are reported as progress)
+        this.queue = new WorkQueue({
+            concurrency: options.concurrency,
+            retries: options.retries,
+            logger: message => this.progress(this.stage, message),
+        });
+    }
+
+    /**
+     * Resolve the dependencies of the input
+     *
+     * @param {string[] | { manifest: any, workspaces?: any[] } | { packageJson: string | string[] } | { lockfile: string }} input
+     * The packages specs (e.g. ["express@4", "lodash"]), package.json manifest, package.json paths (see readProjects) or lockfile path
+     * @param {{ dev?: boolean, peer?: boolean, optional?: boolean, platforms?: string | any[], nodeVersion?: string }} options The options
+     *
+     * @returns {Promise<{ tree: any, packages: any[], skipped: any[], failures: any[], platformPackages: any[] }>}
+     * The dependencies tree (null for lockfile), the unique packages, the non-registry dependencies, the failures and the platform specific packages
+     */
+    async resolve(input, options = {}) {
+        const platforms = typeof options.platforms === 'string' ? parsePlatforms(options.platforms) : options.platforms;
+        const result = { tree: null, packages: [], skipped: [], failures: [], platformPackages: [] };
+        const normalized = normalizeInput(input);
+
+        this.stage = 'resolve';
+        if (normalized.lockfile) {
+            // Lockfile versions are already resolved
+            this.progress('resolve', 'Reading lockfile...');
+            result.packages = await parseLockfile(normalized.lockfile);
+
+            // The lockfile contains the optional packages of all the platforms (lockfile v2 and v3 record their platform fields)
+            if (platforms) {
+                result.packages = result.packages.filter(p => {
+                    if (!isPlatformSpecific(p)) {
+                        return true;
+                    }
+
+                    const targets = getSupportedPlatforms(p, platforms);
+                    const included = !p.optional || targets.length > 0;
+                    const { name, version, os, cpu, libc } = p;
+                    result.platformPackages.push({ name, version, os, cpu, libc, targets: targets.map(target => target.name), included });
+                    return included;
+                });
+            }
+
+            return result;
+        }
+
+        this.progress('resolve', 'Resolving dependencies...');
+        result.tree = await resolveDependencyTree(normalized.manifest, {
+            workspaces: normalized.workspaces,
+            dev: options.dev,
+            peer: options.peer,
+            optional: options.optional,
+            platforms,
+            platformPackages: result.platformPackages,
+            registryOptions: this.registryOptions,
+            nodeVersion: options.nodeVersion,
+            skipped: result.skipped,
+            failures: result.failures,
+            onFailure: failure => this.emit('failure', failure),
+            queue: this.queue,
+            logger: (message, percent) => this.progress('resolve', message, percent),
+        });
+        result.packages = flattenDependencyTree(result.tree);
+        result.skipped.forEach(dependency => this.emit('skipped', dependency));
+
+        return result;
+    }
+
+    /**
+     * Download the packages tarballs into the destination folder
+     * With useCache the packages in the packages cache are skipped and the downloaded packages are added to it
+     *
+     * @param {{ name: string, version: string, registry?: string, resolved?: string, integrity?: string }[]} packages The packages (see resolve)
+     * @param {{ destFolder: string, useCache?: boolean, bundle?: string, journal?: any }} options The options (journal is FetchJournal to record the packages status)
+     *
+     * @returns {Promise<{ packages: any[], failures: any[], cached: number }>} The downloaded packages, the failures and the count of the packages in cache
+     */
+    async download(packages, options = {}) {
+        if (!options.destFolder) {
+            throw new PackagerError('The download destination folder is missing', 'EINPUT');
+        }
+
+        mkdirSync(options.destFolder, { recursive: true });
+        const failures = [];
+
+        this.stage = 'download';
+        this.progress('download', 'Fetching packages...');
+        const result = await downloadPackages(packages, {
+            destFolder: options.destFolder,
+            bundle: options.bundle,
+            journal: options.journal,
+            useCache: options.useCache !== undefined ? options.useCache : this.useCache,
+            cacheDb: this.cacheDb,
+            cacheFolder: this.cacheFolder,
+            registryOptions: this.registryOptions,
+            failures,
+            onPackage: p => this.emit('package', p),
+            onFailure: failure => this.emit('failure', failure),
+            queue: this.queue,
+            logger: (message, percent) => this.progress('download', message, percent),
+        });
+
+        return { packages: result.filter(Boolean), failures, cached: packages.length - result.length };
+    }
+
+    /**
+     * Estimate the download of the packages without downloading: the tarballs sizes (HEAD requests) and the packages in the packages cache
+     *
+     * @param {{ name: string, version: string, registry?: string, resolved?: string }[]} packages The packages (see resolve)
+     * @param {{ useCache?: boolean }} options The options
+     *
+     * @returns {Promise<{ packages: { name: string, version: string, registry: string, size: number | null, cached: boolean }[], size: number, cached: number, unknown: number }>}
+     * The packages, the total size of the packages to download, the count of the packages in cache and the count of the packages with unknown size
+     */
+    async estimate(packages, options = {}) {
+        const useCache = options.useCache !== undefined ? options.useCache : this.useCache;
+        const cache = useCache ? this.cacheDb || caches.cache : null;
+        let counter = 0;
+
+        this.stage = 'estimate';
+        this.progress('estimate', 'Checking packages sizes...');
+        const result = await Promise.all(packages.map(async p => {
+            const registry = p.registry || getPackageRegistry(this.registryOptions, p.name);
+            const cached = cache ? await cache.exist(p.name, p.version, registry) : false;
+            const size = cached ? null : await this.queue.push(() => getTarballSize(p, { registryOptions: this.registryOptions }), `${p.name}@${p.version}`)
+                .catch(() => null);
+
+            counter++;
+            this.progress('estimate', `Checking packages sizes: ${p.name}@${p.version}`, counter / packages.length);
+            return { name: p.name, version: p.version, registry, size, cached };
+        }));
+
+        const toDownload = result.filter(p => !p.cached);
+        return {
+            packages: result,
+            size: toDownload.reduce((total, p) => total + (p.size || 0), 0),
+            cached: result.length - toDownload.length,
+            unknown: toDownload.filter(p => p.size === null).length,
+        };
+    }
+
+    /**
+     * Fetch the input packages into bundle: resolve, download, write the bundle manifest (npo-manifest.json) and create the bundle archive
+     * The destination folder is removed after the archive (or when nothing was fetched) only if the fetch created it
+     *
+     * @param {any} input The input (see resolve)
+     * @param {{ destFolder: string, tar?: boolean, compress?: 'gzip' | 'zstd' | 'none', useCache?: boolean, dev?: boolean, peer?: boolean, optional?: boolean, platforms?: string | any[], nodeVersion?: string }} options The options
+     *
+     * @returns {Promise<{ manifest: any, destination: string, packages: any[], skipped: any[], failures: any[] }>}
+     * The bundle manifest, the bundle folder or archive, the fetched packages, the non-registry dependencies and the failures
+     */
+    async fetch(input, options = {}) {
+        const compress = options.compress || 'none';
+        if (!options.destFolder) {
+            throw new PackagerError('The fetch destination folder is missing', 'EINPUT');
+        }
+
+        if (!ARCHIVE_EXTENSIONS[compress]) {
+            throw new PackagerError(`Unknown compression "${compress}" (expected gzip, zstd or none)`, 'EINPUT');
+        }
+
+        const destFolder = resolve(options.destFolder);
+        const createdFolder = !existsSync(destFolder);
+        const resolved = await this.resolve(input, options);
+        const downloaded = await this.download(resolved.packages, {
+            destFolder,
+            useCache: options.useCache,
+            bundle: options.tar ? `${basename(destFolder)}.tar` : basename(destFolder),
+        });
+        const failures = resolved.failures.concat(downloaded.failures);
+
+        if (!downloaded.packages.length) {
+            if (createdFolder) {
+                await rimraf(destFolder);
+            }
+            throw new PackagerError('No packages found to fetch', 'ENOPACKAGES', { failures, cached: downloaded.cached });
+        }
+
+        const manifest = createBundleManifest(downloaded.packages, { name: basename(destFolder), registry: this.registry });
+        await writeBundleManifest(destFolder, manifest);
+
+        let destination = destFolder;
+        if (options.tar) {
+            this.stage = 'archive';
+            this.progress('archive', 'Creating bundle archive...');
+            destination = `${destFolder}${ARCHIVE_EXTENSIONS[compress]}`;
+            await createArchive(destination, { cwd: dirname(destFolder), files: [basename(destFolder)], compress });
+            if (createdFolder) {
+                await rimraf(destFolder);
+            }
+        }
+
+        return { manifest, destination, packages: downloaded.packages, skipped: resolved.skipped, failures };
+    }
+
+    /**
+     * Publish packages folder (bundle folder or folder of tarballs) or tarball file to npm registry
+     *
+     * @param {string} path The folder or tarball path
+     * @param {{ registry?: string, token?: string, force?: boolean, concurrent?: number, delPackage?: boolean, manifest?: any, dryRun?: boolean, stateFile?: string, retryFailed?: boolean }} options The options
+     * (the registry default is the .npmrc registry, the token default is the .npmrc registry credentials,
+     * dryRun checks the packages against the registry without publishing, stateFile records the status of every package (see PublishState),
+     * retryFailed publishes only the packages that are not published or existed in the previous publish of the state file)
+     *
+     * @returns {Promise<{ results: any[], published: number, exists: number, failed: number, skipped: number, state: PublishState | null }>} The publish results, the count of every status and the publish state
+     */
+    async publish(path, options = {}) {
+        if (!existsSync(path)) {
+            throw new PackagerError(`The path "${path}" not existed`, 'ENOTFOUND');
+        }
+
+        if (options.retryFailed && (!options.stateFile || !existsSync(options.stateFile))) {
+            throw new PackagerError(`There is no publish state${options.stateFile ? ` "${options.stateFile}"` : ''} to retry, publish without retry first`, 'EINPUT');
+        }
+
+        const isFile = lstatSync(path).isFile();
+        const manifest = isFile ? null : options.manifest || await readBundleManifest(path);
+        const state = options.stateFile ? await PublishState.open(options.stateFile, {
+            bundle: manifest ? manifest.name : basename(options.stateFile, PUBLISH_STATE_SUFFIX),
+            registry: options.registry || this.registry,
+            packages: manifest ? manifest.packages : [],
+        }) : null;
+
+        // The state is not changed by dry run
+        const recordState = state && !options.dryRun;
+        if (recordState) {
+            state.startRun(options);
+        }
+
+        const publishOptions = {
+            ...options,
+            manifest,
+            config: this.npmrc,
+            filter: options.retryFailed ? entry => state.shouldRetry(entry.fileName) : undefined,
+            onResult: result => {
+                if (recordState) {
+                    state.update(result);
+                }
+                this.progress('publish', `Publishing packages: ${result.name ? `${result.name}@${result.version}` : result.fileName}`);
+                this.emit('publish', result);
+            },
+        };
+
+        this.stage = 'publish';
+        let results;
+        if (!isFile) {
+            results = await publishFolder(path, publishOptions);
+        } else {
+            results = publishOptions.filter && !publishOptions.filter({ fileName: basename(path) }) ? [] : [await publishTarball(path, publishOptions)];
+        }
+
+        if (recordState) {
+            await state.finishRun();
+            await state.flush();
+        }
+
+        const count = status => results.filter(result => result.status === status).length;
+        return { results, published: count('published'), exists: count('exists'), failed: count('failed'), skipped: count('skipped'), state };
+    }
+
+    /**
+     * Verify that the registry serves the bundle packages (version presence, dist-tags, packument integrity and the served tarballs)
+     *
+     * @param {string} folderPath The bundle folder (or folder of tarballs)
+     * @param {{ registry?: string, token?: string, tarballs?: boolean }} options The options
+     * (the registry default is the instance registry, the token default is the .npmrc registry credentials, tarballs false skips the tarballs download)
+     *
+     * @returns {Promise<{ registry: string, packages: number, verified: number, missing: any[], mismatched: any[], extra: any[] }>} The diff of the registry against the bundle
+     */
+    async verify(folderPath, options = {}) {
+        if (!existsSync(folderPath)) {
+            throw new PackagerError(`The path "${folderPath}" not existed`, 'ENOTFOUND');
+        }
+
+        this.stage = 'verify';
+        this.progress('verify', 'Reading bundle packages...');
+        const bundle = await BundleRegistry.load(folderPath);
+        if (!bundle.tarballs.size) {
+            throw new PackagerError(`The bundle "${folderPath}" has no packages`, 'ENOPACKAGES');
+        }
+
+        let done = 0;
+        return verifyRegistry(bundle, {
+            registry: options.registry || this.registry,
+            token: options.token,
+            tarballs: options.tarballs,
+            config: { ...this.npmrc, ...this.registryOptions },
+            queue: this.queue,
+            onResult: result => {
+                done += 1;
+                this.progress('verify', `Verifying packages: ${result.name}@${result.version}`, done / bundle.tarballs.size);
+                this.emit('verify', result);
+            },
+        });
+    }
+
+    /**
+     * Report progress of operation stage
+     *
+     * @param {string} stage The stage (resolve, estimate, download, archive, publish or verify)
+     * @param {string} message The progress message
+     * @param {number} [percent] The stage progress (0-1)
+     */
+    progress(stage, message, percent = 0) {
+        this.emit('progress', { stage, message, percent });
+        if (this.logger) {
+            this.logger(message, percent);
+        }
+    }
+}
+
+/**
+ * Create packager instance
+ *
+ * @param {any} options The packager options (see Packager)
+ *
+ * @returns {Packager} The packager
+ */
+function createPackager(options) {
+    return new Packager(options);
+}
+
+/**
+ * Normalize the resolve input to manifest with workspaces or lockfile
+ *
+ * @param {any} input The resolve input
+ *
+ * @returns {{ manifest?: any, workspaces?: any[], lockfile?: string }} The normalized input
+ */
+function normalizeInput(input) {
+    if (Array.isArray(input)) {
+        if (!input.length) {
+            throw new PackagerError('The packages list is empty', 'EINPUT');
+        }
+
+        return { manifest: specsToManifest(input) };
+    }
+
+    if (input && input.lockfile) {
+        return { lockfile: resolve(input.lockfile) };
+    }
+
+    if (input && input.packageJson) {
+        return readProjects(input.packageJson);
+    }
+
+    if (input && input.manifest) {
+        return { manifest: input.manifest, workspaces: input.workspaces };
+    }
+
+    throw new PackagerError('The input is missing (expected packages list, manifest, packageJson or lockfile)', 'EINPUT');
+}
+
+/**
+ * Create manifest from packages specs (e.g. express @types/express@4 lodash@^4.17.0)
+ *
+ * @param {string[]} specs The packages specs
+ *
+ * @returns {{ dependencies: any }} The manifest
+ */
+function specsToManifest(specs) {
+    return {
+        dependencies: specs.reduce((dependencies, spec) => {
+            const index = spec.indexOf('@', 1);
+            const name = index > 0 ? spec.slice(0, index) : spec;
+            dependencies[name] = (index > 0 && spec.slice(index + 1)) || 'latest';
+            return dependencies;
+        }, {}),
+    };
+}
+
+module.exports = {
+    Packager,
+    PackagerError,
+    createPackager,
+    specsToManifest,
+};
@@ -0,0 +1,130 @@
+// Known values of the package.json "os", "cpu" and "libc" fields (node process.platform, process.arch and the linux libc)
+const PLATFORM_OS = ['aix', 'android', 'darwin', 'freebsd', 'linux', 'netbsd', 'openbsd', 'sunos', 'win32'];
+const PLATFORM_CPU = ['arm', 'arm64', 'ia32', 'loong64', 'mips', 'mipsel', 'ppc', 'ppc64', 'riscv64', 's390', 's390x', 'x64'];
+const PLATFORM_LIBC = ['glibc', 'musl'];
+
+/**
+ * Parse the target platforms list, every target is "<os>-<cpu>[-<libc>]" (libc only for linux, without libc any linux libc matches)
+ *
+ * @param {string | string[]} value The targets list, e.g. "linux-x64-glibc,win32-x64,darwin-arm64"
+ *
+ * @returns {{ name: string, os: string, cpu: string, libc?: string }[]} The target platforms
+ */
+function parsePlatforms(value) {
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    if (!names.length) {
+        throw new Error('The platforms list is empty (expected e.g. linux-x64-glibc,win32-x64)');
+    }
+
+    return names.map(name => {
+        const [os, cpu, libc, ...rest] = name.split('-');
+        if (!PLATFORM_OS.includes(os) || !PLATFORM_CPU.includes(cpu) || rest.length) {
+            throw new Error(`Invalid platform "${name}" (expected <os>-<cpu>[-<libc>], e.g. linux-x64-glibc or win32-x64)`);
+        }
+
+        if (libc && (os !== 'linux' || !PLATFORM_LIBC.includes(libc))) {
+            throw new Error(`Invalid platform "${name}" (libc is glibc or musl and only for linux)`);
+        }
+
+        return { name, os, cpu, libc };
+    });
+}
+
+/**
+ * Get the current platform as target (the linux libc is detected from the node process report)
+ *
+ * @returns {{ name: string, os: string, cpu: string, libc?: string }} The current platform
+ */
+function getCurrentPlatform() {
+    const { platform: os, arch: cpu } = process;
+
+    let libc;
+    if (os === 'linux') {
+        const { header } = process.report.getReport();
+        libc = header.glibcVersionRuntime ? 'glibc' : 'musl';
+    }
+
+    return { name: [os, cpu, libc].filter(Boolean).join('-'), os, cpu, libc };
+}
+
+/**
+ * Is the package platform specific (has "os", "cpu" or "libc" field)
+ *
+ * @param {{ os?: string | string[], cpu?: string | string[], libc?: string | string[] }} manifest The package manifest
+ *
+ * @returns {boolean} Is platform specific
+ */
+function isPlatformSpecific(manifest) {
+    return ['os', 'cpu', 'libc'].some(field => toList(manifest[field]).length > 0);
+}
+
+/**
+ * Get the targets that the package supports (same rules as npm, "!" excludes a value)
+ *
+ * @param {{ os?: string | string[], cpu?: string | string[], libc?: string | string[] }} manifest The package manifest
+ * @param {{ name: string, os: string, cpu: string, libc?: string }[]} platforms The target platforms
+ *
+ * @returns {{ name: string, os: string, cpu: string, libc?: string }[]} The supported targets
+ */
+function getSupportedPlatforms(manifest, platforms) {
+    return platforms.filter(platform => {
+        if (!checkList(platform.os, manifest.os) || !checkList(platform.cpu, manifest.cpu)) {
+            return false;
+        }
+
+        // libc is relevant only for linux, linux target without libc matches any libc
+        const libc = toList(manifest.libc);
+        if (!libc.length) {
+            return true;
+        }
+
+        return platform.os === 'linux' && (!platform.libc || checkList(platform.libc, libc));
+    });
+}
+
+/**
+ * Check the value against package.json platform list (like npm-install-checks)
+ *
+ * @param {string} value The target value
+ * @param {string | string[]} list The package list, e.g. ["linux", "darwin"] or ["!win32"]
+ *
+ * @returns {boolean} Is the value allowed
+ */
+function checkList(value, list) {
+    const entries = toList(list);
+    if (!entries.length || (entries.length === 1 && entries[0] === 'any')) {
+        return true;
+    }
+
+    const negated = entries.filter(entry => entry.startsWith('!'));
+    if (negated.some(entry => entry.slice(1) === value)) {
+        return false;
+    }
+
+    return negated.length === entries.length || entries.includes(value);
+}
+
+/**
+ * Normalize package.json platform field to list
+ *
+ * @param {string | string[]} value The field value
+ *
+ * @returns {string[]} The list
+ */
+function toList(value) {
+    if (!value) {
+        return [];
+    }
+
+    return (Array.isArray(value) ? value : [value]).filter(entry => typeof entry === 'string' && entry);
+}
+
+module.exports = {
+    parsePlatforms,
+    getCurrentPlatform,
+    isPlatformSpecific,
+    getSupportedPlatforms,
+};
@@ -0,0 +1,344 @@
+const npa = require('npm-package-arg');
+const pacote = require('pacote');
+const yaml = require('js-yaml');
+const { satisfies, validRange } = require('semver');
+const { promisify } = require('util');
+const { dirname, resolve } = require('path');
+const { readFile, writeFile, existsSync } = require('fs');
+const { WorkQueue } = require('./work-queue');
+const { getPackageRegistry } = require('./npmrc');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+
+const POLICY_MODES = ['fail', 'exclude', 'warn'];
+const SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+const AUDIT_REPORT_FILE_NAME = 'npo-audit.json';
+const AUDIT_TEXT_FILE_NAME = 'npo-audit.txt';
+
+/**
+ * Read policy file (json or yaml)
+ * {
+ *   "mode": "fail" | "exclude" | "warn",
+ *   "licenses": { "allow": ["MIT"], "deny": ["GPL-3.0"], "allowUnknown": false },
+ *   "blocked": ["event-stream@3.3.6", "left-pad", "lodash@<4.17.21"],
+ *   "maxAge": 730,
+ *   "deprecated": "deny" | "warn" | "allow",
+ *   "installScripts": "deny" | "warn" | "allow",
+ *   "advisories": { "database": "./advisories.json", "severity": "moderate" }
+ * }
+ *
+ * @param {string} path The policy file path
+ *
+ * @returns {Promise<any>} The policy (the advisories database path is resolved from the policy folder)
+ */
+async function readPolicy(path) {
+    if (!existsSync(path)) {
+        throw new Error(`The policy file "${path}" not existed`);
+    }
+
+    const file = await readFilePromise(path, { encoding: 'utf-8' });
+    const policy = /\.ya?ml$/.test(path) ? yaml.safeLoad(file) : JSON.parse(file);
+    if (!policy || typeof policy !== 'object') {
+        throw new Error(`The file "${path}" is not a policy file`);
+    }
+
+    policy.mode = policy.mode || 'fail';
+    if (!POLICY_MODES.includes(policy.mode)) {
+        throw new Error(`Unknown policy mode "${policy.mode}" (expected ${POLICY_MODES.join(', ')})`);
+    }
+
+    if (policy.advisories && policy.advisories.database) {
+        policy.advisories.database = resolve(dirname(path), policy.advisories.database);
+    }
+
+    return policy;
+}
+
+/**
+ * Read advisories database file in npm bulk advisory format
+ * { "<package name>": [{ "id": 1, "title": "...", "severity": "high", "vulnerable_versions": "<1.2.3", "url": "..." }] }
+ *
+ * @param {string} path The database file path
+ *
+ * @returns {Promise<{ [name: string]: any[] }>} The advisories by package name
+ */
+async function readAdvisories(path) {
+    if (!existsSync(path)) {
+        throw new Error(`The advisories database "${path}" not existed`);
+    }
+
+    const advisories = JSON.parse(await readFilePromise(path, { encoding: 'utf-8' }));
+    if (!advisories || typeof advisories !== 'object' || Array.isArray(advisories)) {
+        throw new Error(`The file "${path}" is not npm bulk advisory database`);
+    }
+
+    return advisories;
+}
+
+/**
+ * Audit the packages against the policy and the advisories database
+ * The packages versions metadata (license, publish time, deprecation, scripts) is fetched from the package registry
+ *
+ * @param {{ name: string, version: string, registry?: string }[]} packages The resolved packages
+ * @param {any} policy The policy
+ * @param {{ registry?: string, registryOptions?: any, queue?: WorkQueue, advisories?: any, logger?: Function }} options The options
+ *
+ * @returns {Promise<any>} The audit report
+ */
+async function auditPackages(packages, policy, options = {}) {
+    const logger = options.logger || (() => { });
+    const queue = options.queue || new WorkQueue(options);
+    const advisories = options.advisories
+        || (policy.advisories && policy.advisories.database ? await readAdvisories(policy.advisories.database) : {});
+    const packuments = new Map();
+    const registryOptions = { ...options.registryOptions };
+    if (options.registry) {
+        registryOptions.registry = options.registry;
+    }
+    let counter = 0;
+
+    const results = await Promise.all(packages.map(async p => {
+        if (!packuments.has(p.name)) {
+            packuments.set(p.name, queue.push(() => pacote.packument(p.name, {
+                ...registryOptions,
+                registry: p.registry || getPackageRegistry(registryOptions, p.name),
+                fullMetadata: true,
+                retry: { retries: 0 },
+            }), p.name));
+        }
+
+        let violations;
+        try {
+            const packument = await packuments.get(p.name);
+            violations = evaluatePackage(p, packument, policy, advisories);
+        } catch (error) {
+            violations = [{ rule: 'metadata', level: 'error', message: `can't get package metadata (${error.message})` }];
+        }
+
+        counter++;
+        logger(`Auditing packages: ${p.name}@${p.version}`, counter / packages.length);
+
+        return { name: p.name, version: p.version, violations };
+    }));
+
+    const errors = results.filter(result => result.violations.some(violation => violation.level === 'error'));
+    const warnings = results.filter(result => result.violations.length && !errors.includes(result));
+
+    return {
+        createdAt: new Date().toISOString(),
+        mode: policy.mode,
+        policy,
+        summary: {
+            packages: packages.length,
+            passed: packages.length - errors.length,
+            errors: errors.length,
+            warnings: warnings.length,
+            excluded: policy.mode === 'exclude' ? errors.length : 0,
+        },
+        packages: results.filter(result => result.violations.length),
+    };
+}
+
+/**
+ * Evaluate the package version against the policy rules and the advisories
+ *
+ * @param {{ name: string, version: string }} p The package
+ * @param {any} packument The full packument
+ * @param {any} policy The policy
+ * @param {{ [name: string]: any[] }} advisories The advisories by package name
+ *
+ * @returns {{ rule: string, level: 'error' | 'warning', message: string }[]} The violations
+ */
+function evaluatePackage(p, packument, policy, advisories) {
+    const manifest = (packument.versions || {})[p.version];
+    if (!manifest) {
+        return [{ rule: 'metadata', level: 'error', message: `version ${p.version} not found in the registry` }];
+    }
+
+    const violations = [];
+    const addViolation = (rule, level, message) => violations.push({ rule, level, message });
+    const toLevel = value => (value === 'warn' ? 'warning' : 'error');
+
+    // Blocked packages and versions
+    const blocked = (policy.blocked || []).find(entry => isBlocked(p, entry));
+    if (blocked) {
+        addViolation('blocked', 'error', `blocked by "${blocked}"`);
+    }
+
+    // Licenses allow and deny lists
+    if (policy.licenses) {
+        const message = evaluateLicense(getLicense(manifest), policy.licenses);
+        if (message) {
+            addViolation('license', 'error', message);
+        }
+    }
+
+    // Max age in days since the version was published
+    if (policy.maxAge) {
+        const published = packument.time && packument.time[p.version];
+        const days = published ? Math.floor((Date.now() - new Date(published).getTime()) / (24 * 60 * 60 * 1000)) : null;
+        if (days === null) {
+            addViolation('maxAge', 'warning', 'unknown publish time');
+        } else if (days > policy.maxAge) {
+            addViolation('maxAge', 'error', `published ${days} days ago (max ${policy.maxAge} days)`);
+        }
+    }
+
+    if (manifest.deprecated && policy.deprecated && policy.deprecated !== 'allow') {
+        addViolation('deprecated', toLevel(policy.deprecated), `deprecated: ${manifest.deprecated}`);
+    }
+
+    if (policy.installScripts && policy.installScripts !== 'allow') {
+        const scripts = INSTALL_SCRIPTS.filter(script => manifest.scripts && manifest.scripts[script]);
+        if (scripts.length || manifest.hasInstallScript || manifest.gypfile) {
+            addViolation('installScripts', toLevel(policy.installScripts), `has install scripts (${scripts.length ? scripts.join(', ') : 'node-gyp'})`);
+        }
+    }
+
+    // Advisories, below the policy severity they are reported as warnings
+    const minSeverity = SEVERITIES.indexOf((policy.advisories && policy.advisories.severity) || 'low');
+    (advisories[p.name] || [])
+        .filter(advisory => validRange(advisory.vulnerable_versions) && satisfies(p.version, advisory.vulnerable_versions))
+        .forEach(advisory => addViolation(
+            'advisory',
+            SEVERITIES.indexOf(advisory.severity) >= minSeverity ? 'error' : 'warning',
+            `${advisory.severity} advisory ${advisory.id}: ${advisory.title} (${advisory.vulnerable_versions})${advisory.url ? ` ${advisory.url}` : ''}`,
+        ));
+
+    return violations;
+}
+
+/**
+ * Is the package matched by the blocked entry ("name", "name@version" or "name@range")
+ *
+ * @param {{ name: string, version: string }} p The package
+ * @param {string} entry The blocked entry
+ *
+ * @returns {boolean} Is blocked
+ */
+function isBlocked(p, entry) {
+    const spec = npa(entry);
+    if (spec.name !== p.name) {
+        return false;
+    }
+
+    return !spec.rawSpec || spec.rawSpec === '*' || (validRange(spec.fetchSpec) !== null && satisfies(p.version, spec.fetchSpec));
+}
+
+/**
+ * Get the license SPDX expression of the manifest (license string, license object or deprecated licenses array)
+ *
+ * @param {any} manifest The version manifest
+ *
+ * @returns {string | null} The license expression
+ */
+function getLicense(manifest) {
+    const { license, licenses } = manifest;
+    if (typeof license === 'string') {
+        return license;
+    }
+
+    if (license && license.type) {
+        return license.type;
+    }
+
+    if (Array.isArray(licenses) && licenses.length) {
+        return licenses.map(item => (typeof item === 'string' ? item : item.type)).join(' OR ');
+    }
+
+    return null;
+}
+
+/**
+ * Evaluate license expression against the allow and deny lists
+ * "A OR B" is accepted if one of the licenses is accepted, "A AND B" only if all the licenses are accepted
+ *
+ * @param {string | null} license The license expression
+ * @param {{ allow?: string[], deny?: string[], allowUnknown?: boolean }} rules The licenses rules
+ *
+ * @returns {string | null} The violation message or null if the license is accepted
+ */
+function evaluateLicense(license, rules) {
+    if (!license || license === 'UNLICENSED' || license.startsWith('SEE LICENSE')) {
+        return rules.allowUnknown ? null : `unknown license (${license || 'none'})`;
+    }
+
+    const normalize = id => id.trim().toLowerCase();
+    const allow = (rules.allow || []).map(normalize);
+    const deny = (rules.deny || []).map(normalize);
+    const ids = license.replace(/[()]/g, ' ').split(/\s+(?:OR|AND)\s+/i).map(normalize).filter(Boolean);
+
+    const isAccepted = id => !deny.includes(id) && (!allow.length || allow.includes(id));
+    const accepted = /\sAND\s/i.test(license) ? ids.every(isAccepted) : ids.some(isAccepted);
+
+    return accepted ? null : `license ${license} is not allowed`;
+}
+
+/**
+ * Format the audit report as text
+ *
+ * @param {any} report The audit report
+ *
+ * @returns {string} The text report
+ */
+function formatAuditReport(report) {
+    const { summary } = report;
+    const lines = [
+        `Audit report (${report.createdAt}), policy mode: ${report.mode}`,
+        `${summary.packages} packages, ${summary.passed} passed, ${summary.errors} with violations, ${summary.warnings} with warnings${summary.excluded ? `, ${summary.excluded} excluded` : ''}`,
+    ];
+
+    report.packages.forEach(({ name, version, violations }) => {
+        lines.push('', `${name}@${version}`);
+        violations.forEach(({ rule, level, message }) => lines.push(`  ${level === 'error' ? 'ERROR  ' : 'WARNING'} [${rule}] ${message}`));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Write the audit report files (json and text) into the bundle folder
+ *
+ * @param {string} folderPath The bundle folder
+ * @param {any} report The audit report
+ *
+ * @returns {Promise<void>}
+ */
+async function writeAuditReport(folderPath, report) {
+    await Promise.all([
+        writeFilePromise(resolve(folderPath, AUDIT_REPORT_FILE_NAME), JSON.stringify(report, null, 2), { encoding: 'utf-8' }),
+        writeFilePromise(resolve(folderPath, AUDIT_TEXT_FILE_NAME), `${formatAuditReport(report)}\n`, { encoding: 'utf-8' }),
+    ]);
+}
+
+/**
+ * Is the package rejected by the audit (has error violations)
+ *
+ * @param {any} report The audit report
+ *
+ * @returns {(p: { name: string, version: string }) => boolean} The predicate
+ */
+function isRejected(report) {
+    const rejected = new Set(report.packages
+        .filter(result => result.violations.some(violation => violation.level === 'error'))
+        .map(result => `${result.name}@${result.version}`));
+
+    return p => rejected.has(`${p.name}@${p.version}`);
+}
+
+module.exports = {
+    POLICY_MODES,
+    AUDIT_REPORT_FILE_NAME,
+    AUDIT_TEXT_FILE_NAME,
+    readPolicy,
+    readAdvisories,
+    auditPackages,
+    evaluatePackage,
+    getLicense,
+    formatAuditReport,
+    writeAuditReport,
+    isRejected,
+};
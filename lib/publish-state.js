@@ -0,0 +1,336 @@
+const { escape } = require('lodash');
+const { basename, dirname, join, resolve } = require('path');
+const { promisify } = require('util');
+const { readFile, writeFile, rename, existsSync } = require('fs');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+const renamePromise = promisify(rename);
+
+const PUBLISH_STATE_SUFFIX = '.publish-state.json';
+const PUBLISH_REPORT_FORMATS = ['html', 'json'];
+const STATE_VERSION = 1;
+
+// The statuses of the packages that are in the registry (not published again by retry)
+const DONE_STATUSES = ['published', 'exists'];
+// The report order of the statuses
+const STATUS_ORDER = ['failed', 'skipped', 'pending', 'published', 'exists'];
+
+/**
+ * Publish state, saved next to the bundle while publishing to retry the failed packages and to report the publish
+ * Records the target registry, every publish run and the status of every package (pending, published, exists, failed or skipped)
+ */
+class PublishState {
+    /**
+     * @param {string} filePath The state file path
+     * @param {any} data The state data
+     */
+    constructor(filePath, data) {
+        this.filePath = filePath;
+        this.data = data;
+        this.index = new Map(data.packages.map(p => [p.fileName, p]));
+        this.saving = null;
+        this.dirty = false;
+    }
+
+    /**
+     * Create new state for the bundle packages (the state is saved on the first update)
+     *
+     * @param {string} filePath The state file path
+     * @param {{ bundle: string, registry: string, packages?: { name?: string, version?: string, fileName: string }[] }} data The bundle name, the target registry and the bundle packages
+     *
+     * @returns {PublishState} The state
+     */
+    static create(filePath, { bundle, registry, packages = [] }) {
+        return new PublishState(filePath, {
+            stateVersion: STATE_VERSION,
+            bundle,
+            registry,
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            runs: [],
+            packages: packages.map(({ name, version, fileName }) => ({ name, version, fileName, status: 'pending', attempts: 0 })),
+        });
+    }
+
+    /**
+     * Read the state file
+     *
+     * @param {string} filePath The state file path
+     *
+     * @returns {Promise<PublishState | null>} The state or null if there is no state file
+     */
+    static async read(filePath) {
+        if (!existsSync(filePath)) {
+            return null;
+        }
+
+        const data = JSON.parse(await readFilePromise(filePath, { encoding: 'utf-8' }));
+        if (!data || !Array.isArray(data.packages) || !Array.isArray(data.runs)) {
+            throw new Error(`The file "${filePath}" is not a publish state`);
+        }
+
+        return new PublishState(filePath, data);
+    }
+
+    /**
+     * Read the state of the previous publish to the same registry, or create new state
+     *
+     * @param {string} filePath The state file path
+     * @param {{ bundle: string, registry: string, packages?: any[] }} data The bundle name, the target registry and the bundle packages
+     *
+     * @returns {Promise<PublishState>} The state
+     */
+    static async open(filePath, data) {
+        const state = await PublishState.read(filePath);
+        if (!state || state.data.registry !== data.registry) {
+            return PublishState.create(filePath, data);
+        }
+
+        // Packages that added to the bundle folder since the previous publish
+        (data.packages || []).filter(p => !state.index.has(p.fileName)).forEach(({ name, version, fileName }) => {
+            const entry = { name, version, fileName, status: 'pending', attempts: 0 };
+            state.data.packages.push(entry);
+            state.index.set(fileName, entry);
+        });
+
+        return state;
+    }
+
+    /**
+     * Whether the package should be published by retry (it failed, skipped or not published yet)
+     *
+     * @param {string} fileName The package file name
+     *
+     * @returns {boolean} Should retry
+     */
+    shouldRetry(fileName) {
+        const entry = this.index.get(fileName);
+        return !entry || !DONE_STATUSES.includes(entry.status);
+    }
+
+    /**
+     * The packages with the status
+     *
+     * @param {...string} statuses The statuses
+     *
+     * @returns {any[]} The packages
+     */
+    filter(...statuses) {
+        return this.data.packages.filter(p => statuses.includes(p.status));
+    }
+
+    /**
+     * The count of the packages of every status
+     *
+     * @returns {{ packages: number, published: number, exists: number, failed: number, skipped: number, pending: number }} The counts
+     */
+    counts() {
+        return STATUS_ORDER.reduce((result, status) => ({ ...result, [status]: this.filter(status).length }), { packages: this.data.packages.length });
+    }
+
+    /**
+     * Start publish run
+     *
+     * @param {{ retryFailed?: boolean }} options The run options
+     */
+    startRun(options = {}) {
+        this.run = { startedAt: new Date().toISOString(), finishedAt: null, retryFailed: Boolean(options.retryFailed), published: 0, exists: 0, failed: 0, skipped: 0 };
+        this.data.runs.push(this.run);
+    }
+
+    /**
+     * Record the publish result of package (the state is saved in the background, call flush to wait for it)
+     *
+     * @param {{ name?: string, version?: string, fileName: string, status: string, httpStatus?: number, error?: string, warnings?: string[] }} result The publish result
+     */
+    update(result) {
+        let entry = this.index.get(result.fileName);
+        if (!entry) {
+            entry = { fileName: result.fileName, attempts: 0 };
+            this.data.packages.push(entry);
+            this.index.set(result.fileName, entry);
+        }
+
+        delete entry.httpStatus;
+        delete entry.error;
+        delete entry.warnings;
+        Object.assign(entry, {
+            name: result.name || entry.name,
+            version: result.version || entry.version,
+            status: result.status,
+            httpStatus: result.httpStatus,
+            error: result.error,
+            warnings: result.warnings,
+            attempts: entry.attempts + 1,
+            updatedAt: new Date().toISOString(),
+        });
+
+        if (this.run && this.run[result.status] !== undefined) {
+            this.run[result.status] += 1;
+        }
+
+        this.save().catch(() => { });
+    }
+
+    /**
+     * Mark the publish run as finished
+     *
+     * @returns {Promise<void>}
+     */
+    finishRun() {
+        if (this.run) {
+            this.run.finishedAt = new Date().toISOString();
+        }
+
+        return this.save();
+    }
+
+    /**
+     * Save the state (writes are serialized, the file is replaced atomically so an interrupted write can't corrupt it)
+     *
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.dirty = true;
+        if (!this.saving) {
+            this.saving = (async () => {
+                while (this.dirty) {
+                    this.dirty = false;
+                    this.data.updatedAt = new Date().toISOString();
+
+                    const tempPath = `${this.filePath}.tmp`;
+                    await writeFilePromise(tempPath, JSON.stringify(this.data, null, 2), { encoding: 'utf-8' });
+                    await renamePromise(tempPath, this.filePath);
+                }
+            })().finally(() => {
+                this.saving = null;
+                if (this.dirty) {
+                    this.save().catch(() => { });
+                }
+            });
+        }
+
+        return this.saving;
+    }
+
+    /**
+     * Wait for the pending state writes
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        while (this.saving) {
+            await this.saving;
+        }
+    }
+}
+
+/**
+ * Get the state file path of the bundle (next to the bundle folder, archive or tarball)
+ *
+ * @param {string} path The published path (bundle folder, archive, first volume or tarball)
+ * @param {string} [bundle] The bundle name (default: the path name without extension)
+ *
+ * @returns {string} The state file path
+ */
+function getPublishStatePath(path, bundle) {
+    const name = bundle || basename(path).replace(/(\.\d{3,})?(\.tar(\.gz|\.zst)?|\.tgz)$/, '');
+    return join(dirname(resolve(path)), `${name}${PUBLISH_STATE_SUFFIX}`);
+}
+
+/**
+ * Create the publish report from the state
+ *
+ * @param {PublishState} state The publish state
+ *
+ * @returns {any} The report
+ */
+function createPublishReport(state) {
+    const { bundle, registry, createdAt, updatedAt, runs } = state.data;
+    const packages = [...state.data.packages].sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+        || (a.name || a.fileName).localeCompare(b.name || b.fileName));
+
+    return {
+        bundle,
+        registry,
+        createdAt,
+        updatedAt,
+        runs: runs.length,
+        summary: state.counts(),
+        packages: packages.map(({ name, version, fileName, status, httpStatus, error, warnings }) => ({ name, version, fileName, status, httpStatus, error, warnings })),
+    };
+}
+
+/**
+ * Format the publish report as html page
+ *
+ * @param {any} report The publish report
+ *
+ * @returns {string} The html page
+ */
+function formatPublishReportHtml(report) {
+    const { summary } = report;
+    const rows = report.packages.map(p => `
+      <tr class="${p.status}">
+        <td>${escape(p.name || '')}</td>
+        <td>${escape(p.version || '')}</td>
+        <td>${escape(p.fileName)}</td>
+        <td>${p.status}</td>
+        <td>${escape([p.httpStatus ? `HTTP ${p.httpStatus}` : '', p.error, ...(p.warnings || [])].filter(Boolean).join(', '))}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Publish report - ${escape(report.bundle)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    tr.failed td { background: #fdd; }
+    tr.skipped td, tr.pending td { background: #ffd; }
+  </style>
+</head>
+<body>
+  <h1>Publish report - ${escape(report.bundle)}</h1>
+  <p>Registry: ${escape(report.registry)}<br>First publish: ${report.createdAt}<br>Last update: ${report.updatedAt} (${report.runs} runs)</p>
+  <p>${summary.packages} packages: ${summary.published} published, ${summary.exists} already existed, ${summary.failed} failed, ${summary.skipped} skipped${summary.pending ? `, ${summary.pending} not published yet` : ''}</p>
+  <table>
+    <thead>
+      <tr><th>Package</th><th>Version</th><th>File</th><th>Status</th><th>Details</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the publish report file next to the state file
+ *
+ * @param {PublishState} state The publish state
+ * @param {'html' | 'json'} format The report format
+ *
+ * @returns {Promise<string>} The report file path
+ */
+async function writePublishReport(state, format) {
+    const report = createPublishReport(state);
+    const filePath = state.filePath.replace(PUBLISH_STATE_SUFFIX, `.publish-report.${format}`);
+
+    await writeFilePromise(filePath, format === 'html' ? formatPublishReportHtml(report) : JSON.stringify(report, null, 2), { encoding: 'utf-8' });
+    return filePath;
+}
+
+module.exports = {
+    PUBLISH_STATE_SUFFIX,
+    PUBLISH_REPORT_FORMATS,
+    PublishState,
+    getPublishStatePath,
+    createPublishReport,
+    formatPublishReportHtml,
+    writePublishReport,
+};
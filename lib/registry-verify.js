@@ -0,0 +1,214 @@
+const axios = require('axios');
+const npa = require('npm-package-arg');
+const ssri = require('ssri');
+const { gt, valid } = require('semver');
+const { getAuthorization } = require('./npmrc');
+const { WorkQueue } = require('./work-queue');
+
+/**
+ * Verify that the target registry serves the bundle packages
+ * For every package name of the bundle the packument is fetched from the registry and compared with the bundle:
+ * the version presence, the dist-tags (a tag that points to newer version is not a mismatch), the packument integrity
+ * and the integrity of the tarball that the registry serves (unless tarballs is false)
+ *
+ * @param {BundleRegistry} bundle The bundle packages (see BundleRegistry.load)
+ * @param {{ registry: string, config?: any, token?: string, tarballs?: boolean, queue?: WorkQueue, onResult?: Function }} options The options
+ * (config is the npm config with the registry credentials, onResult is called with the result of every version)
+ *
+ * @returns {Promise<{ registry: string, packages: number, verified: number, missing: any[], mismatched: any[], extra: any[] }>} The diff of the registry against the bundle
+ */
+async function verifyRegistry(bundle, options) {
+    const registry = options.registry.endsWith('/') ? options.registry : `${options.registry}/`;
+    const queue = options.queue || new WorkQueue();
+    const requestOptions = { ...options, registry };
+
+    const names = [...bundle.packages.keys()];
+    const results = await Promise.all(names.map(name => verifyPackage(name, bundle.packages.get(name).map(p => p.entry), queue, requestOptions)
+        .catch(error => ({
+            // The registry request failed after all the retries
+            versions: bundle.packages.get(name).map(({ entry }) => ({
+                name,
+                version: entry.version,
+                status: 'missing',
+                reason: `registry request failed: ${error && error.message ? error.message : String(error)}`,
+            })),
+            extra: [],
+        }))
+        .then(result => {
+            if (options.onResult) {
+                result.versions.forEach(options.onResult);
+            }
+            return result;
+        })));
+
+    const versions = [].concat(...results.map(result => result.versions));
+    return {
+        registry,
+        packages: versions.length,
+        verified: versions.filter(result => result.status === 'verified').length,
+        missing: versions.filter(result => result.status === 'missing').map(({ name, version, reason }) => ({ name, version, reason })),
+        mismatched: [].concat(...versions.filter(result => result.status === 'mismatched')
+            .map(({ name, version, mismatches }) => mismatches.map(mismatch => ({ name, version, ...mismatch })))),
+        extra: [].concat(...results.map(result => result.extra)),
+    };
+}
+
+/**
+ * Verify the bundle versions of package against the registry packument
+ *
+ * @param {string} name The package name
+ * @param {any[]} entries The bundle entries of the package versions
+ * @param {WorkQueue} queue The registry requests queue
+ * @param {{ registry: string, config?: any, token?: string, tarballs?: boolean }} options The options
+ *
+ * @returns {Promise<{ versions: any[], extra: { name: string, version: string }[] }>} The result of every version and the registry versions that not in the bundle
+ */
+async function verifyPackage(name, entries, queue, options) {
+    const packument = await queue.push(() => getRegistryJson(`${options.registry}${npa(name).escapedName}`, options), name);
+    if (!packument) {
+        return {
+            versions: entries.map(entry => ({ name, version: entry.version, status: 'missing', reason: 'package not found' })),
+            extra: [],
+        };
+    }
+
+    const registryVersions = packument.versions || {};
+    const registryTags = packument['dist-tags'] || {};
+    const bundleVersions = new Set(entries.map(entry => entry.version));
+
+    const versions = await Promise.all(entries.map(async entry => {
+        const versionManifest = registryVersions[entry.version];
+        if (!versionManifest) {
+            return { name, version: entry.version, status: 'missing', reason: 'version not found' };
+        }
+
+        const dist = versionManifest.dist || {};
+        const mismatches = [
+            ...compareDistTags(entry, registryTags),
+            ...compareIntegrity(entry, dist),
+            ...(options.tarballs === false ? [] : await queue.push(() => compareTarball(entry, dist, options), `${name}@${entry.version}`)
+                .catch(error => [{ field: 'tarball', expected: entry.integrity, actual: error && error.message ? error.message : String(error) }])),
+        ];
+
+        return mismatches.length
+            ? { name, version: entry.version, status: 'mismatched', mismatches }
+            : { name, version: entry.version, status: 'verified' };
+    }));
+
+    return {
+        versions,
+        extra: Object.keys(registryVersions).filter(version => !bundleVersions.has(version)).map(version => ({ name, version })),
+    };
+}
+
+/**
+ * Compare the bundle dist-tags of the version with the registry dist-tags
+ *
+ * @param {{ version: string, distTags?: string[] }} entry The bundle entry
+ * @param {{ [tag: string]: string }} registryTags The registry dist-tags
+ *
+ * @returns {{ field: string, expected: string, actual: string }[]} The mismatches
+ */
+function compareDistTags(entry, registryTags) {
+    return (entry.distTags || [])
+        .filter(tag => registryTags[tag] !== entry.version && !(valid(registryTags[tag]) && gt(registryTags[tag], entry.version)))
+        .map(tag => ({ field: `dist-tags.${tag}`, expected: entry.version, actual: registryTags[tag] || null }));
+}
+
+/**
+ * Compare the bundle hashes with the registry packument dist hashes
+ *
+ * @param {{ integrity?: string, shasum?: string }} entry The bundle entry
+ * @param {{ integrity?: string, shasum?: string }} dist The registry version dist
+ *
+ * @returns {{ field: string, expected: string, actual: string }[]} The mismatches
+ */
+function compareIntegrity(entry, dist) {
+    // Compare by the common algorithm (old packages have only sha1 hash)
+    if (dist.integrity && entry.integrity && ssri.parse(dist.integrity).pickAlgorithm() === ssri.parse(entry.integrity).pickAlgorithm()) {
+        return ssri.parse(dist.integrity).match(entry.integrity) ? [] : [{ field: 'integrity', expected: entry.integrity, actual: dist.integrity }];
+    }
+
+    if (dist.shasum && entry.shasum) {
+        return dist.shasum === entry.shasum ? [] : [{ field: 'shasum', expected: entry.shasum, actual: dist.shasum }];
+    }
+
+    return dist.integrity || dist.shasum ? [] : [{ field: 'integrity', expected: entry.integrity, actual: null }];
+}
+
+/**
+ * Download the tarball that the registry serves and compare it with the bundle integrity
+ *
+ * @param {{ integrity: string }} entry The bundle entry
+ * @param {{ tarball?: string }} dist The registry version dist
+ * @param {{ registry: string, config?: any, token?: string }} options The options
+ *
+ * @returns {Promise<{ field: string, expected: string, actual: string }[]>} The mismatches
+ */
+async function compareTarball(entry, dist, options) {
+    if (!dist.tarball) {
+        return [{ field: 'tarball', expected: entry.integrity, actual: 'no tarball url' }];
+    }
+
+    const response = await axios.get(dist.tarball, {
+        headers: getHeaders(dist.tarball, options),
+        responseType: 'arraybuffer',
+        maxContentLength: Infinity,
+        validateStatus: status => status < 500 || status === 501,
+    });
+
+    if (response.status !== 200) {
+        return [{ field: 'tarball', expected: entry.integrity, actual: `HTTP ${response.status} from ${dist.tarball}` }];
+    }
+
+    const data = Buffer.from(response.data);
+    return ssri.checkData(data, entry.integrity)
+        ? []
+        : [{ field: 'tarball', expected: entry.integrity, actual: ssri.fromData(data, { algorithms: [ssri.parse(entry.integrity).pickAlgorithm()] }).toString() }];
+}
+
+/**
+ * Get json document from the registry (5xx responses and network errors are thrown to retry them)
+ *
+ * @param {string} url The document url
+ * @param {{ registry: string, config?: any, token?: string }} options The options
+ *
+ * @returns {Promise<any>} The document or null if not found
+ */
+async function getRegistryJson(url, options) {
+    const response = await axios.get(url, {
+        headers: { ...getHeaders(url, options), accept: 'application/json' },
+        validateStatus: status => status < 500 || status === 501,
+    });
+
+    if (response.status === 404) {
+        return null;
+    }
+
+    if (response.status !== 200 || !response.data || typeof response.data !== 'object') {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+
+    return response.data;
+}
+
+/**
+ * Get the request headers with the registry credentials
+ * The token option is the credential of the registry, so it's sent only to the registry origin
+ * (the tarball urls may point to other hosts, they get their credentials from the npm config)
+ *
+ * @param {string} url The request url
+ * @param {{ registry: string, config?: any, token?: string }} options The options
+ *
+ * @returns {any} The headers
+ */
+function getHeaders(url, options) {
+    const authorization = options.token && new URL(url).origin === new URL(options.registry).origin
+        ? `Bearer ${options.token}`
+        : getAuthorization(options.config || {}, url);
+    return authorization ? { authorization } : {};
+}
+
+module.exports = {
+    verifyRegistry,
+};
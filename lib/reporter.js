@@ -0,0 +1,192 @@
+const Gauge = require('gauge');
+const shell = require('shelljs');
+const { green, red, yellow, gray } = require('chalk');
+
+// The process exit codes of the commands
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    partial: 2,
+};
+
+/**
+ * The command output by log level: quiet (errors only), normal (progress bar and results) or verbose (progress messages as lines),
+ * or json (NDJSON events to stdout, one JSON object per line, ends with the summary event)
+ */
+class Reporter {
+    /**
+     * @param {{ json?: boolean, quiet?: boolean, verbose?: boolean }} options The options
+     */
+    constructor(options = {}) {
+        this.json = Boolean(options.json);
+        this.quiet = Boolean(options.quiet);
+        this.verbose = Boolean(options.verbose) && !this.quiet;
+
+        // The progress bar is shown only in normal mode on terminal
+        this.gauge = !this.json && !this.quiet && !this.verbose && process.stderr.isTTY ? new Gauge() : null;
+    }
+
+    /**
+     * Show progress message (progress bar in normal mode, line in verbose mode)
+     *
+     * @param {string} message The message
+     * @param {number} [percent] The progress (0-1)
+     */
+    progress(message, percent = 0) {
+        if (this.gauge) {
+            this.gauge.show(message, percent);
+        } else if (this.verbose) {
+            this.write(message, gray, true);
+        }
+    }
+
+    /**
+     * Hide the progress bar (before printing)
+     */
+    hide() {
+        if (this.gauge) {
+            this.gauge.hide();
+        }
+    }
+
+    /**
+     * Remove the progress bar (when the command is done)
+     */
+    stop() {
+        if (this.gauge) {
+            this.gauge.disable();
+        }
+    }
+
+    /**
+     * Print stage result, json event of "stage" type
+     *
+     * @param {string} stage The stage name (e.g. resolve, download)
+     * @param {string} message The message
+     * @param {any} [data] The event data
+     */
+    stage(stage, message, data = {}) {
+        this.event('stage', { stage, message, ...data });
+        if (!this.json && !this.quiet) {
+            this.write(message, green);
+        }
+    }
+
+    /**
+     * Print info message
+     *
+     * @param {string} message The message
+     * @param {Function} [color] The chalk color (default: no color)
+     */
+    info(message, color) {
+        if (!this.json && !this.quiet) {
+            this.write(message, color);
+        }
+    }
+
+    /**
+     * Print success message
+     *
+     * @param {string} message The message
+     */
+    success(message) {
+        this.info(message, green);
+    }
+
+    /**
+     * Print message that only shown in verbose mode
+     *
+     * @param {string} message The message
+     */
+    debug(message) {
+        if (this.verbose) {
+            this.write(message, gray, true);
+        }
+    }
+
+    /**
+     * Print warning, json event of "warning" type
+     *
+     * @param {string} message The message
+     */
+    warn(message) {
+        this.event('warning', { message: message.trim() });
+        if (!this.json && !this.quiet) {
+            this.write(message, yellow);
+        }
+    }
+
+    /**
+     * Print error to stderr (in all the modes), json event of "error" type
+     *
+     * @param {string} message The message
+     */
+    error(message) {
+        this.event('error', { message: message.trim() });
+        if (!this.json) {
+            this.write(message, red, true);
+        }
+    }
+
+    /**
+     * Write json event line (only in json mode)
+     *
+     * @param {string} type The event type
+     * @param {any} [data] The event data
+     */
+    event(type, data = {}) {
+        if (this.json) {
+            process.stdout.write(`${JSON.stringify({ type, ...data })}\n`);
+        }
+    }
+
+    /**
+     * Write the summary event and set the process exit code
+     *
+     * @param {'success' | 'partial' | 'failure'} status The command status
+     * @param {any} [data] The summary data
+     */
+    summary(status, data = {}) {
+        process.exitCode = EXIT_CODES[status];
+        this.event('summary', { status, exitCode: EXIT_CODES[status], ...data });
+    }
+
+    /**
+     * Write line to stdout or stderr
+     *
+     * @param {string} message The message
+     * @param {Function} [color] The chalk color
+     * @param {boolean} [stderr] Whether to write to stderr
+     */
+    write(message, color, stderr) {
+        this.hide();
+        const line = color ? color(message) : message;
+        if (stderr) {
+            console.error(line);
+        } else {
+            shell.echo(line);
+        }
+    }
+}
+
+/**
+ * Get the command status from the completed and failed counts
+ *
+ * @param {number} completed The completed items count
+ * @param {number} failed The failed items count
+ *
+ * @returns {'success' | 'partial' | 'failure'} The status
+ */
+function getStatus(completed, failed) {
+    if (!failed) {
+        return 'success';
+    }
+
+    return completed ? 'partial' : 'failure';
+}
+
+module.exports = {
+    EXIT_CODES,
+    Reporter,
+    getStatus,
+};
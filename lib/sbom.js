@@ -0,0 +1,293 @@
+const ssri = require('ssri');
+const { maxSatisfying, validRange } = require('semver');
+const { promisify } = require('util');
+const { randomUUID } = require('crypto');
+const { join } = require('path');
+const { readFile, writeFile } = require('fs');
+const { readTarballManifest } = require('./npm-publish');
+const { getLicense } = require('./policy');
+const { WorkQueue } = require('./work-queue');
+const currPackageJson = require('../package');
+
+const readFilePromise = promisify(readFile);
+const writeFilePromise = promisify(writeFile);
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+// SBOM file name of every format
+const SBOM_FILE_NAMES = {
+    cyclonedx: 'npo-sbom.cdx.json',
+    spdx: 'npo-sbom.spdx.json',
+};
+
+/**
+ * Create SBOM document for the bundle packages
+ * The licenses and the dependencies are read from the package.json in the bundle tarballs,
+ * the dependency relationships are taken from the resolved tree when known (the packages "requires")
+ * otherwise every dependency range is matched to the max satisfying version in the bundle
+ *
+ * @param {string} folderPath The bundle folder
+ * @param {any} manifest The bundle manifest
+ * @param {{ format: 'cyclonedx' | 'spdx', requires?: Map<string, string[]> }} options The options (requires by "name@version" from the resolved tree)
+ *
+ * @returns {Promise<any>} The SBOM document
+ */
+async function createSbom(folderPath, manifest, options) {
+    if (!SBOM_FILE_NAMES[options.format]) {
+        throw new Error(`Unknown SBOM format "${options.format}" (expected cyclonedx or spdx)`);
+    }
+
+    // Read the package.json of every tarball (limit the open files)
+    const queue = new WorkQueue({ concurrency: 20, retries: 0 });
+    const packages = await Promise.all(manifest.packages.map(entry => queue.push(async () => {
+        const { manifest: packageJson } = await readTarballManifest(await readFilePromise(join(folderPath, entry.fileName)));
+        return { entry, packageJson, purl: getPurl(entry, manifest.registry) };
+    }, entry.fileName)));
+
+    const requires = options.requires || getBundleRequires(packages);
+    const context = {
+        name: manifest.name,
+        createdAt: new Date().toISOString(),
+        registry: manifest.registry,
+        packages,
+        requires,
+    };
+
+    return options.format === 'spdx' ? createSpdx(context) : createCycloneDx(context);
+}
+
+/**
+ * Create the SBOM and write it into the bundle folder
+ *
+ * @param {string} folderPath The bundle folder
+ * @param {any} manifest The bundle manifest
+ * @param {{ format: 'cyclonedx' | 'spdx', requires?: Map<string, string[]>, output?: string }} options The options (output file default: in the bundle folder)
+ *
+ * @returns {Promise<string>} The SBOM file path
+ */
+async function writeSbom(folderPath, manifest, options) {
+    const sbom = await createSbom(folderPath, manifest, options);
+    const filePath = options.output || join(folderPath, SBOM_FILE_NAMES[options.format]);
+    await writeFilePromise(filePath, JSON.stringify(sbom, null, 2), { encoding: 'utf-8' });
+    return filePath;
+}
+
+/**
+ * Match the dependencies of every bundle package to the max satisfying version in the bundle (like npm dedupe)
+ *
+ * @param {{ entry: any, packageJson: any }[]} packages The bundle packages
+ *
+ * @returns {Map<string, string[]>} The requires by "name@version"
+ */
+function getBundleRequires(packages) {
+    const versions = packages.reduce((result, { entry }) => {
+        result[entry.name] = [...(result[entry.name] || []), entry.version];
+        return result;
+    }, {});
+
+    return new Map(packages.map(({ entry, packageJson }) => {
+        const dependencies = {
+            ...packageJson.peerDependencies,
+            ...packageJson.optionalDependencies,
+            ...packageJson.dependencies,
+        };
+
+        const requires = Object.keys(dependencies)
+            .map(name => {
+                const range = validRange(dependencies[name]) ? dependencies[name] : '*';
+                const version = versions[name] && maxSatisfying(versions[name], range);
+                return version ? `${name}@${version}` : null;
+            })
+            .filter(Boolean);
+
+        return [`${entry.name}@${entry.version}`, requires];
+    }));
+}
+
+/**
+ * Create CycloneDX 1.5 document
+ *
+ * @param {any} context The bundle packages and relationships
+ *
+ * @returns {any} The CycloneDX document
+ */
+function createCycloneDx({ name, createdAt, packages, requires }) {
+    const refs = new Map(packages.map(({ entry, purl }) => [`${entry.name}@${entry.version}`, purl]));
+
+    return {
+        bomFormat: 'CycloneDX',
+        specVersion: '1.5',
+        serialNumber: `urn:uuid:${randomUUID()}`,
+        version: 1,
+        metadata: {
+            timestamp: createdAt,
+            tools: [{ vendor: 'npm-offline-packager', name: currPackageJson.name, version: currPackageJson.version }],
+            component: { type: 'application', 'bom-ref': 'bundle', name },
+        },
+        components: packages.map(({ entry, packageJson, purl }) => {
+            const scope = entry.name.startsWith('@') ? entry.name.split('/')[0] : undefined;
+            const license = getDeclaredLicense(packageJson);
+
+            return pickDefined({
+                type: 'library',
+                'bom-ref': purl,
+                group: scope,
+                name: scope ? entry.name.split('/')[1] : entry.name,
+                version: entry.version,
+                description: packageJson.description,
+                hashes: getHashes(entry).map(({ algorithm, value }) => ({ alg: algorithm === 'sha512' ? 'SHA-512' : 'SHA-1', content: value })),
+                licenses: license ? [/\s(OR|AND|WITH)\s/.test(license) ? { expression: license } : { license: { id: license } }] : undefined,
+                purl,
+                externalReferences: [{ type: 'distribution', url: getTarballUrl(entry) }],
+            });
+        }),
+        dependencies: [
+            { ref: 'bundle', dependsOn: [...refs.values()] },
+            ...packages.map(({ entry, purl }) => ({
+                ref: purl,
+                dependsOn: (requires.get(`${entry.name}@${entry.version}`) || []).map(key => refs.get(key)).filter(Boolean),
+            })),
+        ],
+    };
+}
+
+/**
+ * Create SPDX 2.3 document
+ *
+ * @param {any} context The bundle packages and relationships
+ *
+ * @returns {any} The SPDX document
+ */
+function createSpdx({ name, createdAt, packages, requires }) {
+    const toSpdxId = key => `SPDXRef-Package-${key.replace(/[^A-Za-z0-9.-]/g, '-')}`;
+    const ids = new Map(packages.map(({ entry }) => [`${entry.name}@${entry.version}`, toSpdxId(`${entry.name}-${entry.version}`)]));
+
+    return {
+        spdxVersion: 'SPDX-2.3',
+        dataLicense: 'CC0-1.0',
+        SPDXID: 'SPDXRef-DOCUMENT',
+        name,
+        documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(name)}-${randomUUID()}`,
+        creationInfo: {
+            created: createdAt,
+            creators: [`Tool: ${currPackageJson.name}-${currPackageJson.version}`],
+        },
+        packages: [
+            {
+                name,
+                SPDXID: 'SPDXRef-Bundle',
+                downloadLocation: 'NOASSERTION',
+                filesAnalyzed: false,
+                licenseConcluded: 'NOASSERTION',
+                licenseDeclared: 'NOASSERTION',
+                copyrightText: 'NOASSERTION',
+            },
+            ...packages.map(({ entry, packageJson, purl }) => pickDefined({
+                name: entry.name,
+                SPDXID: ids.get(`${entry.name}@${entry.version}`),
+                versionInfo: entry.version,
+                description: packageJson.description,
+                downloadLocation: getTarballUrl(entry),
+                filesAnalyzed: false,
+                checksums: getHashes(entry).map(({ algorithm, value }) => ({ algorithm: algorithm.toUpperCase(), checksumValue: value })),
+                licenseConcluded: 'NOASSERTION',
+                licenseDeclared: getDeclaredLicense(packageJson) || 'NOASSERTION',
+                copyrightText: 'NOASSERTION',
+                externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: purl }],
+            })),
+        ],
+        relationships: [
+            { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Bundle' },
+            ...packages.map(({ entry }) => ({ spdxElementId: 'SPDXRef-Bundle', relationshipType: 'CONTAINS', relatedSpdxElement: ids.get(`${entry.name}@${entry.version}`) })),
+            ...[].concat(...packages.map(({ entry }) => {
+                const id = ids.get(`${entry.name}@${entry.version}`);
+                return (requires.get(`${entry.name}@${entry.version}`) || [])
+                    .filter(key => ids.has(key))
+                    .map(key => ({ spdxElementId: id, relationshipType: 'DEPENDS_ON', relatedSpdxElement: ids.get(key) }));
+            })),
+        ],
+    };
+}
+
+/**
+ * Get the package url (purl) of the bundle package, non default registry is added as repository_url
+ *
+ * @param {{ name: string, version: string, registry?: string }} entry The bundle package
+ * @param {string} bundleRegistry The bundle registry
+ *
+ * @returns {string} The purl
+ */
+function getPurl(entry, bundleRegistry) {
+    const registry = entry.registry || bundleRegistry;
+    const qualifiers = registry && registry.replace(/\/?$/, '/') !== DEFAULT_REGISTRY ? `?repository_url=${encodeURIComponent(registry)}` : '';
+    return `pkg:npm/${entry.name.replace('@', '%40')}@${entry.version}${qualifiers}`;
+}
+
+/**
+ * Get the package tarball url in the source registry
+ *
+ * @param {{ name: string, version: string, registry?: string }} entry The bundle package
+ *
+ * @returns {string} The tarball url
+ */
+function getTarballUrl(entry) {
+    const registry = (entry.registry || DEFAULT_REGISTRY).replace(/\/?$/, '/');
+    const unscopedName = entry.name.split('/').pop();
+    return `${registry}${entry.name}/-/${unscopedName}-${entry.version}.tgz`;
+}
+
+/**
+ * Get the tarball hashes as hex (sha512 from the integrity and sha1 shasum)
+ *
+ * @param {{ integrity?: string, shasum?: string }} entry The bundle package
+ *
+ * @returns {{ algorithm: string, value: string }[]} The hashes
+ */
+function getHashes(entry) {
+    const hashes = [];
+    const integrity = entry.integrity && ssri.parse(entry.integrity);
+    if (integrity && integrity.sha512) {
+        hashes.push({ algorithm: 'sha512', value: integrity.sha512[0].hexDigest() });
+    }
+
+    if (entry.shasum) {
+        hashes.push({ algorithm: 'sha1', value: entry.shasum });
+    }
+
+    return hashes;
+}
+
+/**
+ * Get the declared license SPDX expression from package.json (non SPDX values like "SEE LICENSE IN" are not declared)
+ *
+ * @param {any} packageJson The package.json
+ *
+ * @returns {string | null} The license expression
+ */
+function getDeclaredLicense(packageJson) {
+    const license = getLicense(packageJson);
+    return license && license !== 'UNLICENSED' && !license.startsWith('SEE LICENSE') ? license : null;
+}
+
+/**
+ * Remove undefined fields
+ *
+ * @param {any} obj The object
+ *
+ * @returns {any} The object without undefined fields
+ */
+function pickDefined(obj) {
+    return Object.keys(obj).reduce((result, key) => {
+        if (obj[key] !== undefined) {
+            result[key] = obj[key];
+        }
+
+        return result;
+    }, {});
+}
+
+module.exports = {
+    SBOM_FILE_NAMES,
+    createSbom,
+    writeSbom,
+};
@@ -0,0 +1,165 @@
+// Network errors that worth another attempt
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EINTEGRITY'];
+
+/**
+ * Work queue that runs async tasks with bounded concurrency,
+ * retries failed tasks with exponential backoff and jitter, and pauses all the tasks when the registry responds 429 with Retry-After
+ */
+class WorkQueue {
+    /**
+     * @param {{ concurrency?: number, retries?: number, minTimeout?: number, maxTimeout?: number, factor?: number, logger?: Function }} options The options
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, Number(options.concurrency) || 10);
+        this.retries = options.retries !== undefined ? Number(options.retries) : 3;
+        this.minTimeout = options.minTimeout !== undefined ? options.minTimeout : 1000;
+        this.maxTimeout = options.maxTimeout !== undefined ? options.maxTimeout : 30000;
+        this.factor = options.factor || 2;
+        this.logger = options.logger || (() => { });
+
+        this.running = 0;
+        this.pending = [];
+        this.pausedUntil = 0;
+        this.pauseTimer = null;
+    }
+
+    /**
+     * Add task to the queue
+     *
+     * @param {() => Promise<any>} task The task (called again on every retry)
+     * @param {string} [label] The task label for the retries log
+     *
+     * @returns {Promise<any>} The task result, rejected with the last error (with the attempts count) when all the attempts failed
+     */
+    push(task, label) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ task, resolve, reject, label, attempt: 0 });
+            this.next();
+        });
+    }
+
+    /**
+     * Run the pending tasks while there are free slots
+     */
+    next() {
+        const wait = this.pausedUntil - Date.now();
+        if (wait > 0) {
+            if (!this.pauseTimer) {
+                this.pauseTimer = setTimeout(() => {
+                    this.pauseTimer = null;
+                    this.next();
+                }, wait);
+            }
+            return;
+        }
+
+        while (this.running < this.concurrency && this.pending.length) {
+            this.run(this.pending.shift());
+        }
+    }
+
+    /**
+     * Run the task attempt, schedule retry on retryable error
+     *
+     * @param {any} item The queue item
+     */
+    run(item) {
+        this.running++;
+        item.attempt++;
+
+        Promise.resolve()
+            .then(() => item.task())
+            .then(result => {
+                this.running--;
+                item.resolve(result);
+                this.next();
+            }, error => {
+                this.running--;
+
+                if (item.attempt <= this.retries && isRetryable(error)) {
+                    const retryAfter = getRetryAfter(error);
+                    const delay = retryAfter !== null ? retryAfter : this.getBackoff(item.attempt);
+
+                    if (retryAfter !== null) {
+                        // The registry rate limits all the requests, pause the whole queue
+                        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter);
+                    }
+
+                    this.logger(`Retrying ${item.label || 'task'} in ${Math.round(delay / 1000)}s (attempt ${item.attempt + 1}/${this.retries + 1}): ${error.message}`);
+                    setTimeout(() => {
+                        this.pending.unshift(item);
+                        this.next();
+                    }, delay);
+                } else {
+                    if (error && typeof error === 'object') {
+                        error.attempts = item.attempt;
+                    }
+                    item.reject(error);
+                }
+
+                this.next();
+            });
+    }
+
+    /**
+     * Get the exponential backoff delay with random jitter (so the retries don't hit the registry together)
+     *
+     * @param {number} attempt The failed attempt number
+     *
+     * @returns {number} The delay in milliseconds
+     */
+    getBackoff(attempt) {
+        const max = Math.min(this.maxTimeout, this.minTimeout * (this.factor ** (attempt - 1)));
+        return Math.round((max / 2) + (Math.random() * (max / 2)));
+    }
+}
+
+/**
+ * Is the error temporary (network error, 429 or 5xx response)
+ *
+ * @param {any} error The task error
+ *
+ * @returns {boolean} Is retryable
+ */
+function isRetryable(error) {
+    if (!error) {
+        return false;
+    }
+
+    const status = error.statusCode || (error.response && error.response.status);
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    return RETRY_ERROR_CODES.includes(error.code) || error.type === 'request-timeout';
+}
+
+/**
+ * Get the Retry-After delay of 429/503 response (seconds or http date)
+ *
+ * @param {any} error The task error
+ *
+ * @returns {number | null} The delay in milliseconds or null if the response has no Retry-After
+ */
+function getRetryAfter(error) {
+    const headers = error.headers || (error.response && error.response.headers) || {};
+    let value = headers['retry-after'];
+    if (Array.isArray(value)) {
+        [value] = value;
+    }
+
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    const delay = Number.isNaN(seconds) ? new Date(value).getTime() - Date.now() : seconds * 1000;
+
+    return Number.isNaN(delay) ? null : Math.max(0, delay);
+}
+
+module.exports = {
+    WorkQueue,
+    isRetryable,
+    getRetryAfter,
+};
@@ -0,0 +1,165 @@
+const glob = require('glob');
+const yaml = require('js-yaml');
+const { satisfies, validRange } = require('semver');
+const { dirname, join, relative, resolve, sep } = require('path');
+const { existsSync, lstatSync, readFileSync } = require('fs');
+
+// Workspace dependency specs that always refer to the local package (pnpm and yarn "workspace:" protocol, local folders)
+const LOCAL_SPEC_REGEX = /^(workspace|file|link|portal):/;
+
+/**
+ * Read the projects package.json files for fetching, the workspace roots are expanded to their members
+ * (package.json "workspaces" field, pnpm-workspace.yaml or lerna.json)
+ * One project without workspaces is the root manifest as is, otherwise the projects are the workspaces of one tree:
+ * the project in the common folder of all the projects is the root, or an empty root if there is no such project
+ *
+ * @param {string | string[]} paths The package.json files, the projects folders or glob patterns of them
+ *
+ * @returns {{ manifest: any, workspaces: { name: string, version: string, location: string, manifest: any }[] }} The root manifest and the workspaces
+ */
+function readProjects(paths) {
+    const folders = expandPaths(Array.isArray(paths) ? paths : [paths]);
+    if (!folders.length) {
+        throw new Error(`No package.json found in ${[].concat(paths).join(', ')}`);
+    }
+
+    // Expand the workspace roots to their members (every folder is read once)
+    const projects = new Map();
+    folders.forEach(folder => {
+        if (projects.has(folder)) {
+            return;
+        }
+
+        const manifest = readManifest(folder);
+        projects.set(folder, manifest);
+        findWorkspaceFolders(folder, manifest)
+            .filter(member => !projects.has(member))
+            .forEach(member => projects.set(member, readManifest(member)));
+    });
+
+    const base = getCommonFolder([...projects.keys()]);
+    const manifest = projects.get(base) || { dependencies: {} };
+    const workspaces = [...projects.keys()]
+        .filter(folder => folder !== base)
+        .map(folder => {
+            const member = projects.get(folder);
+            const location = relative(base, folder).split(sep).join('/');
+            return { name: member.name || location, version: member.version, location, manifest: member };
+        });
+
+    const hasDependencies = [manifest, ...workspaces.map(workspace => workspace.manifest)].some(currManifest => [
+        'dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies',
+    ].some(field => currManifest[field] && Object.keys(currManifest[field]).length));
+
+    if (!hasDependencies) {
+        throw new Error('The package.json not contains dependencies list');
+    }
+
+    return { manifest, workspaces };
+}
+
+/**
+ * Is the workspace dependency spec refers to the local workspace package (npm links the workspace when its version satisfies the spec)
+ *
+ * @param {string} spec The dependency spec
+ * @param {string} version The workspace package version
+ *
+ * @returns {boolean} Is local
+ */
+function isWorkspaceSpec(spec, version) {
+    if (!spec || spec === '*' || LOCAL_SPEC_REGEX.test(spec)) {
+        return true;
+    }
+
+    return Boolean(version && validRange(spec) && satisfies(version, spec, { includePrerelease: true }));
+}
+
+/**
+ * Expand the paths (package.json files, folders or glob patterns) to the projects folders
+ *
+ * @param {string[]} paths The paths
+ *
+ * @returns {string[]} The absolute folders paths that have package.json
+ */
+function expandPaths(paths) {
+    return [].concat(...paths.map(path => {
+        if (!glob.hasMagic(path)) {
+            if (!existsSync(path)) {
+                throw new Error(`The path "${path}" not existed`);
+            }
+
+            return [lstatSync(path).isDirectory() ? resolve(path) : dirname(resolve(path))];
+        }
+
+        return glob.sync(path, { ignore: '**/node_modules/**', absolute: true })
+            .map(match => (lstatSync(match).isDirectory() ? match : dirname(match)));
+    })).filter(folder => existsSync(join(folder, 'package.json')));
+}
+
+/**
+ * Find the workspace members folders of project (package.json "workspaces", pnpm-workspace.yaml or lerna.json "packages")
+ *
+ * @param {string} folder The project folder
+ * @param {any} manifest The project package.json
+ *
+ * @returns {string[]} The members folders
+ */
+function findWorkspaceFolders(folder, manifest) {
+    let patterns = [];
+    if (manifest.workspaces) {
+        // npm and yarn classic array or yarn object with "packages" (and "nohoist")
+        patterns = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces.packages || [];
+    } else if (existsSync(join(folder, 'pnpm-workspace.yaml'))) {
+        patterns = (yaml.safeLoad(readFileSync(join(folder, 'pnpm-workspace.yaml'), 'utf-8')) || {}).packages || [];
+    } else if (existsSync(join(folder, 'lerna.json'))) {
+        patterns = JSON.parse(readFileSync(join(folder, 'lerna.json'), 'utf-8')).packages || ['packages/*'];
+    }
+
+    // The negated patterns exclude the members folders (e.g. "!packages/internal")
+    const ignore = ['**/node_modules/**', ...[].concat(...patterns
+        .filter(pattern => pattern.startsWith('!'))
+        .map(pattern => pattern.slice(1).replace(/\/+$/, ''))
+        .map(pattern => [pattern, `${pattern}/**`]))];
+    const members = [].concat(...patterns
+        .filter(pattern => !pattern.startsWith('!'))
+        .map(pattern => glob.sync(`${pattern.replace(/\/+$/, '')}/package.json`, { cwd: folder, ignore, absolute: true })));
+
+    return members
+        .map(member => dirname(resolve(member)))
+        .filter((member, index, all) => member !== folder && all.indexOf(member) === index)
+        .sort();
+}
+
+/**
+ * Read the project package.json
+ *
+ * @param {string} folder The project folder
+ *
+ * @returns {any} The package.json
+ */
+function readManifest(folder) {
+    return JSON.parse(readFileSync(join(folder, 'package.json'), 'utf-8'));
+}
+
+/**
+ * Get the common parent folder of the folders
+ *
+ * @param {string[]} folders The absolute folders paths
+ *
+ * @returns {string} The common folder
+ */
+function getCommonFolder(folders) {
+    return folders.reduce((common, folder) => {
+        let current = common;
+        while (folder !== current && !folder.startsWith(current.endsWith(sep) ? current : `${current}${sep}`)) {
+            current = dirname(current);
+        }
+
+        return current;
+    });
+}
+
+module.exports = {
+    readProjects,
+    isWorkspaceSpec,
+};
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { createPackageLock } = require('../lib/dependency-tree');
+
+/**
+ * Create tree node of package version
+ *
+ * @param {string} name The package name
+ * @param {string} version The package version
+ * @param {any[]} dependencies The dependencies nodes
+ *
+ * @returns {any} The tree node
+ */
+function node(name, version, dependencies = []) {
+    return {
+        name,
+        version,
+        requested: version,
+        type: 'prod',
+        resolved: `https://registry.npmjs.org/${name}/-/${name}-${version}.tgz`,
+        integrity: `sha512-${name}${version}`,
+        manifest: { name, version, dependencies: dependencies.reduce((result, child) => ({ ...result, [child.name]: child.requested }), {}) },
+        dependencies,
+    };
+}
+
+/**
+ * Get the versions of the package-lock packages by location
+ *
+ * @param {any} lock The package-lock.json object
+ *
+ * @returns {{ [location: string]: string }} The versions
+ */
+function versions(lock) {
+    return Object.keys(lock.packages).filter(Boolean).reduce((result, location) => ({ ...result, [location]: lock.packages[location].version }), {});
+}
+
+describe('createPackageLock', () => {
+    it('hoists the packages to the root node_modules folder', () => {
+        const tree = { manifest: { name: 'root' }, dependencies: [node('a', '1.0.0', [node('b', '1.0.0')])] };
+
+        assert.deepStrictEqual(versions(createPackageLock(tree)), {
+            'node_modules/a': '1.0.0',
+            'node_modules/b': '1.0.0',
+        });
+    });
+
+    it('nests the conflicting versions with their dependencies in the requiring package folder', () => {
+        const tree = {
+            manifest: { name: 'root' },
+            dependencies: [
+                node('a', '1.0.0', [node('x', '1.0.0', [node('y', '1.0.0')])]),
+                node('b', '1.0.0', [node('x', '1.0.0', [node('y', '1.0.0')])]),
+                node('x', '2.0.0', [node('y', '2.0.0')]),
+            ],
+        };
+
+        assert.deepStrictEqual(versions(createPackageLock(tree)), {
+            'node_modules/a': '1.0.0',
+            'node_modules/a/node_modules/x': '1.0.0',
+            'node_modules/a/node_modules/y': '1.0.0',
+            'node_modules/b': '1.0.0',
+            'node_modules/b/node_modules/x': '1.0.0',
+            'node_modules/b/node_modules/y': '1.0.0',
+            'node_modules/x': '2.0.0',
+            'node_modules/y': '2.0.0',
+        });
+    });
+
+    it('throws when the requiring package folder has other version of the package', () => {
+        const tree = { manifest: { name: 'root' }, dependencies: [node('x', '1.0.0'), node('x', '2.0.0')] };
+
+        assert.throws(() => createPackageLock(tree), /Can't place x@2\.0\.0 required from "\(root\)", "node_modules\/x" has x@1\.0\.0/);
+    });
+});
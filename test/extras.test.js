@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { rimraf } = require('rimraf');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const { existsSync, mkdirSync, mkdtempSync, writeFileSync } = require('fs');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { fetchExtras, publishExtras, EXTRAS_FILE_NAME, EXTRAS_FOLDER_NAME } = require('../lib/extras');
+const { StubRegistry, createTarball } = require('./helpers/stub-registry');
+
+describe('fetchExtras', () => {
+    let folder;
+    let host;
+
+    beforeEach(async () => {
+        folder = mkdtempSync(join(tmpdir(), 'npo-test-'));
+        mkdirSync(join(folder, 'bundle'));
+        host = new StubRegistry();
+        await host.start();
+    });
+
+    afterEach(async () => {
+        await host.stop();
+        await rimraf(folder);
+    });
+
+    it('rejects asset url path with encoded separators that resolves outside the extras folder', async () => {
+        const binary = { module_name: 'addon', host: host.url, remote_path: 'v1/..%2f..%2f..%2fescaped', package_name: 'addon.node' };
+        writeFileSync(join(folder, 'bundle', 'addon-1.0.0.tgz'), await createTarball('addon', '1.0.0', { binary }));
+        const failures = [];
+
+        const extras = await fetchExtras(join(folder, 'bundle'), [{ name: 'addon', version: '1.0.0', fileName: 'addon-1.0.0.tgz' }], { retries: 0, failures });
+
+        assert.deepStrictEqual(extras.assets, []);
+        assert.strictEqual(failures.length, 1);
+        assert.match(failures[0].message, /is outside the extras folder/);
+        assert.deepStrictEqual(host.requests, []);
+        assert.ok(!existsSync(join(folder, 'escaped')));
+    });
+});
+
+describe('publishExtras', () => {
+    let folder;
+
+    beforeEach(() => {
+        folder = mkdtempSync(join(tmpdir(), 'npo-test-'));
+        mkdirSync(join(folder, 'bundle', EXTRAS_FOLDER_NAME, 'host'), { recursive: true });
+    });
+
+    afterEach(() => rimraf(folder));
+
+    it('rejects asset path that resolves outside the destination folder', async () => {
+        writeFileSync(join(folder, 'bundle', EXTRAS_FOLDER_NAME, 'host', 'addon.node'), 'addon');
+        writeFileSync(join(folder, 'bundle', EXTRAS_FILE_NAME), JSON.stringify({
+            assets: [{ url: 'https://host/addon.node', path: 'host/../../escaped/addon.node', sha256: 'hash' }],
+            env: [],
+        }));
+
+        await assert.rejects(publishExtras(join(folder, 'bundle'), { dest: join(folder, 'mirror') }), /is outside the extras folder/);
+        assert.ok(!existsSync(join(folder, 'escaped')));
+        assert.ok(!existsSync(join(folder, 'bundle', 'escaped')));
+    });
+});
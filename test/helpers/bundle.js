@@ -0,0 +1,30 @@
+const ssri = require('ssri');
+const { join } = require('path');
+const { writeFileSync } = require('fs');
+const { createBundleManifest, writeBundleManifest } = require('../../lib/bundle-manifest');
+const { createTarball } = require('./stub-registry');
+
+/**
+ * Write bundle folder with the packages tarballs and the bundle manifest
+ *
+ * @param {string} folder The bundle folder
+ * @param {{ name: string, version: string, distTags?: string[] }[]} packages The packages
+ *
+ * @returns {Promise<any>} The bundle manifest
+ */
+async function writeBundle(folder, packages) {
+    const entries = await Promise.all(packages.map(async ({ name, version, distTags = [] }) => {
+        const tarball = await createTarball(name, version);
+        const fileName = `${name.replace('/', '-')}-${version}.tgz`;
+        writeFileSync(join(folder, fileName), tarball);
+        return { name, version, distTags, fileName, integrity: ssri.fromData(tarball).toString(), size: tarball.length };
+    }));
+
+    const manifest = createBundleManifest(entries, { name: 'bundle' });
+    await writeBundleManifest(folder, manifest);
+    return manifest;
+}
+
+module.exports = {
+    writeBundle,
+};
@@ -0,0 +1,193 @@
+const http = require('http');
+const ssri = require('ssri');
+const tar = require('tar');
+const { join } = require('path');
+const { readFileSync, writeFileSync, mkdirSync, mkdtempSync } = require('fs');
+const { tmpdir } = require('os');
+const { rimraf } = require('rimraf');
+
+/**
+ * Local npm registry stub for the tests
+ * Serves packuments and tarballs, accepts publish (PUT of the packument document) and dist-tags requests like verdaccio:
+ * the publish of existing version is 409 conflict and the first dist-tag of the publish document points to the published version.
+ * Every request is recorded, and the responses can be replaced by handlers (e.g. to fail publish)
+ */
+class StubRegistry {
+    constructor() {
+        this.packuments = new Map();
+        this.tarballs = new Map();
+        this.requests = [];
+        this.handlers = [];
+        this.publishDelay = () => 0;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * Start the registry on free port
+     *
+     * @returns {Promise<string>} The registry url
+     */
+    async start() {
+        await new Promise(resolve => this.server.listen(0, 'localhost', resolve));
+        this.url = `http://localhost:${this.server.address().port}/`;
+        return this.url;
+    }
+
+    /**
+     * Stop the registry
+     *
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Add package version to the registry (as if it was published)
+     *
+     * @param {string} name The package name
+     * @param {string} version The package version
+     * @param {Buffer} tarball The package tarball
+     * @param {{ tags?: string[], dist?: any }} options The options (dist overrides the packument dist fields)
+     */
+    addVersion(name, version, tarball, options = {}) {
+        const packument = this.getPackument(name, true);
+        const fileName = `${name.split('/').pop()}-${version}.tgz`;
+        this.tarballs.set(`/${name}/-/${fileName}`, tarball);
+        packument.versions[version] = {
+            name,
+            version,
+            dist: { tarball: `${this.url}${name}/-/${fileName}`, integrity: ssri.fromData(tarball).toString(), ...options.dist },
+        };
+        (options.tags || []).forEach(tag => packument['dist-tags'][tag] = version);
+    }
+
+    /**
+     * Replace the response of requests
+     *
+     * @param {(req: http.IncomingMessage, body: string) => { status: number, body?: any } | undefined} handler The handler (undefined keeps the stub response)
+     */
+    on(handler) {
+        this.handlers.push(handler);
+    }
+
+    /**
+     * Get the packument of package
+     *
+     * @param {string} name The package name
+     * @param {boolean} create Whether to create missing packument
+     *
+     * @returns {any} The packument or undefined
+     */
+    getPackument(name, create = false) {
+        if (!this.packuments.has(name) && create) {
+            this.packuments.set(name, { _id: name, name, 'dist-tags': {}, versions: {} });
+        }
+
+        return this.packuments.get(name);
+    }
+
+    /**
+     * Handle registry request
+     *
+     * @param {http.IncomingMessage} req The request
+     * @param {http.ServerResponse} res The response
+     */
+    handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const body = Buffer.concat(chunks).toString('utf-8');
+            this.requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+
+            const replaced = this.handlers.map(handler => handler(req, body)).find(Boolean);
+            const { status, body: responseBody } = replaced || await this.respond(req, body);
+            res.writeHead(status, { 'content-type': Buffer.isBuffer(responseBody) ? 'application/octet-stream' : 'application/json' });
+            res.end(Buffer.isBuffer(responseBody) ? responseBody : JSON.stringify(responseBody || {}));
+        });
+    }
+
+    /**
+     * Get the stub response of request
+     *
+     * @param {http.IncomingMessage} req The request
+     * @param {string} body The request body
+     *
+     * @returns {Promise<{ status: number, body?: any }>} The response
+     */
+    async respond(req, body) {
+        const url = decodeURIComponent(req.url);
+        const distTag = url.match(/^\/-\/package\/(.+)\/dist-tags\/([^/]+)$/);
+        if (distTag) {
+            const packument = this.getPackument(distTag[1]);
+            if (!packument) {
+                return { status: 404 };
+            }
+
+            if (req.method === 'DELETE') {
+                delete packument['dist-tags'][distTag[2]];
+            } else {
+                packument['dist-tags'][distTag[2]] = JSON.parse(body);
+            }
+
+            return { status: 200, body: { ok: true } };
+        }
+
+        if (req.method === 'GET') {
+            if (this.tarballs.has(url)) {
+                return { status: 200, body: this.tarballs.get(url) };
+            }
+
+            const packument = this.getPackument(url.slice(1));
+            return packument ? { status: 200, body: packument } : { status: 404, body: { error: 'not found' } };
+        }
+
+        if (req.method === 'PUT') {
+            const doc = JSON.parse(body);
+            const [version] = Object.keys(doc.versions);
+            await new Promise(resolve => setTimeout(resolve, this.publishDelay(doc.name, version)));
+
+            const packument = this.getPackument(doc.name, true);
+            if (packument.versions[version]) {
+                return { status: 409, body: { error: 'this package is already present' } };
+            }
+
+            const { _attachments: attachments } = doc;
+            this.addVersion(doc.name, version, Buffer.from(Object.values(attachments)[0].data, 'base64'));
+            const [tag] = Object.keys(doc['dist-tags']);
+            if (tag) {
+                packument['dist-tags'][tag] = version;
+            }
+
+            return { status: 201, body: { ok: true } };
+        }
+
+        return { status: 405 };
+    }
+}
+
+/**
+ * Create package tarball
+ *
+ * @param {string} name The package name
+ * @param {string} version The package version
+ * @param {any} packageJson The other package.json fields
+ *
+ * @returns {Promise<Buffer>} The tarball content
+ */
+async function createTarball(name, version, packageJson = {}) {
+    const folder = mkdtempSync(join(tmpdir(), 'npo-tarball-'));
+    try {
+        mkdirSync(join(folder, 'package'));
+        writeFileSync(join(folder, 'package', 'package.json'), JSON.stringify({ ...packageJson, name, version }));
+        await tar.create({ gzip: true, cwd: folder, file: join(folder, 'package.tgz') }, ['package']);
+        return readFileSync(join(folder, 'package.tgz'));
+    } finally {
+        await rimraf(folder);
+    }
+}
+
+module.exports = {
+    StubRegistry,
+    createTarball,
+};
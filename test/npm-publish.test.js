@@ -0,0 +1,181 @@
+const assert = require('assert');
+const { rimraf } = require('rimraf');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const { mkdtempSync, writeFileSync } = require('fs');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const { publishTarball, publishFolder } = require('../lib/npm-publish');
+const { StubRegistry, createTarball } = require('./helpers/stub-registry');
+const { writeBundle } = require('./helpers/bundle');
+
+describe('publishTarball', () => {
+    let folder;
+    let registry;
+    let tarballPath;
+
+    before(async () => {
+        folder = mkdtempSync(join(tmpdir(), 'npo-test-'));
+        tarballPath = join(folder, 'tpkg-1.0.0.tgz');
+        writeFileSync(tarballPath, await createTarball('tpkg', '1.0.0'));
+    });
+
+    after(() => rimraf(folder));
+
+    beforeEach(async () => {
+        registry = new StubRegistry();
+        await registry.start();
+    });
+
+    afterEach(() => registry.stop());
+
+    it('publishes new package with the latest dist-tag', async () => {
+        const result = await publishTarball(tarballPath, { registry: registry.url, config: {} });
+
+        assert.strictEqual(result.status, 'published');
+        assert.strictEqual(result.httpStatus, 201);
+        assert.deepStrictEqual(Object.keys(registry.getPackument('tpkg').versions), ['1.0.0']);
+        assert.deepStrictEqual(registry.getPackument('tpkg')['dist-tags'], { latest: '1.0.0' });
+    });
+
+    it('reports existing version without publishing it', async () => {
+        registry.addVersion('tpkg', '1.0.0', await createTarball('tpkg', '1.0.0'), { tags: ['latest'] });
+
+        const result = await publishTarball(tarballPath, { registry: registry.url, config: {} });
+
+        assert.strictEqual(result.status, 'exists');
+        assert.ok(!registry.requests.some(request => request.method === 'PUT'));
+    });
+
+    it('reports 409 publish conflict as existing version', async () => {
+        registry.addVersion('tpkg', '1.0.0', await createTarball('tpkg', '1.0.0'), { tags: ['latest'] });
+
+        const result = await publishTarball(tarballPath, { registry: registry.url, config: {}, force: true });
+
+        assert.strictEqual(result.status, 'exists');
+        assert.strictEqual(result.httpStatus, 409);
+    });
+
+    it('reports EPUBLISHCONFLICT as existing version', async () => {
+        registry.addVersion('tpkg', '1.0.0', await createTarball('tpkg', '1.0.0'), { tags: ['latest'] });
+        registry.on(req => (req.method === 'PUT' ? { status: 403, body: { error: 'EPUBLISHCONFLICT cannot publish over existing version' } } : undefined));
+
+        const result = await publishTarball(tarballPath, { registry: registry.url, config: {}, force: true });
+
+        assert.strictEqual(result.status, 'exists');
+        assert.strictEqual(result.httpStatus, 403);
+    });
+
+    it('reports failed publish with the HTTP status and the registry error', async () => {
+        registry.on(req => (req.method === 'PUT' ? { status: 500, body: { error: 'storage is full' } } : undefined));
+
+        const result = await publishTarball(tarballPath, { registry: registry.url, config: {} });
+
+        assert.strictEqual(result.status, 'failed');
+        assert.strictEqual(result.httpStatus, 500);
+        assert.match(result.error, /storage is full/);
+    });
+});
+
+describe('publishFolder', () => {
+    let folder;
+    let registry;
+    let userconfig;
+
+    beforeEach(async () => {
+        folder = mkdtempSync(join(tmpdir(), 'npo-test-'));
+        registry = new StubRegistry();
+        await registry.start();
+
+        // The .npmrc of the tests user
+        userconfig = process.env.npm_config_userconfig;
+        process.env.npm_config_userconfig = join(folder, '.npmrc');
+        writeFileSync(process.env.npm_config_userconfig, `${registry.url.replace(/^https?:/, '')}:_authToken=npmrc-token\n`);
+    });
+
+    afterEach(async () => {
+        if (userconfig === undefined) {
+            delete process.env.npm_config_userconfig;
+        } else {
+            process.env.npm_config_userconfig = userconfig;
+        }
+
+        await registry.stop();
+        await rimraf(folder);
+    });
+
+    it('publishes the bundle packages with the .npmrc token of the registry', async () => {
+        await writeBundle(folder, [{ name: 'a', version: '1.0.0', distTags: ['latest'] }, { name: '@scope/b', version: '2.0.0', distTags: ['latest'] }]);
+
+        const results = await publishFolder(folder, { registry: registry.url });
+
+        assert.deepStrictEqual(results.map(result => result.status), ['published', 'published']);
+        assert.ok(registry.requests.length > 0);
+        assert.ok(registry.requests.every(request => request.authorization === 'Bearer npmrc-token'));
+    });
+
+    it('publishes with the token option instead of the .npmrc token', async () => {
+        await writeBundle(folder, [{ name: 'a', version: '1.0.0', distTags: ['latest'] }]);
+
+        const results = await publishFolder(folder, { registry: registry.url, token: 'cli-token' });
+
+        assert.strictEqual(results[0].status, 'published');
+        assert.ok(registry.requests.every(request => request.authorization === 'Bearer cli-token'));
+    });
+
+    it('skips tampered tarballs and reports every status', async () => {
+        await writeBundle(folder, [
+            { name: 'a', version: '1.0.0', distTags: ['latest'] },
+            { name: 'b', version: '1.0.0', distTags: ['latest'] },
+            { name: 'c', version: '1.0.0', distTags: ['latest'] },
+            { name: 'd', version: '1.0.0', distTags: ['latest'] },
+        ]);
+        registry.addVersion('b', '1.0.0', await createTarball('b', '1.0.0'), { tags: ['latest'] });
+        registry.on(req => (req.method === 'PUT' && req.url === '/c' ? { status: 503, body: { error: 'unavailable' } } : undefined));
+        writeFileSync(join(folder, 'd-1.0.0.tgz'), 'tampered');
+
+        const results = await publishFolder(folder, { registry: registry.url });
+        const statuses = results.reduce((result, { name, status, httpStatus }) => ({ ...result, [name]: httpStatus ? `${status} ${httpStatus}` : status }), {});
+
+        assert.deepStrictEqual(statuses, { a: 'published 201', b: 'exists 200', c: 'failed 503', d: 'skipped' });
+    });
+
+    it('publishes the versions of new package from the oldest and recreates the bundle dist-tags', async () => {
+        await writeBundle(folder, [
+            { name: 'p', version: '2.0.0', distTags: ['latest'] },
+            { name: 'p', version: '1.1.0' },
+            { name: 'p', version: '1.0.0' },
+            { name: 'p', version: '3.0.0-beta.1', distTags: ['next'] },
+        ]);
+        // The first publish is the slowest, concurrent publishes would finish after it
+        registry.publishDelay = (name, version) => (version === '1.0.0' ? 100 : 0);
+
+        const results = await publishFolder(folder, { registry: registry.url });
+
+        assert.deepStrictEqual(results.map(result => `${result.version} ${result.status}`), ['1.0.0 published', '1.1.0 published', '2.0.0 published', '3.0.0-beta.1 published']);
+        assert.deepStrictEqual(registry.requests.filter(request => request.method === 'PUT' && request.url === '/p').map(request => Object.keys(JSON.parse(request.body).versions)[0]),
+            ['1.0.0', '1.1.0', '2.0.0', '3.0.0-beta.1']);
+        assert.deepStrictEqual(registry.getPackument('p')['dist-tags'], { latest: '2.0.0', next: '3.0.0-beta.1' });
+    });
+
+    it('moves the latest dist-tag of new package to its newest release when the bundle has no latest', async () => {
+        await writeBundle(folder, [
+            { name: 'p', version: '1.2.0' },
+            { name: 'p', version: '1.0.0' },
+            { name: 'p', version: '2.0.0-beta.1', distTags: ['next'] },
+        ]);
+
+        await publishFolder(folder, { registry: registry.url });
+
+        assert.deepStrictEqual(registry.getPackument('p')['dist-tags'], { latest: '1.2.0', next: '2.0.0-beta.1' });
+    });
+
+    it('does not move the latest dist-tag of existing package to untagged versions', async () => {
+        registry.addVersion('p', '1.0.0', await createTarball('p', '1.0.0'), { tags: ['latest'] });
+        await writeBundle(folder, [{ name: 'p', version: '1.1.0' }, { name: 'p', version: '0.9.0' }]);
+
+        const results = await publishFolder(folder, { registry: registry.url });
+
+        assert.deepStrictEqual(results.map(result => result.status), ['published', 'published']);
+        assert.deepStrictEqual(registry.getPackument('p')['dist-tags'], { latest: '1.0.0' });
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const http = require('http');
+const ssri = require('ssri');
+const tar = require('tar');
+const { rimraf } = require('rimraf');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const { existsSync, mkdirSync, mkdtempSync, readFileSync, readdirSync, writeFileSync } = require('fs');
+const { describe, it, before, after } = require('node:test');
+const { createPackager } = require('../lib/packager');
+
+/**
+ * Start registry server with one package version
+ *
+ * @param {string} folder The folder to create the package tarball in
+ *
+ * @returns {Promise<{ server: http.Server, registry: string }>} The server and the registry url
+ */
+async function startRegistry(folder) {
+    mkdirSync(join(folder, 'package'));
+    writeFileSync(join(folder, 'package', 'package.json'), JSON.stringify({ name: 'tpkg', version: '1.0.0' }));
+    await tar.create({ gzip: true, cwd: folder, file: join(folder, 'tpkg-1.0.0.tgz') }, ['package']);
+    const tarball = readFileSync(join(folder, 'tpkg-1.0.0.tgz'));
+
+    const server = http.createServer((req, res) => {
+        const registry = `http://localhost:${server.address().port}/`;
+        if (req.url === '/tpkg') {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            return res.end(JSON.stringify({
+                name: 'tpkg',
+                'dist-tags': { latest: '1.0.0' },
+                versions: {
+                    '1.0.0': {
+                        name: 'tpkg',
+                        version: '1.0.0',
+                        dist: { tarball: `${registry}tpkg/-/tpkg-1.0.0.tgz`, integrity: ssri.fromData(tarball).toString() },
+                    },
+                },
+            }));
+        }
+
+        if (req.url === '/tpkg/-/tpkg-1.0.0.tgz') {
+            res.writeHead(200, { 'content-type': 'application/octet-stream' });
+            return res.end(tarball);
+        }
+
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end('{}');
+    });
+
+    await new Promise(resolve => server.listen(0, resolve));
+    return { server, registry: `http://localhost:${server.address().port}/` };
+}
+
+describe('Packager.fetch', () => {
+    let folder;
+    let server;
+    let packager;
+
+    before(async () => {
+        folder = mkdtempSync(join(tmpdir(), 'npo-test-'));
+        const started = await startRegistry(folder);
+        ({ server } = started);
+        packager = createPackager({ registry: started.registry, npmrc: false, retries: 0, cacheFolder: join(folder, 'cache') });
+    });
+
+    after(async () => {
+        server.close();
+        await rimraf(folder);
+    });
+
+    it('removes the folder that it created after the archive', async () => {
+        const destFolder = join(folder, 'new-bundle');
+        const { destination } = await packager.fetch(['tpkg@1.0.0'], { destFolder, tar: true });
+
+        assert.strictEqual(destination, `${destFolder}.tar`);
+        assert.ok(existsSync(destination));
+        assert.ok(!existsSync(destFolder));
+    });
+
+    it('keeps pre-existing folder after the archive', async () => {
+        const destFolder = join(folder, 'existing-bundle');
+        mkdirSync(destFolder);
+        writeFileSync(join(destFolder, 'notes.txt'), 'keep');
+
+        const { destination } = await packager.fetch(['tpkg@1.0.0'], { destFolder, tar: true });
+
+        assert.ok(existsSync(destination));
+        assert.deepStrictEqual(readdirSync(destFolder).sort(), ['notes.txt', 'npo-manifest.json', 'tpkg-1.0.0-latest.tgz']);
+    });
+
+    it('keeps pre-existing folder when nothing was fetched', async () => {
+        const destFolder = join(folder, 'existing-empty');
+        mkdirSync(destFolder);
+        writeFileSync(join(destFolder, 'notes.txt'), 'keep');
+
+        await assert.rejects(packager.fetch(['missing-package@1.0.0'], { destFolder, tar: true }), { code: 'ENOPACKAGES' });
+        assert.deepStrictEqual(readdirSync(destFolder), ['notes.txt']);
+    });
+});
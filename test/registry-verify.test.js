@@ -0,0 +1,131 @@
+const assert = require('assert');
+const ssri = require('ssri');
+const { rimraf } = require('rimraf');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const { mkdtempSync, readFileSync } = require('fs');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { verifyRegistry } = require('../lib/registry-verify');
+const { BundleRegistry } = require('../lib/bundle-registry');
+const { WorkQueue } = require('../lib/work-queue');
+const { StubRegistry, createTarball } = require('./helpers/stub-registry');
+const { writeBundle } = require('./helpers/bundle');
+
+describe('verifyRegistry', () => {
+    let folder;
+    let registry;
+
+    beforeEach(async () => {
+        folder = mkdtempSync(join(tmpdir(), 'npo-test-'));
+        registry = new StubRegistry();
+        await registry.start();
+    });
+
+    afterEach(async () => {
+        await registry.stop();
+        await rimraf(folder);
+    });
+
+    /**
+     * Verify the bundle folder against the stub registry
+     *
+     * @param {any} options The other verify options
+     *
+     * @returns {Promise<any>} The verify result
+     */
+    async function verify(options = {}) {
+        const bundle = await BundleRegistry.load(folder);
+        return verifyRegistry(bundle, { registry: registry.url, config: {}, queue: new WorkQueue({ retries: 0 }), ...options });
+    }
+
+    /**
+     * Add the bundle tarball of package version to the registry
+     *
+     * @param {string} name The package name
+     * @param {string} version The package version
+     * @param {any} options The addVersion options
+     */
+    function addBundleVersion(name, version, options) {
+        registry.addVersion(name, version, readFileSync(join(folder, `${name}-${version}.tgz`)), options);
+    }
+
+    it('verifies the bundle versions that the registry serves', async () => {
+        await writeBundle(folder, [{ name: 'a', version: '1.0.0', distTags: ['latest'] }, { name: 'b', version: '2.0.0', distTags: ['latest'] }]);
+        addBundleVersion('a', '1.0.0', { tags: ['latest'] });
+        addBundleVersion('b', '2.0.0', { tags: ['latest'] });
+
+        const result = await verify();
+
+        assert.deepStrictEqual(result, { registry: registry.url, packages: 2, verified: 2, missing: [], mismatched: [], extra: [] });
+    });
+
+    it('reports the missing packages and versions', async () => {
+        await writeBundle(folder, [{ name: 'a', version: '1.0.0' }, { name: 'a', version: '1.1.0' }, { name: 'b', version: '1.0.0' }]);
+        addBundleVersion('a', '1.0.0');
+
+        const { verified, missing } = await verify();
+
+        assert.strictEqual(verified, 1);
+        assert.deepStrictEqual(missing, [
+            { name: 'a', version: '1.1.0', reason: 'version not found' },
+            { name: 'b', version: '1.0.0', reason: 'package not found' },
+        ]);
+    });
+
+    it('reports the packument integrity that differs from the bundle', async () => {
+        await writeBundle(folder, [{ name: 'a', version: '1.0.0' }]);
+        const integrity = ssri.fromData(await createTarball('a', '1.0.0', { description: 'rebuilt' })).toString();
+        addBundleVersion('a', '1.0.0', { dist: { integrity } });
+
+        const { verified, mismatched } = await verify();
+
+        assert.strictEqual(verified, 0);
+        assert.deepStrictEqual(mismatched.map(({ name, version, field, actual }) => ({ name, version, field, actual })), [{ name: 'a', version: '1.0.0', field: 'integrity', actual: integrity }]);
+    });
+
+    it('reports the served tarball that differs from the bundle', async () => {
+        const manifest = await writeBundle(folder, [{ name: 'a', version: '1.0.0' }]);
+        const tarball = await createTarball('a', '1.0.0', { description: 'rebuilt' });
+        registry.addVersion('a', '1.0.0', tarball, { dist: { integrity: manifest.packages[0].integrity } });
+
+        const { mismatched } = await verify();
+
+        assert.deepStrictEqual(mismatched, [{
+            name: 'a', version: '1.0.0', field: 'tarball', expected: manifest.packages[0].integrity, actual: ssri.fromData(tarball).toString(),
+        }]);
+        assert.deepStrictEqual(await verify({ tarballs: false }).then(result => result.mismatched), []);
+    });
+
+    it('reports the registry versions that are not in the bundle', async () => {
+        await writeBundle(folder, [{ name: 'a', version: '1.0.0' }]);
+        addBundleVersion('a', '1.0.0');
+        registry.addVersion('a', '0.9.0', await createTarball('a', '0.9.0'));
+        registry.addVersion('a', '2.0.0', await createTarball('a', '2.0.0'));
+
+        const { verified, extra } = await verify();
+
+        assert.strictEqual(verified, 1);
+        assert.deepStrictEqual(extra, [{ name: 'a', version: '0.9.0' }, { name: 'a', version: '2.0.0' }]);
+    });
+
+    it('sends the token option only to the registry origin', async () => {
+        await writeBundle(folder, [{ name: 'a', version: '1.0.0' }]);
+        const tarballHost = new StubRegistry();
+        await tarballHost.start();
+        tarballHost.addVersion('a', '1.0.0', readFileSync(join(folder, 'a-1.0.0.tgz')));
+        addBundleVersion('a', '1.0.0', { dist: { tarball: `${tarballHost.url}a/-/a-1.0.0.tgz` } });
+        const config = { [`${tarballHost.url.replace(/^https?:/, '')}:_authToken`]: 'host-token' };
+
+        try {
+            const withoutConfig = await verify({ token: 'cli-token' });
+            const withConfig = await verify({ token: 'cli-token', config });
+
+            assert.strictEqual(withoutConfig.verified, 1);
+            assert.strictEqual(withConfig.verified, 1);
+            assert.ok(registry.requests.every(request => request.authorization === 'Bearer cli-token'));
+            assert.deepStrictEqual(tarballHost.requests.map(request => request.authorization), [undefined, 'Bearer host-token']);
+        } finally {
+            await tarballHost.stop();
+        }
+    });
+});